@@ -0,0 +1,261 @@
+// Exercise catalog and the weekly plan generator. Plain data and pure functions so the same
+// module runs in the mock and under `node --test`.
+
+// Exercise catalog. `primary` muscle groups drive the planner's weekly balance; conditioning work
+// is tagged "cardio" rather than with the muscles it uses. `met` is the Compendium of Physical
+// Activities value used for calorie estimates; `timed` exercises are held or done for time.
+export const MUSCLE_GROUPS = ["legs", "chest", "back", "shoulders", "arms", "core", "cardio"];
+export const EQUIPMENT = { none: "No equipment", dumbbells: "Dumbbells", bench: "Bench", bar: "Pull-up bar", band: "Resistance band", rope: "Jump rope", bike: "Bike", rower: "Rowing machine" };
+export const DIFFICULTY = ["beginner", "intermediate", "advanced"];
+
+export const exercisesLib = [
+  {
+    name: "Squats", type: "strength", primary: ["legs"], secondary: ["core"], equipment: ["none"], difficulty: "beginner", met: 5.0, unilateral: false,
+    instructions: ["Stand with feet shoulder-width apart, toes slightly out.", "Sit the hips back and down until thighs are parallel to the floor.", "Keep the chest up and knees tracking over the toes.", "Drive through the whole foot to stand."],
+    substitutions: ["Goblet squat", "Lunges", "Step-ups"],
+  },
+  {
+    name: "Goblet squat", type: "strength", primary: ["legs"], secondary: ["core", "arms"], equipment: ["dumbbells"], difficulty: "beginner", met: 5.0, unilateral: false,
+    instructions: ["Hold one dumbbell vertically against your chest.", "Squat between your knees, elbows brushing the inner thighs.", "Pause at the bottom, then stand tall."],
+    substitutions: ["Squats", "Bulgarian split squat"],
+  },
+  {
+    name: "Lunges", type: "strength", primary: ["legs"], secondary: ["core"], equipment: ["none"], difficulty: "beginner", met: 4.0, unilateral: true,
+    instructions: ["Step forward and lower until both knees bend to about 90°.", "Keep the front heel down and the torso upright.", "Push back to the start and switch legs."],
+    substitutions: ["Step-ups", "Bulgarian split squat", "Squats"],
+  },
+  {
+    name: "Bulgarian split squat", type: "strength", primary: ["legs"], secondary: ["core"], equipment: ["bench"], difficulty: "intermediate", met: 5.0, unilateral: true,
+    instructions: ["Rest the top of your back foot on a bench behind you.", "Lower straight down until the front thigh is parallel to the floor.", "Drive through the front heel to rise; finish all reps before switching."],
+    substitutions: ["Lunges", "Step-ups"],
+  },
+  {
+    name: "Step-ups", type: "strength", primary: ["legs"], secondary: [], equipment: ["bench"], difficulty: "beginner", met: 5.0, unilateral: true,
+    instructions: ["Place one foot fully on a sturdy bench or step.", "Press through that heel to stand on the step without pushing off the back foot.", "Step down under control and repeat."],
+    substitutions: ["Lunges", "Squats"],
+  },
+  {
+    name: "Glute bridge", type: "strength", primary: ["legs"], secondary: ["core"], equipment: ["none"], difficulty: "beginner", met: 3.5, unilateral: false,
+    instructions: ["Lie on your back, knees bent, feet flat and hip-width apart.", "Squeeze the glutes and lift the hips until knees, hips and shoulders line up.", "Hold for a second, then lower slowly."],
+    substitutions: ["Romanian deadlift", "Squats"],
+  },
+  {
+    name: "Romanian deadlift", type: "strength", primary: ["legs"], secondary: ["back"], equipment: ["dumbbells"], difficulty: "intermediate", met: 5.0, unilateral: false,
+    instructions: ["Hold dumbbells in front of your thighs, knees softly bent.", "Hinge at the hips, sliding the weights down the legs with a flat back.", "Stop when you feel a hamstring stretch, then drive the hips forward to stand."],
+    substitutions: ["Glute bridge", "Superman"],
+  },
+  {
+    name: "Calf raises", type: "strength", primary: ["legs"], secondary: [], equipment: ["none"], difficulty: "beginner", met: 2.8, unilateral: false,
+    instructions: ["Stand on the edge of a step with heels hanging off.", "Rise onto the balls of your feet as high as you can.", "Lower the heels below the step, then repeat."],
+    substitutions: ["Jump rope"],
+  },
+  {
+    name: "Push-ups", type: "strength", primary: ["chest"], secondary: ["arms", "shoulders", "core"], equipment: ["none"], difficulty: "beginner", met: 3.8, unilateral: false,
+    instructions: ["Hands slightly wider than shoulders, body in a straight line.", "Lower until the chest is a fist's height from the floor, elbows at about 45°.", "Press back up without letting the hips sag. Drop to the knees to make it easier."],
+    substitutions: ["Dumbbell bench press", "Dips"],
+  },
+  {
+    name: "Dumbbell bench press", type: "strength", primary: ["chest"], secondary: ["arms", "shoulders"], equipment: ["dumbbells", "bench"], difficulty: "intermediate", met: 5.0, unilateral: false,
+    instructions: ["Lie on a bench with dumbbells over your chest.", "Lower them to the sides of the chest, elbows under the wrists.", "Press back up until the arms are straight."],
+    substitutions: ["Push-ups", "Dips"],
+  },
+  {
+    name: "Dips", type: "strength", primary: ["chest", "arms"], secondary: ["shoulders"], equipment: ["bench"], difficulty: "intermediate", met: 5.0, unilateral: false,
+    instructions: ["Support yourself on the edge of a bench with hands beside the hips.", "Bend the elbows straight back to lower until upper arms are parallel to the floor.", "Press back up; bend the knees to make it easier."],
+    substitutions: ["Push-ups", "Triceps extension"],
+  },
+  {
+    name: "Pike push-ups", type: "strength", primary: ["shoulders"], secondary: ["arms"], equipment: ["none"], difficulty: "intermediate", met: 4.0, unilateral: false,
+    instructions: ["Start in a push-up, then walk the feet in and lift the hips into an inverted V.", "Bend the elbows to lower the top of your head toward the floor.", "Press back to the V."],
+    substitutions: ["Dumbbell shoulder press", "Push-ups"],
+  },
+  {
+    name: "Dumbbell shoulder press", type: "strength", primary: ["shoulders"], secondary: ["arms", "core"], equipment: ["dumbbells"], difficulty: "beginner", met: 5.0, unilateral: false,
+    instructions: ["Hold dumbbells at shoulder height, palms forward.", "Brace the core and press overhead until the arms are straight.", "Lower back to the shoulders under control."],
+    substitutions: ["Pike push-ups", "Lateral raise"],
+  },
+  {
+    name: "Lateral raise", type: "strength", primary: ["shoulders"], secondary: [], equipment: ["dumbbells"], difficulty: "beginner", met: 3.5, unilateral: false,
+    instructions: ["Stand with light dumbbells at your sides.", "Raise the arms out to shoulder height, elbows slightly bent.", "Lower slowly."],
+    substitutions: ["Band pull-apart", "Dumbbell shoulder press"],
+  },
+  {
+    name: "Inverted row", type: "strength", primary: ["back"], secondary: ["arms"], equipment: ["bar"], difficulty: "beginner", met: 4.0, unilateral: false,
+    instructions: ["Hang under a low bar (or sturdy table edge) with straight arms and heels on the floor.", "Pull the chest to the bar, squeezing the shoulder blades together.", "Lower with control; bend the knees to make it easier."],
+    substitutions: ["Dumbbell row", "Pull-ups", "Band pull-apart"],
+  },
+  {
+    name: "Pull-ups", type: "strength", primary: ["back"], secondary: ["arms", "core"], equipment: ["bar"], difficulty: "advanced", met: 8.0, unilateral: false,
+    instructions: ["Hang from a bar with hands just wider than shoulders.", "Pull until the chin clears the bar, leading with the chest.", "Lower all the way to straight arms."],
+    substitutions: ["Inverted row", "Dumbbell row"],
+  },
+  {
+    name: "Dumbbell row", type: "strength", primary: ["back"], secondary: ["arms"], equipment: ["dumbbells", "bench"], difficulty: "beginner", met: 5.0, unilateral: true,
+    instructions: ["Support one knee and hand on a bench, back flat.", "Row the dumbbell toward the hip, keeping the elbow close.", "Lower fully, finish the set, then switch sides."],
+    substitutions: ["Inverted row", "Band pull-apart"],
+  },
+  {
+    name: "Superman", type: "strength", primary: ["back"], secondary: ["legs"], equipment: ["none"], difficulty: "beginner", met: 3.0, unilateral: false,
+    instructions: ["Lie face down with arms extended overhead.", "Lift arms, chest and legs a few centimetres off the floor.", "Hold for two seconds and lower."],
+    substitutions: ["Romanian deadlift", "Inverted row"],
+  },
+  {
+    name: "Band pull-apart", type: "strength", primary: ["back"], secondary: ["shoulders"], equipment: ["band"], difficulty: "beginner", met: 2.8, unilateral: false,
+    instructions: ["Hold a band at shoulder height with straight arms.", "Pull it apart until it touches the chest, squeezing the shoulder blades.", "Return slowly."],
+    substitutions: ["Inverted row", "Lateral raise"],
+  },
+  {
+    name: "Biceps curl", type: "strength", primary: ["arms"], secondary: [], equipment: ["dumbbells"], difficulty: "beginner", met: 3.5, unilateral: false,
+    instructions: ["Stand with dumbbells at your sides, palms forward.", "Curl the weights up without swinging the elbows forward.", "Lower all the way down."],
+    substitutions: ["Inverted row"],
+  },
+  {
+    name: "Triceps extension", type: "strength", primary: ["arms"], secondary: [], equipment: ["dumbbells"], difficulty: "beginner", met: 3.5, unilateral: false,
+    instructions: ["Hold one dumbbell overhead with both hands.", "Bend the elbows to lower it behind your head, upper arms still.", "Extend back to the top."],
+    substitutions: ["Dips", "Push-ups"],
+  },
+  {
+    name: "Plank", type: "strength", timed: true, primary: ["core"], secondary: ["shoulders"], equipment: ["none"], difficulty: "beginner", met: 3.8, unilateral: false,
+    instructions: ["Forearms under shoulders, body in a straight line from head to heels.", "Brace the abs and squeeze the glutes.", "Hold without letting the hips sag or pike."],
+    substitutions: ["Dead bug", "Side plank"],
+  },
+  {
+    name: "Side plank", type: "strength", timed: true, primary: ["core"], secondary: ["shoulders"], equipment: ["none"], difficulty: "beginner", met: 3.8, unilateral: true,
+    instructions: ["Lie on one side with the elbow under the shoulder.", "Lift the hips so the body forms a straight line.", "Hold, then switch sides."],
+    substitutions: ["Plank", "Dead bug"],
+  },
+  {
+    name: "Dead bug", type: "strength", primary: ["core"], secondary: [], equipment: ["none"], difficulty: "beginner", met: 3.0, unilateral: false,
+    instructions: ["Lie on your back, arms up and knees over hips.", "Press the lower back into the floor.", "Lower the opposite arm and leg toward the floor, return and alternate."],
+    substitutions: ["Plank", "Bicycle crunch"],
+  },
+  {
+    name: "Bicycle crunch", type: "strength", primary: ["core"], secondary: [], equipment: ["none"], difficulty: "beginner", met: 3.8, unilateral: false,
+    instructions: ["Lie on your back with hands lightly behind the head.", "Bring one knee in while rotating the opposite elbow toward it.", "Switch sides in a pedalling motion."],
+    substitutions: ["Dead bug", "Mountain climbers"],
+  },
+  {
+    name: "Mountain climbers", type: "strength", timed: true, primary: ["core"], secondary: ["shoulders", "legs"], equipment: ["none"], difficulty: "intermediate", met: 8.0, unilateral: false,
+    instructions: ["Start in a high plank.", "Drive the knees toward the chest one at a time, quickly.", "Keep the hips level with the shoulders."],
+    substitutions: ["Plank", "Burpees"],
+  },
+  {
+    name: "Burpees", type: "cardio", timed: true, primary: ["cardio"], secondary: ["legs", "chest"], equipment: ["none"], difficulty: "intermediate", met: 8.0, unilateral: false,
+    instructions: ["From standing, squat and place the hands on the floor.", "Jump the feet back to a plank, then jump them back in.", "Explode up into a jump with arms overhead."],
+    substitutions: ["Jumping jacks", "Mountain climbers"],
+  },
+  {
+    name: "Jumping jacks", type: "cardio", timed: true, primary: ["cardio"], secondary: ["legs"], equipment: ["none"], difficulty: "beginner", met: 7.7, unilateral: false,
+    instructions: ["Jump the feet wide while raising the arms overhead.", "Jump back to feet together, arms at sides.", "Keep a steady rhythm on the balls of the feet."],
+    substitutions: ["Jump rope", "Burpees"],
+  },
+  {
+    name: "Jump rope", type: "cardio", timed: true, primary: ["cardio"], secondary: ["legs"], equipment: ["rope"], difficulty: "intermediate", met: 11.8, unilateral: false,
+    instructions: ["Turn the rope from the wrists, elbows close to the body.", "Hop just high enough to clear the rope.", "Land softly on the balls of the feet."],
+    substitutions: ["Jumping jacks", "Run"],
+  },
+  {
+    name: "Brisk walk", type: "cardio", primary: ["cardio"], secondary: ["legs"], equipment: ["none"], difficulty: "beginner", met: 4.3, unilateral: false,
+    instructions: ["Walk at a pace where you can talk but not sing (about 6 km/h).", "Swing the arms and keep a tall posture."],
+    substitutions: ["Run", "Bike"],
+  },
+  {
+    name: "Run", type: "cardio", primary: ["cardio"], secondary: ["legs"], equipment: ["none"], difficulty: "intermediate", met: 9.8, unilateral: false,
+    instructions: ["Run at a steady, conversational pace (about 9–10 km/h).", "Land under your hips with short, quick steps.", "Walk breaks are fine; keep the total time."],
+    substitutions: ["Brisk walk", "Bike", "Row"],
+  },
+  {
+    name: "Bike", type: "cardio", primary: ["cardio"], secondary: ["legs"], equipment: ["bike"], difficulty: "beginner", met: 6.8, unilateral: false,
+    instructions: ["Set the saddle so the knee is slightly bent at the bottom of the stroke.", "Pedal at a moderate effort, about 80–90 rpm."],
+    substitutions: ["Run", "Row", "Brisk walk"],
+  },
+  {
+    name: "Row", type: "cardio", primary: ["cardio"], secondary: ["back", "legs", "arms"], equipment: ["rower"], difficulty: "intermediate", met: 7.0, unilateral: false,
+    instructions: ["Push with the legs first, then lean back slightly and pull the handle to the ribs.", "Return arms, then body, then knees.", "Aim for a steady 22–26 strokes per minute."],
+    substitutions: ["Bike", "Run"],
+  },
+];
+export const exerciseByName = (name) => exercisesLib.find(e => e.name === name) || null;
+
+// Small seeded PRNG (mulberry32): the same seed always yields the same sequence
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Per goal: how many strength / cardio exercises a training day gets and how each is dosed.
+// Timed cardio (burpees, jump rope) is done as intervals instead of one steady block.
+export const PLAN_RULES = {
+  general: { strength: 3, cardio: 1, maxLevel: "intermediate", dose: { sets: 3, reps: 12, seconds: 40 }, cardioDose: { minutes: 20, sets: 8, seconds: 30 } },
+  strength: { strength: 4, cardio: 0, maxLevel: "advanced", dose: { sets: 5, reps: 6, seconds: 45 }, cardioDose: null },
+  cardio: { strength: 2, cardio: 1, maxLevel: "intermediate", dose: { sets: 3, reps: 15, seconds: 45 }, cardioDose: { minutes: 35, sets: 12, seconds: 40 } },
+};
+// Back-to-back training days alternate between these halves; isolated days train both
+export const PLAN_SPLITS = [["legs", "core"], ["chest", "back", "shoulders", "arms"]];
+
+/**
+ * Builds a 7-day plan with `days` training days spread through the week and rest days between.
+ * Exercises are chosen to even out weekly volume per primary muscle group, and a group trained
+ * one day is never trained the next (cardio is exempt). `equipment` limits the catalog to what
+ * the user owns (bodyweight work is always allowed; null means anything). Deterministic for a
+ * given goal, days, equipment and seed.
+ * Returns [{ day, rest, exercises: [{ name, sets, reps } | { name, sets, seconds } | { name, minutes }] }].
+ */
+export function recommendPlan({ goal = "general", days = 3, seed = 1, equipment = null } = {}) {
+  console.log("[debug] generate plan", { goal, days, seed });
+  const rules = PLAN_RULES[goal] || PLAN_RULES.general;
+  const catalog = exercisesLib.filter(e =>
+    DIFFICULTY.indexOf(e.difficulty) <= DIFFICULTY.indexOf(rules.maxLevel) &&
+    (!equipment || e.equipment.every(k => k === "none" || equipment.includes(k))));
+  const rand = seededRandom(seed);
+  const n = Math.min(7, Math.max(1, days));
+  const trains = Array.from({ length: 7 }, () => false);
+  for (let k = 0; k < n; k++) trains[Math.floor(k * 7 / n)] = true;
+  const volume = {}; // muscle group -> exercises planned so far this week
+  const used = {}; // exercise name -> times planned, so variants rotate
+  const load = (groups) => groups.reduce((s, m) => s + (volume[m] || 0), 0);
+  let previous = null; // muscle groups allowed on the previous day, null after a rest day
+
+  const pick = (type, count, allowed) => {
+    const chosen = [];
+    for (let i = 0; i < count; i++) {
+      const options = catalog
+        .filter(e => e.type === type && !chosen.includes(e) && e.primary.every(m => m === "cardio" || allowed.includes(m)))
+        // Least-trained groups first, then least-used exercise, then a seeded tiebreak
+        .map(e => ({ e, score: load(e.primary) * 10 + (used[e.name] || 0) + rand() }))
+        .sort((a, b) => a.score - b.score);
+      if (!options.length) break;
+      const { e } = options[0];
+      chosen.push(e);
+      e.primary.forEach(m => { volume[m] = (volume[m] || 0) + 1; });
+      used[e.name] = (used[e.name] || 0) + 1;
+    }
+    return chosen;
+  };
+
+  return trains.map((training, i) => {
+    if (!training) {
+      previous = null;
+      return { day: i + 1, rest: true, exercises: [] };
+    }
+    let allowed;
+    if (previous) allowed = PLAN_SPLITS.find(half => half.every(m => !previous.includes(m)));
+    else if (trains[i + 1]) allowed = [...PLAN_SPLITS].sort((a, b) => load(a) / a.length - load(b) / b.length || rand() - 0.5)[0];
+    else allowed = PLAN_SPLITS.flat();
+    previous = allowed;
+    const cardio = pick("cardio", rules.cardio, allowed);
+    const strength = pick("strength", rules.strength, allowed);
+    const { sets, reps, seconds } = rules.dose;
+    const exercises = [
+      ...cardio.map(({ name, timed }) => (timed ? { name, sets: rules.cardioDose.sets, seconds: rules.cardioDose.seconds } : { name, minutes: rules.cardioDose.minutes })),
+      ...strength.map(e => (e.timed ? { name: e.name, sets, seconds } : { name: e.name, sets, reps })),
+    ];
+    return { day: i + 1, rest: false, exercises };
+  });
+}
@@ -0,0 +1,85 @@
+// Reminder timing: which reminders are due when, and a scheduler that fires them. No DOM or
+// storage here; the app supplies delivery and persistence, and tests supply a fake clock.
+// Times are local wall-clock times; days are Date#getDay() numbers (0 = Sunday).
+
+export const REMINDER_MAX_TIMER = 60 * 60 * 1000; // re-check at least hourly (sleep, clock and DST changes)
+export const REMINDER_CATCH_UP = 24 * 60 * 60 * 1000; // missed while closed: only the last day is delivered
+
+export const isHHMM = (t) => typeof t === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(t);
+export const hhmmMinutes = (t) => Number(t.slice(0, 2)) * 60 + Number(t.slice(3));
+
+// Quiet hours may wrap past midnight (22:00–07:00); equal ends mean no quiet hours
+export function inQuietHours(date, quiet) {
+  if (!quiet || quiet.from === quiet.to) return false;
+  const m = date.getHours() * 60 + date.getMinutes();
+  const from = hhmmMinutes(quiet.from), to = hhmmMinutes(quiet.to);
+  return from < to ? m >= from && m < to : m >= from || m < to;
+}
+
+// First time strictly after `afterMs` that `item` fires (local time), or null if it has no days
+export function nextOccurrence(item, afterMs) {
+  if (!item.days.length) return null;
+  const base = new Date(afterMs);
+  const [h, m] = item.time.split(":").map(Number);
+  for (let i = 0; i <= 7; i++) {
+    const at = new Date(base.getFullYear(), base.getMonth(), base.getDate() + i, h, m);
+    if (at.getTime() > afterMs && item.days.includes(at.getDay())) return at.getTime();
+  }
+  return null;
+}
+
+/** Occurrences in (sinceMs, nowMs], at most one per reminder (the latest) and none older than a day. */
+export function dueReminders(config, sinceMs, nowMs) {
+  if (!config.enabled) return [];
+  const due = [];
+  for (const item of config.items) {
+    if (!item.on) continue;
+    let last = null;
+    for (let at = nextOccurrence(item, Math.max(sinceMs, nowMs - REMINDER_CATCH_UP)); at !== null && at <= nowMs; at = nextOccurrence(item, at)) last = at;
+    if (last !== null) due.push({ id: `${item.id}@${last}`, reminderId: item.id, kind: item.kind, at: last, quiet: inQuietHours(new Date(last), config.quiet) });
+  }
+  return due.sort((a, b) => a.at - b.at);
+}
+
+export const systemClock = { now: () => Date.now(), setTimeout: (fn, ms) => setTimeout(fn, ms), clearTimeout: (t) => clearTimeout(t) };
+
+/**
+ * Fires reminders on time. All time comes from `clock` ({ now, setTimeout, clearTimeout }), so a
+ * fake clock can drive it in tests. `deliver(occurrence)` is called for each due reminder and
+ * `onCheck(ms)` after every check so the caller can persist how far it got.
+ */
+export function createReminderScheduler({ clock = systemClock, deliver, onCheck = () => {} }) {
+  let config = null, lastCheck = null, timer = null;
+  const schedule = () => {
+    if (timer !== null) clock.clearTimeout(timer);
+    timer = null;
+    if (!config?.enabled) return;
+    const now = clock.now();
+    const next = Math.min(...config.items.filter(i => i.on).map(i => nextOccurrence(i, now) ?? Infinity));
+    timer = clock.setTimeout(check, Math.min(Math.max(0, next - now), REMINDER_MAX_TIMER));
+  };
+  const check = () => {
+    timer = null;
+    if (!config) return;
+    const now = clock.now();
+    const due = dueReminders(config, lastCheck ?? now, now);
+    lastCheck = now;
+    onCheck(now);
+    due.forEach(deliver);
+    schedule();
+  };
+  return {
+    /** Starts (or restarts) with `config`; `since` is the last check persisted by a previous session. */
+    start(nextConfig, since = null) {
+      config = nextConfig;
+      if (lastCheck === null) lastCheck = since;
+      check();
+    },
+    stop() {
+      if (timer !== null) clock.clearTimeout(timer);
+      timer = null;
+      config = null;
+    },
+    check,
+  };
+}
@@ -1,6 +1,9 @@
-import React, { useEffect, useMemo, useRef, useState } from "https://esm.sh/react@18";
-import { Activity, Apple, Award, BarChart3, Bell, Camera, Check, ChevronRight, Flame, HeartPulse, Medal, Menu, Settings, Sparkles, Star, TimerReset, Trophy, Upload, User } from "https://esm.sh/lucide-react@0.378.0";
-import { LineChart, Line, XAxis, YAxis, ResponsiveContainer, Tooltip, AreaChart, Area, CartesianGrid } from "https://esm.sh/recharts@2";
+function _extends() { return _extends = Object.assign ? Object.assign.bind() : function (n) { for (var e = 1; e < arguments.length; e++) { var t = arguments[e]; for (var r in t) ({}).hasOwnProperty.call(t, r) && (n[r] = t[r]); } return n; }, _extends.apply(null, arguments); }
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "https://esm.sh/react@18";
+import { Activity, Apple, Award, BarChart3, Bell, BookOpen, Camera, Check, ChevronLeft, ChevronRight, Flame, HeartPulse, Lock, LockOpen, Medal, Menu, Redo2, ScanBarcode, Settings, ShieldCheck, Sparkles, Star, TimerReset, Trash2, Trophy, Undo2, Upload, User } from "https://esm.sh/lucide-react@0.378.0";
+import { LineChart, Line, XAxis, YAxis, ResponsiveContainer, Tooltip, AreaChart, Area, CartesianGrid, ReferenceLine } from "https://esm.sh/recharts@2";
+import { DIFFICULTY, EQUIPMENT, MUSCLE_GROUPS, exerciseByName, exercisesLib, recommendPlan, seededRandom } from "./lib/planner.js";
+import { createReminderScheduler, isHHMM, hhmmMinutes } from "./lib/reminders.js";
 // v0.0.1 m
 /**
  * Telegram Fitness & Nutrition Coach — Figma-like Mock
@@ -9,12 +12,12 @@ import { LineChart, Line, XAxis, YAxis, ResponsiveContainer, Tooltip, AreaChart,
  * Goals:
  *  - Ready-to-use mock flows/screens for stakeholder reviews and quick iteration
  *  - Visually polished (light theme by default, supports dark) with Tailwind
- *  - Self-contained: fake services, Device/Secure storage shims, debug console
+ *  - Self-contained: fake services, Device/Secure/Cloud storage adapters, debug console
  *  - Mini App screens: Dashboard, Meals, Workout, Goals, Profile
  *  - Landing page: hero, features, social proof, CTA
  *
  * Notes:
- *  - No real backend calls; all data mocked and stored locally
+ *  - No real backend calls; all data mocked and stored on device (Telegram storage or browser)
  *  - Safe to host as static page; when opened inside Telegram WebApp, will pick up theme
  *  - Console logs are added for traceability ("debug events")
  */
@@ -25,134 +28,4963 @@ import { LineChart, Line, XAxis, YAxis, ResponsiveContainer, Tooltip, AreaChart,
  */
 
 // ------------------------------
-// Storage shims (DeviceStorage / SecureStorage mock)
+// Storage adapters (Telegram DeviceStorage / SecureStorage / CloudStorage)
 // ------------------------------
+// Each store exposes the same async API: get(key, fallback), set(key, value), remove(key).
+// Inside Telegram (Bot API 9.0+ for Device/Secure, 6.9+ for Cloud) values go to the
+// WebApp storage APIs, anywhere else to browser storage. The backend is chosen once, on first
+// use, and kept: a failing Telegram call rejects instead of quietly writing somewhere else.
 const NS = "tgcoach";
-const deviceStore = {
-  get(key, fallback) {
+const tgWebApp = () => window?.Telegram?.WebApp;
+function webStorageBackend(storage, prefix) {
+  return {
+    name: `web:${prefix}`,
+    async getItem(key) {
+      return storage.getItem(`${NS}:${prefix}:${key}`);
+    },
+    async setItem(key, raw) {
+      storage.setItem(`${NS}:${prefix}:${key}`, raw);
+    },
+    async removeItem(key) {
+      storage.removeItem(`${NS}:${prefix}:${key}`);
+    }
+  };
+}
+
+// Wraps one of the callback-style Telegram storages; keys are limited to [A-Za-z0-9_-], so any
+// other character (e.g. the ":" in "vault:meta") is written as "-" plus two hex digits.
+function tgStorageBackend(api, name) {
+  const call = (method, ...args) => new Promise((resolve, reject) => {
+    api[method](...args, (err, result) => err ? reject(new Error(`${name}.${method}: ${err}`)) : resolve(result));
+  });
+  const tgKey = key => `${NS}_${key.replace(/[^A-Za-z0-9_]/g, c => `-${c.charCodeAt(0).toString(16).padStart(2, "0")}`)}`;
+  return {
+    name,
+    async getItem(key) {
+      const v = await call("getItem", tgKey(key));
+      return v === "" || v === undefined ? null : v;
+    },
+    async setItem(key, raw) {
+      await call("setItem", tgKey(key), raw);
+    },
+    async removeItem(key) {
+      await call("removeItem", tgKey(key));
+    }
+  };
+}
+
+// Returns the Telegram storage API when this client supports it
+function tgStorageApi(tgApi, minVersion) {
+  const tg = tgWebApp();
+  const api = tg?.[tgApi];
+  return api && (tg.isVersionAtLeast?.(minVersion) ?? true) ? api : null;
+}
+function createStore(label, {
+  tgApi,
+  minVersion,
+  fallback
+}) {
+  let backend = null;
+  const resolveBackend = () => {
+    if (!backend) {
+      const api = tgStorageApi(tgApi, minVersion);
+      backend = api ? tgStorageBackend(api, tgApi) : fallback();
+      console.log("[debug] storage backend", label, backend.name);
+    }
+    return backend;
+  };
+  const run = (method, ...args) => resolveBackend()[method](...args);
+  return {
+    label,
+    // Storage errors reject; only an unreadable stored value falls back to `fallbackValue`
+    async get(key, fallbackValue) {
+      const v = await run("getItem", key);
+      try {
+        return v ? JSON.parse(v) : fallbackValue;
+      } catch (e) {
+        console.debug(`${label}.get unparseable`, key, e);
+        return fallbackValue;
+      }
+    },
+    async set(key, value) {
+      await run("setItem", key, JSON.stringify(value));
+    },
+    async remove(key) {
+      await run("removeItem", key);
+    }
+  };
+}
+
+// Per-device data (meal log, plans, UI state)
+const deviceStore = createStore("deviceStore", {
+  tgApi: "DeviceStorage",
+  minVersion: "9.0",
+  fallback: () => webStorageBackend(localStorage, "dev")
+});
+// Key material only, kept in the OS keychain by Telegram (max 10 items)
+const keychainStore = createStore("keychainStore", {
+  tgApi: "SecureStorage",
+  minVersion: "9.0",
+  fallback: () => webStorageBackend(sessionStorage, "sec")
+});
+// Small settings synced across the user's devices (values are capped at 4096 chars)
+const cloudStore = createStore("cloudStore", {
+  tgApi: "CloudStorage",
+  minVersion: "6.9",
+  fallback: () => webStorageBackend(localStorage, "cloud")
+});
+
+// Loads that failed, each with a way to try again. ViewLoading lists them with a Retry button
+// instead of spinning forever; `id` is any object identifying the loader.
+function createLoadErrors() {
+  let state = []; // [{ id, label, message, retry }]
+  const listeners = new Set();
+  const emit = next => {
+    state = next;
+    listeners.forEach(fn => fn(state));
+  };
+  return {
+    get state() {
+      return state;
+    },
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    report(id, label, error, retry) {
+      console.debug(`${label} load error`, error);
+      emit([...state.filter(x => x.id !== id), {
+        id,
+        label,
+        message: error?.message || String(error),
+        retry
+      }]);
+    },
+    clear(id) {
+      if (state.some(x => x.id === id)) emit(state.filter(x => x.id !== id));
+    },
+    retryAll() {
+      const failed = state;
+      emit([]);
+      failed.forEach(x => x.retry());
+    }
+  };
+}
+const loadErrors = createLoadErrors();
+function useLoadErrors() {
+  const [errors, setErrors] = useState(loadErrors.state);
+  useEffect(() => loadErrors.subscribe(setErrors), []);
+  return errors;
+}
+
+// Loads `key` from `store` once, then writes back on every change made through the setter.
+// A failed load is reported to loadErrors (and returned as `error`); Retry loads it again.
+// Nothing is written until the user changes the value, so slow loads never clobber stored data.
+function usePersistentState(store, key, fallback) {
+  const [value, setValue] = useState(fallback);
+  const [loading, setLoading] = useState(true);
+  const dirty = useRef(false);
+  const saved = useRef(fallback); // last value known to be in the store
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+  const id = useRef({}).current;
+  useEffect(() => {
+    let alive = true;
+    store.get(key, fallback).then(v => {
+      if (!alive) return;
+      saved.current = v;
+      if (!dirty.current) setValue(v);
+      setError(null);
+      setLoading(false);
+    }, e => {
+      // Stays "loading" so nothing is written over a value that couldn't be read
+      if (!alive) return;
+      setError(e);
+      loadErrors.report(id, key, e, () => setAttempt(n => n + 1));
+    });
+    return () => {
+      alive = false;
+      loadErrors.clear(id);
+    };
+  }, [store, key, attempt]);
+  useEffect(() => {
+    if (loading || !dirty.current || value === saved.current) return;
+    // A change that can't be saved (storage error, vault locked) is undone rather than shown
+    store.set(key, value).then(() => {
+      saved.current = value;
+    }, e => {
+      console.debug(`${store.label}.set error`, key, e);
+      setValue(v => v === value ? saved.current : v);
+    });
+  }, [store, key, value, loading]);
+  const update = useCallback(next => {
+    dirty.current = true;
+    setValue(next);
+  }, []);
+  return [value, update, loading, error];
+}
+
+// ------------------------------
+// Encrypted vault (AES-GCM via WebCrypto) behind secureStore
+// ------------------------------
+// A random data key encrypts every vault item; that data key is stored wrapped by a key
+// derived from the user's PIN (PBKDF2) or by a device key kept in Telegram SecureStorage.
+// Ciphertexts live in deviceStore under "vault:*"; the plain data key exists only in memory
+// while unlocked, and auto-lock drops it after a period of inactivity.
+// Key rotation writes a new generation (`meta.gen`) of items and device key next to the
+// current one; the meta write is the switch-over, so a failure before it changes nothing.
+const VAULT_META = "vault:meta";
+const vaultItemKey = (gen, key) => gen ? `vault:item:${gen}:${key}` : `vault:item:${key}`;
+const vaultDeviceKeyName = gen => gen ? `vaultKey_${gen}` : "vaultKey";
+const PBKDF2_ITERATIONS = 310000;
+const textEnc = new TextEncoder();
+const textDec = new TextDecoder();
+const b64 = {
+  encode(bytes) {
+    const u8 = new Uint8Array(bytes);
+    let bin = "";
+    for (let i = 0; i < u8.length; i += 0x8000) bin += String.fromCharCode(...u8.subarray(i, i + 0x8000));
+    return btoa(bin);
+  },
+  decode(str) {
+    return Uint8Array.from(atob(str), ch => ch.charCodeAt(0));
+  }
+};
+const randomBytes = n => crypto.getRandomValues(new Uint8Array(n));
+async function derivePinKey(pin, salt, iterations) {
+  const base = await crypto.subtle.importKey("raw", textEnc.encode(pin), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey({
+    name: "PBKDF2",
+    hash: "SHA-256",
+    salt,
+    iterations
+  }, base, {
+    name: "AES-GCM",
+    length: 256
+  }, false, ["wrapKey", "unwrapKey"]);
+}
+const importDeviceKey = raw => crypto.subtle.importKey("raw", raw, "AES-GCM", false, ["wrapKey", "unwrapKey"]);
+async function wrapDataKey(dataKey, wrappingKey) {
+  const iv = randomBytes(12);
+  const ct = await crypto.subtle.wrapKey("raw", dataKey, wrappingKey, {
+    name: "AES-GCM",
+    iv
+  });
+  return {
+    iv: b64.encode(iv),
+    ct: b64.encode(ct)
+  };
+}
+function unwrapDataKey(wrapped, wrappingKey, extractable = false) {
+  return crypto.subtle.unwrapKey("raw", b64.decode(wrapped.ct), wrappingKey, {
+    name: "AES-GCM",
+    iv: b64.decode(wrapped.iv)
+  }, "AES-GCM", extractable, ["encrypt", "decrypt"]);
+}
+
+// The item key is bound as additional data so ciphertexts cannot be swapped between keys
+async function encryptItem(dataKey, key, value) {
+  const iv = randomBytes(12);
+  const ct = await crypto.subtle.encrypt({
+    name: "AES-GCM",
+    iv,
+    additionalData: textEnc.encode(key)
+  }, dataKey, textEnc.encode(JSON.stringify(value)));
+  return {
+    iv: b64.encode(iv),
+    ct: b64.encode(ct)
+  };
+}
+async function decryptItem(dataKey, key, item) {
+  const pt = await crypto.subtle.decrypt({
+    name: "AES-GCM",
+    iv: b64.decode(item.iv),
+    additionalData: textEnc.encode(key)
+  }, dataKey, b64.decode(item.ct));
+  return JSON.parse(textDec.decode(pt));
+}
+function createVault() {
+  let meta = null;
+  let dataKey = null;
+  let status = "loading"; // loading | uninitialized | locked | unlocked
+  let autoLockMs = 5 * 60 * 1000;
+  let lockTimer = null;
+  const listeners = new Set();
+  const emit = next => {
+    status = next;
+    listeners.forEach(fn => fn(status));
+  };
+  const armAutoLock = () => {
+    clearTimeout(lockTimer);
+    if (status === "unlocked" && autoLockMs > 0) lockTimer = setTimeout(() => {
+      console.log("[debug] vault auto-locked");
+      vault.lock();
+    }, autoLockMs);
+  };
+  const loadMeta = async () => {
+    meta = await deviceStore.get(VAULT_META, null);
+    if (status === "loading") emit(meta ? "locked" : "uninitialized");
+    return meta;
+  };
+  // Builds the key that wraps the data key; "device" mode keeps a random key in the keychain
+  const wrappingKeyFor = async (mode, pin, salt, iterations, gen = 0, createDeviceKey = false) => {
+    if (mode === "pin") return derivePinKey(pin, salt, iterations);
+    let raw = await keychainStore.get(vaultDeviceKeyName(gen), null);
+    if (createDeviceKey || !raw) {
+      if (!createDeviceKey) throw new Error("Device key missing from Telegram SecureStorage");
+      raw = b64.encode(randomBytes(32));
+      await keychainStore.set(vaultDeviceKeyName(gen), raw);
+    }
+    return importDeviceKey(b64.decode(raw));
+  };
+  const buildMeta = async (mode, key, wrappingKey, salt, iterations, keys, gen = 0) => ({
+    v: 1,
+    mode,
+    gen,
+    salt: salt && b64.encode(salt),
+    iterations,
+    wrapped: await wrapDataKey(key, wrappingKey),
+    keys,
+    rotatedAt: new Date().toISOString()
+  });
+  const unlockWith = async wrappingKey => {
+    try {
+      dataKey = await unwrapDataKey(meta.wrapped, wrappingKey);
+    } catch (e) {
+      throw new Error(meta.mode === "pin" ? "Wrong PIN" : "Could not unlock with the Telegram key");
+    }
+    emit("unlocked");
+    armAutoLock();
+  };
+  const vault = {
+    label: "secureStore",
+    get status() {
+      return status;
+    },
+    get mode() {
+      return meta?.mode;
+    },
+    get rotatedAt() {
+      return meta?.rotatedAt;
+    },
+    deviceKeyAvailable: () => !!tgStorageApi("SecureStorage", "9.0"),
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    init: () => meta ? Promise.resolve(meta) : loadMeta(),
+    /** First-time setup with a PIN (mode "pin") or a Telegram-held device key (mode "device"). */
+    async setup({
+      mode,
+      pin
+    }) {
+      if (mode === "pin" && !isValidPin(pin)) throw new Error("PIN must be at least 4 digits");
+      const salt = mode === "pin" ? randomBytes(16) : null;
+      const wrappingKey = await wrappingKeyFor(mode, pin, salt, PBKDF2_ITERATIONS, 0, true);
+      const key = await crypto.subtle.generateKey({
+        name: "AES-GCM",
+        length: 256
+      }, true, ["encrypt", "decrypt"]);
+      const next = await buildMeta(mode, key, wrappingKey, salt, PBKDF2_ITERATIONS, []);
+      await deviceStore.set(VAULT_META, next);
+      meta = next;
+      dataKey = key;
+      console.log("[debug] vault created", {
+        mode
+      });
+      emit("unlocked");
+      armAutoLock();
+    },
+    async unlock(pin) {
+      await vault.init();
+      const salt = meta.salt && b64.decode(meta.salt);
+      await unlockWith(await wrappingKeyFor(meta.mode, pin, salt, meta.iterations, meta.gen));
+    },
+    lock() {
+      clearTimeout(lockTimer);
+      dataKey = null;
+      if (status === "unlocked") emit("locked");
+    },
+    /** Any user interaction pushes the auto-lock deadline back. */
+    touch() {
+      if (status === "unlocked") armAutoLock();
+    },
+    setAutoLock(minutes) {
+      autoLockMs = Math.max(0, minutes) * 60 * 1000;
+      armAutoLock();
+    },
+    /**
+     * Re-encrypts every item under a fresh data key and a fresh wrapping key.
+     * In PIN mode the current PIN is re-checked and `newPin` (if given) replaces it.
+     */
+    async rotate({
+      pin,
+      newPin
+    } = {}) {
+      if (status !== "unlocked") throw new Error("Unlock the vault first");
+      if (meta.mode === "pin") {
+        await unwrapDataKey(meta.wrapped, await derivePinKey(pin, b64.decode(meta.salt), meta.iterations)).catch(() => {
+          throw new Error("Wrong PIN");
+        });
+        if (newPin !== undefined && !isValidPin(newPin)) throw new Error("New PIN must be at least 4 digits");
+      }
+      const prev = meta;
+      const gen = (prev.gen || 0) + 1;
+      // All reads and crypto first; an unreadable item aborts before anything is written
+      const items = {};
+      for (const key of prev.keys) items[key] = await vault.get(key, null);
+      const nextKey = await crypto.subtle.generateKey({
+        name: "AES-GCM",
+        length: 256
+      }, true, ["encrypt", "decrypt"]);
+      const encrypted = {};
+      for (const key of prev.keys) if (items[key] !== null) encrypted[key] = await encryptItem(nextKey, key, items[key]);
+      const salt = prev.mode === "pin" ? randomBytes(16) : null;
+      const written = [];
+      let next;
+      try {
+        const wrappingKey = await wrappingKeyFor(prev.mode, newPin ?? pin, salt, PBKDF2_ITERATIONS, gen, prev.mode === "device");
+        for (const [key, item] of Object.entries(encrypted)) {
+          await deviceStore.set(vaultItemKey(gen, key), item);
+          written.push(key);
+        }
+        next = await buildMeta(prev.mode, nextKey, wrappingKey, salt, PBKDF2_ITERATIONS, Object.keys(encrypted), gen);
+        await deviceStore.set(VAULT_META, next);
+      } catch (e) {
+        // The stored meta still points at the previous generation; drop what was written for this one
+        console.log("[debug] vault rotation failed", e);
+        for (const key of written) await deviceStore.remove(vaultItemKey(gen, key)).catch(() => {});
+        if (prev.mode === "device") await keychainStore.remove(vaultDeviceKeyName(gen)).catch(() => {});
+        throw e;
+      }
+      meta = next;
+      dataKey = nextKey;
+      // The old generation is unreachable now; a failed clean-up only leaves unused data behind
+      for (const key of prev.keys) await deviceStore.remove(vaultItemKey(prev.gen, key)).catch(e => console.debug("vault cleanup error", e));
+      if (prev.mode === "device") await keychainStore.remove(vaultDeviceKeyName(prev.gen)).catch(e => console.debug("vault cleanup error", e));
+      console.log("[debug] vault key rotated", {
+        items: prev.keys.length,
+        gen
+      });
+      armAutoLock();
+    },
+    /** Forgets the key and erases every encrypted item (used when the PIN is lost). */
+    async reset() {
+      await vault.init();
+      for (const key of meta?.keys || []) await deviceStore.remove(vaultItemKey(meta.gen, key));
+      await deviceStore.remove(VAULT_META);
+      await keychainStore.remove(vaultDeviceKeyName(meta?.gen));
+      clearTimeout(lockTimer);
+      meta = null;
+      dataKey = null;
+      emit("uninitialized");
+    },
+    // Store API (same shape as deviceStore). Reads while locked return `fallback`; a stored item
+    // that fails to decrypt rejects, so nobody mistakes the fallback for it and saves over it.
+    async get(key, fallback) {
+      if (!dataKey) {
+        console.debug("secureStore.get while locked", key);
+        return fallback;
+      }
+      const item = await deviceStore.get(vaultItemKey(meta.gen, key), null);
+      if (!item) return fallback;
+      try {
+        return await decryptItem(dataKey, key, item);
+      } catch (e) {
+        console.debug("secureStore.get decrypt error", key, e);
+        throw new Error(`Couldn't decrypt ${key}`);
+      }
+    },
+    // Rejects while locked (e.g. auto-lock fired with a sheet open) and on storage errors
+    async set(key, value) {
+      if (!dataKey) throw new Error("Health data is locked");
+      await deviceStore.set(vaultItemKey(meta.gen, key), await encryptItem(dataKey, key, value));
+      if (!meta.keys.includes(key)) {
+        meta = {
+          ...meta,
+          keys: [...meta.keys, key]
+        };
+        await deviceStore.set(VAULT_META, meta);
+      }
+    },
+    async remove(key) {
+      await deviceStore.remove(vaultItemKey(meta?.gen, key));
+      if (meta?.keys.includes(key)) {
+        meta = {
+          ...meta,
+          keys: meta.keys.filter(k => k !== key)
+        };
+        await deviceStore.set(VAULT_META, meta);
+      }
+    }
+  };
+  return vault;
+}
+const isValidPin = pin => /^\d{4,12}$/.test(pin || "");
+// Sensitive health data (weight, HRV, sleep, progress photos); encrypted at rest
+const secureStore = createVault();
+function useVault() {
+  const [status, setStatus] = useState(secureStore.status);
+  useEffect(() => {
+    const off = secureStore.subscribe(setStatus);
+    secureStore.init().then(() => setStatus(secureStore.status), e => console.debug("vault init error", e));
+    return off;
+  }, []);
+  return status;
+}
+
+// ------------------------------
+// Schema versioning & migrations
+// ------------------------------
+// deviceStore "schema" holds { version, history[] }. At startup every migration newer than
+// the stored version runs in order, then each known key is validated; values (or list items)
+// that fail validation are moved to deviceStore "quarantine" instead of reaching the views.
+const isNum = v => typeof v === "number" && Number.isFinite(v);
+const isStr = v => typeof v === "string" && v.trim() !== "";
+const check = (ok, reason) => ok ? null : reason;
+
+// Validators return null when the value is fine, otherwise a short reason
+const validateMeal = m => check(m && typeof m === "object", "not an object") || check(isStr(m.id), "missing id") || check(isStr(m.title), "missing title") || check(["calories", "p", "c", "f"].every(k => isNum(m[k]) && m[k] >= 0), "bad calories/macros") || check(typeof m.when === "string" && /^\d{2}:\d{2}$/.test(m.when), "bad time") || check(isDayKey(m.date), "missing date") || check(MEAL_SLOTS.some(s => s.k === m.slot), "bad slot") || check(m.photoId === undefined || isStr(m.photoId), "bad photo id");
+const validatePlanExercise = e => check(e && typeof e === "object" && isStr(e.name), "missing name") || check(["sets", "reps", "seconds", "minutes"].every(k => e[k] === undefined || isNum(e[k]) && e[k] > 0), "bad dose");
+const validatePlanDay = d => check(d && typeof d === "object", "not an object") || check(Number.isInteger(d.day) && d.day > 0, "bad day") || check(d.rest === undefined || typeof d.rest === "boolean", "bad rest flag") || check(Array.isArray(d.exercises) && d.exercises.every(e => !validatePlanExercise(e)), "bad exercises");
+const validateLoggedSet = s => check(s && typeof s === "object", "not an object") || check(["reps", "weight", "seconds", "minutes", "at"].every(k => s[k] === undefined || isNum(s[k]) && s[k] >= 0), "bad set values");
+const validateSessionExercises = list => check(Array.isArray(list) && list.every(e => isStr(e?.name) && Array.isArray(e.sets) && e.sets.every(x => !validateLoggedSet(x))), "bad exercises");
+const validateWorkout = w => check(w && typeof w === "object", "not an object") || check(isStr(w.id), "missing id") || check(isDayKey(w.date), "missing date") || check(isNum(w.startedAt) && isNum(w.endedAt) && w.endedAt >= w.startedAt, "bad times") || check(w.kcal === undefined || isNum(w.kcal) && w.kcal >= 0, "bad kcal") || validateSessionExercises(w.exercises);
+const validateActivity = a => check(a && typeof a === "object", "not an object") || check(isStr(a.id) && isStr(a.name), "missing id/name") || check(isDayKey(a.date) && typeof a.when === "string" && /^\d{2}:\d{2}$/.test(a.when), "bad date/time") || check(["met", "minutes", "kcal"].every(k => isNum(a[k]) && a[k] >= 0), "bad numbers");
+const validateReminders = v => check(v && typeof v === "object" && typeof v.enabled === "boolean", "not a reminder config") || check(isHHMM(v.quiet?.from) && isHHMM(v.quiet?.to), "bad quiet hours") || check(Array.isArray(v.items), "items not a list") || v.items.map(i => check(i && isStr(i.id) && REMINDER_KINDS.some(k => k.k === i.kind) && isHHMM(i.time) && typeof i.on === "boolean", "bad reminder") || check(Array.isArray(i.days) && i.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6), "bad weekdays")).find(Boolean) || null;
+const validateLedgerEntry = x => check(x && typeof x === "object", "not an object") || check(isStr(x.id) && isStr(x.rule) && isStr(x.reason), "missing id/rule/reason") || check(isDayKey(x.date) && isNum(x.at) && Number.isInteger(x.points), "bad date/points");
+const validateSession = v => v === null ? null : check(v && typeof v === "object" && isNum(v.startedAt) && Number.isInteger(v.current), "not a session") || validateSessionExercises(v.exercises);
+const SCHEMA = {
+  meals: {
+    store: () => deviceStore,
+    item: validateMeal
+  },
+  plan: {
+    store: () => deviceStore,
+    item: validatePlanDay
+  },
+  planSeed: {
+    store: () => deviceStore,
+    value: v => check(Number.isInteger(v) && v >= 0, "bad seed")
+  },
+  session: {
+    store: () => deviceStore,
+    value: validateSession
+  },
+  workouts: {
+    store: () => deviceStore,
+    item: validateWorkout
+  },
+  activities: {
+    store: () => deviceStore,
+    item: validateActivity
+  },
+  restSeconds: {
+    store: () => cloudStore,
+    value: v => check(Number.isInteger(v) && v >= 10 && v <= 600, "rest out of range")
+  },
+  ledger: {
+    store: () => deviceStore,
+    item: validateLedgerEntry
+  },
+  // [{ from: day, kcal }], oldest first: the calorie target in force from each day on
+  targetHistory: {
+    store: () => deviceStore,
+    item: x => check(x && isDayKey(x.from) && isNum(x.kcal) && x.kcal > 0, "bad target entry")
+  },
+  achievements: {
+    store: () => deviceStore,
+    value: v => check(v && typeof v === "object" && !Array.isArray(v) && Object.values(v).every(isNum), "bad achievements")
+  },
+  boardPeriod: {
+    store: () => deviceStore,
+    value: v => check(BOARD_PERIODS.some(p => p.k === v), "unknown period")
+  },
+  boardScope: {
+    store: () => deviceStore,
+    value: v => check(BOARD_SCOPES.some(sc => sc.k === v), "unknown scope")
+  },
+  chartRange: {
+    store: () => deviceStore,
+    value: v => check([7, 30, 90].includes(v), "unknown range")
+  },
+  tab: {
+    store: () => deviceStore,
+    value: v => check(["home", "meals", "workout", "goals", "profile"].includes(v), "unknown tab")
+  },
+  macroTargets: {
+    store: () => cloudStore,
+    value: v => check(v === null || ["p", "c", "f"].every(k => isNum(v[k]) && v[k] >= 0), "bad macro targets")
+  },
+  kcalTarget: {
+    store: () => cloudStore,
+    value: v => check(isNum(v) && v >= 800 && v <= 10000, "target out of range")
+  },
+  name: {
+    store: () => cloudStore,
+    value: v => check(typeof v === "string", "not a string")
+  },
+  goal: {
+    store: () => cloudStore,
+    value: v => check(["general", "strength", "cardio"].includes(v), "unknown goal")
+  },
+  days: {
+    store: () => cloudStore,
+    value: v => check(Number.isInteger(v) && v >= 1 && v <= 7, "bad day count")
+  },
+  reminders: {
+    store: () => cloudStore,
+    value: validateReminders
+  },
+  planSchedule: {
+    store: () => deviceStore,
+    value: v => check(v && (v.start === null || isDayKey(v.start)) && isHHMM(v.time) && SESSION_LENGTHS.includes(v.minutes) && Number.isInteger(v.weeks) && v.weeks >= 1, "bad schedule")
+  },
+  busyCalendar: {
+    store: () => deviceStore,
+    value: v => check(v === null || isStr(v.name) && Array.isArray(v.events) && v.events.every(e => isDayKey(e.date) && isNum(e.durationMs)), "bad busy calendar")
+  },
+  wearableSteps: {
+    store: () => deviceStore,
+    value: v => check(v && typeof v === "object" && Object.values(v).every(days => Object.entries(days).every(([d, n]) => isDayKey(d) && isNum(n))), "bad step series")
+  },
+  reminderInbox: {
+    store: () => deviceStore,
+    item: x => check(x && isStr(x.id) && isStr(x.title) && isNum(x.at), "bad inbox entry")
+  },
+  reminderLastCheck: {
+    store: () => deviceStore,
+    value: v => check(isNum(v), "not a timestamp")
+  },
+  streakRules: {
+    store: () => cloudStore,
+    value: v => check(STREAK_RULES.every(r => typeof v[r.k] === "boolean") && STREAK_RULES.some(r => v[r.k]), "bad streak rules")
+  },
+  streakRecord: {
+    store: () => deviceStore,
+    value: v => check(v === null || Number.isInteger(v.days) && v.days >= 0 && (!v.days || isDayKey(v.from) && isDayKey(v.to)), "bad streak record")
+  }
+};
+
+// Ordered; never edit a shipped migration, append a new one instead. Migrations reach storage only
+// through `ctx` ({ device, cloud, secure, legacy, quarantine }), so the same steps can upgrade
+// the values inside an older export archive (see migrateArchive).
+const MIGRATIONS = [{
+  version: 1,
+  name: "Adopt unversioned data and move settings to CloudStorage",
+  async up(ctx) {
+    // Releases before the storage adapters wrote everything to localStorage "tgcoach:dev:*".
+    // The keys of that release, frozen here so later SCHEMA changes don't alter this step.
+    const {
+      device,
+      cloud,
+      legacy
+    } = ctx;
+    const targets = {
+      meals: device,
+      plan: device,
+      points: device,
+      rank: device,
+      tab: device,
+      kcalTarget: cloud,
+      name: cloud,
+      goal: cloud,
+      days: cloud,
+      reminders: cloud
+    };
+    for (const [key, store] of Object.entries(targets)) {
+      const raw = await legacy.getItem(key).catch(() => null);
+      if (!raw) continue;
+      if ((await store.get(key, undefined)) !== undefined) continue;
+      try {
+        await store.set(key, JSON.parse(raw));
+      } catch (e) {
+        await ctx.quarantine(key, raw, "unparseable JSON");
+      }
+    }
+  }
+}, {
+  version: 2,
+  name: "Date meals and assign meal slots",
+  async up({
+    device
+  }) {
+    // Entries logged before the diary had only a time; they were all shown as the current
+    // day, so they keep that meaning and land on the day of the upgrade.
+    const meals = await device.get("meals", undefined);
+    if (!Array.isArray(meals)) return;
+    const today = dayKey();
+    const dated = meals.map(m => {
+      // Older uploads stored a locale time such as "08:40 PM"; normalise to 24h "HH:MM"
+      const t = typeof m?.when === "string" && m.when.match(/^(\d{1,2}):(\d{2})\s*([ap])?/i);
+      if (!t) return m;
+      let h = Number(t[1]) % (t[3] ? 12 : 24);
+      if (t[3] && t[3].toLowerCase() === "p") h += 12;
+      const when = `${pad2(h)}:${t[2]}`;
+      return {
+        ...m,
+        when,
+        date: isDayKey(m.date) ? m.date : today,
+        slot: m.slot || slotForTime(when)
+      };
+    });
+    await device.set("meals", dated);
+  }
+}, {
+  version: 3,
+  name: "Give plan exercises a prescription object",
+  async up({
+    device
+  }) {
+    // Plans used to list bare exercise names; keep them, just without sets/reps
+    const plan = await device.get("plan", undefined);
+    if (!Array.isArray(plan)) return;
+    await device.set("plan", plan.map(d => Array.isArray(d?.exercises) ? {
+      ...d,
+      exercises: d.exercises.map(e => typeof e === "string" ? {
+        name: e
+      } : e)
+    } : d));
+  }
+}, {
+  version: 4,
+  name: "Carry the manual point total into the ledger",
+  async up({
+    device
+  }) {
+    // Points used to be a bare number edited with +25/Undo; keep the balance as one entry
+    const points = await device.get("points", undefined);
+    if (points === undefined) return;
+    if (Number.isFinite(points) && points > 0 && !(await device.get("ledger", undefined))) {
+      await device.set("ledger", [{
+        id: "carry",
+        rule: "carry",
+        date: dayKey(),
+        at: Date.now(),
+        points: Math.round(points),
+        reason: "Balance carried over"
+      }]);
+    }
+    await device.remove("points");
+  }
+}, {
+  version: 5,
+  name: "Turn the reminders switch into a schedule",
+  async up({
+    cloud
+  }) {
+    // "reminders" was a bare on/off flag; keep its meaning as the master switch
+    const flag = await cloud.get("reminders", undefined);
+    if (typeof flag === "boolean") await cloud.set("reminders", {
+      ...DEFAULT_REMINDERS,
+      enabled: flag
+    });
+  }
+}];
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+async function quarantine(key, value, reason) {
+  const list = await deviceStore.get("quarantine", []);
+  list.push({
+    key,
+    value,
+    reason,
+    at: new Date().toISOString()
+  });
+  await deviceStore.set("quarantine", list);
+  console.log("[debug] quarantined", {
+    key,
+    reason
+  });
+}
+
+// Moves invalid values / list items out of the way; returns how many were quarantined
+async function validateStoredData() {
+  let moved = 0;
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const store = spec.store();
+    const value = await store.get(key, undefined);
+    if (value === undefined) continue;
+    if (spec.item) {
+      if (!Array.isArray(value)) {
+        await quarantine(key, value, "not a list");
+        await store.remove(key);
+        moved++;
+        continue;
+      }
+      const kept = [];
+      for (const item of value) {
+        const reason = spec.item(item);
+        if (reason) {
+          await quarantine(key, item, reason);
+          moved++;
+        } else kept.push(item);
+      }
+      if (kept.length !== value.length) await store.set(key, kept);
+    } else {
+      const reason = spec.value(value);
+      if (reason) {
+        await quarantine(key, value, reason);
+        await store.remove(key);
+        moved++;
+      }
+    }
+  }
+  return moved;
+}
+async function runMigrations() {
+  const state = await deviceStore.get("schema", {
+    version: 0,
+    history: []
+  });
+  const ctx = {
+    device: deviceStore,
+    cloud: cloudStore,
+    secure: secureStore,
+    legacy: webStorageBackend(localStorage, "dev"),
+    quarantine
+  };
+  for (const m of MIGRATIONS.filter(m => m.version > state.version)) {
+    const started = Date.now();
+    const entry = {
+      version: m.version,
+      name: m.name,
+      at: new Date().toISOString()
+    };
+    try {
+      await m.up(ctx);
+      state.version = m.version;
+      state.history.push({
+        ...entry,
+        ms: Date.now() - started
+      });
+    } catch (e) {
+      // Stop here: later migrations may depend on this one. It is retried next launch.
+      console.log("[debug] migration failed", m.version, e);
+      state.history.push({
+        ...entry,
+        ms: Date.now() - started,
+        error: String(e?.message || e)
+      });
+      break;
+    }
+  }
+  const quarantined = await validateStoredData();
+  if (quarantined) state.history.push({
+    version: state.version,
+    name: "Validation",
+    at: new Date().toISOString(),
+    quarantined
+  });
+  await deviceStore.set("schema", state);
+  console.log("[debug] schema ready", {
+    version: state.version,
+    latest: SCHEMA_VERSION
+  });
+  return state;
+}
+
+// Runs once per page load, shared by every MiniApp instance and by shared data loaders
+let migrationsPromise = null;
+const migrationsReady = () => migrationsPromise = migrationsPromise || runMigrations().catch(e => console.log("[debug] migrations error", e));
+function useMigrations() {
+  const [ready, setReady] = useState(false);
+  useEffect(() => {
+    let alive = true;
+    migrationsReady().then(() => alive && setReady(true));
+    return () => {
+      alive = false;
+    };
+  }, []);
+  return ready;
+}
+
+// ------------------------------
+// Shared values (one copy per page)
+// ------------------------------
+// usePersistentState gives every component its own copy, which is fine for a value only one
+// view edits. Values that several views write and others derive from (scoring, streaks,
+// reminders) live here instead: one module-level copy, loaded after migrations, that every
+// subscriber sees change. Values in the vault are dropped on lock and reloaded on unlock.
+function createSharedValue(store, key, fallback) {
+  let state = {
+    loaded: false,
+    value: fallback
+  };
+  let loading = null;
+  let generation = 0;
+  const listeners = new Set();
+  const emit = next => {
+    state = next;
+    listeners.forEach(fn => fn(state));
+  };
+  const shared = {
+    key,
+    get state() {
+      return state;
+    },
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    load() {
+      const gen = generation;
+      loading = loading || migrationsReady().then(() => store.get(key, fallback)).then(value => {
+        loadErrors.clear(shared);
+        if (gen === generation && !state.loaded) emit({
+          loaded: true,
+          value
+        });
+      }).catch(e => {
+        loading = null;
+        loadErrors.report(shared, key, e, shared.load);
+      });
+      return loading;
+    },
+    /**
+     * Replaces the value (or applies `fn(value) => value`) for every subscriber and persists it.
+     * If the write fails (e.g. the vault locked meanwhile) the change is undone.
+     */
+    set(next) {
+      const prev = state;
+      const value = typeof next === "function" ? next(state.value) : next;
+      if (value === state.value && state.loaded) return;
+      emit({
+        loaded: true,
+        value
+      });
+      store.set(key, value).catch(e => {
+        console.debug(`${key} save error`, e);
+        if (state.value === value) emit(prev);
+      });
+    }
+  };
+  store.subscribe?.(() => {
+    generation++;
+    loading = null;
+    emit({
+      loaded: false,
+      value: fallback
+    });
+    if (listeners.size) shared.load();
+  });
+  return shared;
+}
+
+// Same [value, setValue, loading] shape as usePersistentState
+function useSharedValue(shared) {
+  const [state, setState] = useState(shared.state);
+  useEffect(() => {
+    const off = shared.subscribe(setState);
+    setState(shared.state);
+    shared.load();
+    return off;
+  }, [shared]);
+  return [state.value, shared.set, !state.loaded];
+}
+const workoutHistory = createSharedValue(deviceStore, "workouts", []);
+const activityLog = createSharedValue(deviceStore, "activities", []);
+const kcalTargetSetting = createSharedValue(cloudStore, "kcalTarget", 2000);
+const weighInLog = createSharedValue(secureStore, "weighIns", []);
+const weightSetting = createSharedValue(secureStore, "weightKg", null);
+const targetHistory = createSharedValue(deviceStore, "targetHistory", []);
+
+// ------------------------------
+// Dates & meal slots
+// ------------------------------
+// Diary days are local calendar dates ("YYYY-MM-DD"): a meal belongs to the day the user
+// ate it on, wherever they are now.
+const pad2 = n => String(n).padStart(2, "0");
+const nowHHMM = (d = new Date()) => `${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+const dayKey = (d = new Date()) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+const parseDayKey = key => {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d);
+};
+const shiftDay = (key, n) => {
+  const d = parseDayKey(key);
+  d.setDate(d.getDate() + n);
+  return dayKey(d);
+};
+const isDayKey = v => typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v);
+function formatDayLabel(key, today = dayKey()) {
+  if (key === today) return "Today";
+  if (key === shiftDay(today, -1)) return "Yesterday";
+  return parseDayKey(key).toLocaleDateString([], {
+    weekday: "short",
+    month: "short",
+    day: "numeric"
+  });
+}
+const MEAL_SLOTS = [{
+  k: "breakfast",
+  label: "Breakfast"
+}, {
+  k: "lunch",
+  label: "Lunch"
+}, {
+  k: "dinner",
+  label: "Dinner"
+}, {
+  k: "snack",
+  label: "Snacks"
+}];
+// Default slot for a "HH:MM" time; anything between main meals counts as a snack
+function slotForTime(when) {
+  const [h, m] = when.split(":").map(Number);
+  const mins = h * 60 + m;
+  if (mins >= 4 * 60 && mins < 11 * 60) return "breakfast";
+  if (mins >= 11 * 60 && mins < 15 * 60) return "lunch";
+  if (mins >= 17 * 60 && mins < 22 * 60) return "dinner";
+  return "snack";
+}
+
+// ------------------------------
+// Fake domain services
+// ------------------------------
+// Assumed body weight for calorie estimates until the user records their own
+const DEFAULT_WEIGHT_KG = 70;
+const exerciseKcal = (ex, minutes, weightKg = DEFAULT_WEIGHT_KG) => burnKcal(ex.met, weightKg, minutes);
+
+// Library search over name, muscles and equipment; filters are exact-match, "" means any
+function filterExercises(list, {
+  query = "",
+  muscle = "",
+  equipment = "",
+  difficulty = ""
+} = {}) {
+  const terms = normalizeText(query).split(" ").filter(Boolean);
+  return list.filter(e => {
+    if (muscle && !e.primary.includes(muscle) && !e.secondary.includes(muscle)) return false;
+    if (equipment && !e.equipment.includes(equipment)) return false;
+    if (difficulty && e.difficulty !== difficulty) return false;
+    const haystack = normalizeText([e.name, ...e.primary, ...e.secondary, ...e.equipment.map(k => EQUIPMENT[k])].join(" "));
+    return terms.every(t => haystack.includes(t));
+  });
+}
+
+// Short prescription label, e.g. "3×12", "3×40s", "20 min"
+const formatDose = ex => ex.minutes ? `${ex.minutes} min` : ex.seconds ? `${ex.sets}×${ex.seconds}s` : ex.reps ? `${ex.sets}×${ex.reps}` : "";
+
+// ------------------------------
+// Workout sessions & history
+// ------------------------------
+// The active session is written to deviceStore on every change and the rest timer stores an
+// absolute end time, so reloading or backgrounding the app resumes exactly where it was.
+// Session: { startedAt, planDay, current, restSeconds, rest: { endsAt, notified } | null,
+//            exercises: [{ name, target: { sets, reps | seconds | minutes }, sets: [set] }] }
+// A logged set is { reps, weight? } | { seconds } | { minutes } plus `at` (ms).
+const REST_PRESETS = [30, 60, 90, 120, 180];
+const startSession = (planDay, restSeconds = 90, now = Date.now()) => ({
+  startedAt: now,
+  planDay: planDay.day,
+  current: 0,
+  restSeconds,
+  rest: null,
+  exercises: planDay.exercises.map(({
+    name,
+    ...target
+  }) => ({
+    name,
+    target,
+    sets: []
+  }))
+});
+
+// How a set of this exercise is measured: "reps" (optionally with weight), "seconds" or "minutes"
+const setMetric = target => target.minutes ? "minutes" : target.seconds ? "seconds" : "reps";
+
+// Completed-workout record for the history; exercises without logged sets are left out
+function finishSession(session, now = Date.now()) {
+  return {
+    id: `w${session.startedAt}`,
+    date: dayKey(new Date(session.startedAt)),
+    startedAt: session.startedAt,
+    endedAt: now,
+    planDay: session.planDay,
+    exercises: session.exercises.filter(e => e.sets.length).map(({
+      name,
+      sets
+    }) => ({
+      name,
+      sets
+    }))
+  };
+}
+const formatSet = s => s.minutes ? `${s.minutes} min` : s.seconds ? `${s.seconds}s` : `${s.reps}${s.weight ? ` × ${s.weight} kg` : ""}`;
+const formatClock = sec => `${Math.floor(sec / 60)}:${pad2(sec % 60)}`;
+
+// ------------------------------
+// Calorie burn (MET × body weight × duration) & manual activities
+// ------------------------------
+// kcal = MET × 3.5 × kg / 200 per minute (ACSM). Workouts and activities store the kcal
+// computed when they were logged, so later weight changes don't rewrite past days.
+const burnKcal = (met, weightKg, minutes) => Math.round(met * 3.5 * weightKg / 200 * minutes);
+
+// Common activities for manual logging (Compendium of Physical Activities, 2011)
+const ACTIVITY_TYPES = [{
+  name: "Walking",
+  met: 3.5
+}, {
+  name: "Brisk walk",
+  met: 4.3
+}, {
+  name: "Hiking",
+  met: 5.3
+}, {
+  name: "Running",
+  met: 9.8
+}, {
+  name: "Cycling",
+  met: 6.8
+}, {
+  name: "Swimming",
+  met: 5.8
+}, {
+  name: "Elliptical",
+  met: 5.0
+}, {
+  name: "Strength training",
+  met: 3.5
+}, {
+  name: "Yoga",
+  met: 2.5
+}, {
+  name: "Dancing",
+  met: 5.0
+}, {
+  name: "Football",
+  met: 7.0
+}, {
+  name: "Basketball",
+  met: 6.5
+}, {
+  name: "Tennis",
+  met: 7.3
+}, {
+  name: "Housework",
+  met: 3.3
+}, {
+  name: "Gardening",
+  met: 3.8
+}];
+
+/**
+ * Burn for a finished workout. Timed sets count their own duration; the rest of the session
+ * (including rests) is shared among rep-based exercises by set count, each at its own MET.
+ */
+function workoutBurn(workout, weightKg) {
+  const totalMin = (workout.endedAt - workout.startedAt) / 60000;
+  const rows = workout.exercises.map(e => ({
+    met: exerciseByName(e.name)?.met ?? 3.5,
+    timedMin: e.sets.reduce((m, s) => m + (s.minutes || 0) + (s.seconds || 0) / 60, 0),
+    repSets: e.sets.filter(s => s.reps).length
+  }));
+  const timedTotal = rows.reduce((m, r) => m + r.timedMin, 0);
+  const repSets = rows.reduce((n, r) => n + r.repSets, 0);
+  const shared = Math.max(0, totalMin - timedTotal);
+  return rows.reduce((kcal, r) => kcal + burnKcal(r.met, weightKg, r.timedMin + (repSets ? shared * r.repSets / repSets : 0)), 0);
+}
+
+/** The draft's `log_activity`: builds a manual activity entry with its burn for `weightKg`. */
+function logActivity({
+  name,
+  met,
+  minutes,
+  date = dayKey(),
+  when = nowHHMM()
+}, weightKg) {
+  return {
+    id: `a${Date.now()}`,
+    date,
+    when,
+    name,
+    met,
+    minutes,
+    kcal: burnKcal(met, weightKg, minutes),
+    weightKg
+  };
+}
+
+// Total kcal burned on `date` from finished workouts and manual activities; workouts saved
+// before burn tracking have no kcal and are estimated at `weightKg`
+const burnedOn = (workouts, activities, date, weightKg) => workouts.filter(w => w.date === date).reduce((s, w) => s + (w.kcal ?? workoutBurn(w, weightKg)), 0) + activities.filter(a => a.date === date).reduce((s, a) => s + a.kcal, 0);
+
+// Body weight for calorie maths: the vault's "weightKg" while unlocked, otherwise an assumption
+function useBodyWeight() {
+  const [value] = useSharedValue(weightSetting);
+  const kg = isNum(value) && value > 0 ? value : null;
+  return {
+    kg: kg ?? DEFAULT_WEIGHT_KG,
+    known: kg !== null
+  };
+}
+
+// ------------------------------
+// Body profile & energy targets
+// ------------------------------
+// secureStore "body" holds { sex, birthDate, heightCm, activity, pace }; the weight lives in
+// secureStore "weightKg" so weigh-ins can update it on their own.
+const ACTIVITY_LEVELS = [{
+  k: "sedentary",
+  label: "Sedentary (desk job, little exercise)",
+  factor: 1.2
+}, {
+  k: "light",
+  label: "Light (exercise 1–3 days/week)",
+  factor: 1.375
+}, {
+  k: "moderate",
+  label: "Moderate (exercise 3–5 days/week)",
+  factor: 1.55
+}, {
+  k: "active",
+  label: "Active (hard exercise 6–7 days/week)",
+  factor: 1.725
+}, {
+  k: "very",
+  label: "Very active (physical job + training)",
+  factor: 1.9
+}];
+// kg per week; 1 kg of body fat ≈ 7700 kcal
+const GOAL_PACES = [{
+  k: "lose-fast",
+  label: "Lose 0.75 kg/week",
+  kgPerWeek: -0.75
+}, {
+  k: "lose",
+  label: "Lose 0.5 kg/week",
+  kgPerWeek: -0.5
+}, {
+  k: "lose-slow",
+  label: "Lose 0.25 kg/week",
+  kgPerWeek: -0.25
+}, {
+  k: "maintain",
+  label: "Maintain weight",
+  kgPerWeek: 0
+}, {
+  k: "gain",
+  label: "Gain 0.25 kg/week",
+  kgPerWeek: 0.25
+}];
+const KCAL_PER_KG = 7700;
+const BODY_LIMITS = {
+  heightCm: [120, 230],
+  weightKg: [30, 300],
+  age: [16, 100]
+};
+const ageOn = (birthDate, today = dayKey()) => {
+  const [by, bm, bd] = birthDate.split("-").map(Number);
+  const [ty, tm, td] = today.split("-").map(Number);
+  return ty - by - (tm < bm || tm === bm && td < bd ? 1 : 0);
+};
+
+// Mifflin-St Jeor resting energy expenditure, kcal/day
+const bmrMifflin = ({
+  sex,
+  weightKg,
+  heightCm,
+  age
+}) => 10 * weightKg + 6.25 * heightCm - 5 * age + (sex === "male" ? 5 : -161);
+
+/**
+ * BMR, TDEE and suggested targets for a saved body profile. The calorie target follows the
+ * goal pace but never drops below 1500 (men) / 1200 (women) kcal; protein is 1.6 g/kg
+ * (1.8 while losing), fat 25% of calories and carbs fill the rest.
+ */
+function energyTargets(body, weightKg, today = dayKey()) {
+  const bmr = bmrMifflin({
+    sex: body.sex,
+    weightKg,
+    heightCm: body.heightCm,
+    age: ageOn(body.birthDate, today)
+  });
+  const tdee = bmr * ACTIVITY_LEVELS.find(a => a.k === body.activity).factor;
+  const pace = GOAL_PACES.find(p => p.k === body.pace);
+  const floor = body.sex === "male" ? 1500 : 1200;
+  const kcal = Math.round(Math.max(floor, tdee + pace.kgPerWeek * KCAL_PER_KG / 7) / 10) * 10;
+  const p = Math.round(weightKg * (pace.kgPerWeek < 0 ? 1.8 : 1.6));
+  const f = Math.round(kcal * 0.25 / KCAL_PER_G.f);
+  const c = Math.max(0, Math.round((kcal - p * KCAL_PER_G.p - f * KCAL_PER_G.f) / KCAL_PER_G.c));
+  return {
+    bmr: Math.round(bmr),
+    tdee: Math.round(tdee),
+    kcal,
+    macros: {
+      p,
+      c,
+      f
+    }
+  };
+}
+
+/** Validates the body profile form (input strings); returns { errors, body, weightKg }. */
+function validateBodyForm(form, today = dayKey()) {
+  const errors = {};
+  const inRange = (k, label) => {
+    const v = Number(String(form[k] ?? "").trim() || NaN);
+    const [min, max] = BODY_LIMITS[k];
+    if (!Number.isFinite(v)) errors[k] = `${label} is required`;else if (v < min || v > max) errors[k] = `${label} must be ${min}–${max}`;
+    return v;
+  };
+  if (!["male", "female"].includes(form.sex)) errors.sex = "Pick one";
+  if (!isDayKey(form.birthDate)) errors.birthDate = "Enter your birth date";else {
+    const age = ageOn(form.birthDate, today);
+    if (age < BODY_LIMITS.age[0] || age > BODY_LIMITS.age[1]) errors.birthDate = `Age must be ${BODY_LIMITS.age[0]}–${BODY_LIMITS.age[1]}`;
+  }
+  const heightCm = inRange("heightCm", "Height");
+  const weightKg = inRange("weightKg", "Weight");
+  if (!ACTIVITY_LEVELS.some(a => a.k === form.activity)) errors.activity = "Pick an activity level";
+  if (!GOAL_PACES.some(p => p.k === form.pace)) errors.pace = "Pick a goal";
+  if (Object.keys(errors).length) return {
+    errors,
+    body: null,
+    weightKg: null
+  };
+  return {
+    errors,
+    body: {
+      sex: form.sex,
+      birthDate: form.birthDate,
+      heightCm: round1(heightCm),
+      activity: form.activity,
+      pace: form.pace
+    },
+    weightKg: round1(weightKg)
+  };
+}
+
+// ------------------------------
+// Weigh-ins, trend & goal projection
+// ------------------------------
+// secureStore "weighIns" is [{ id, date, kg, waistCm?, hipCm?, bodyFatPct? }], one per day;
+// the newest weigh-in is mirrored to "weightKg" for BMR and burn estimates.
+const TREND_ALPHA = 0.1; // per-day smoothing factor, as in the Hacker's Diet moving average
+const MEASURE_LIMITS = {
+  kg: [30, 300],
+  waistCm: [40, 200],
+  hipCm: [50, 200],
+  bodyFatPct: [3, 70]
+};
+const daysBetween = (a, b) => Math.round((parseDayKey(b) - parseDayKey(a)) / 86400000);
+
+/**
+ * Adds an exponentially smoothed `trend` to date-sorted weigh-ins. A gap of n days applies
+ * n days' worth of smoothing, so sparse logging doesn't make the trend lag.
+ */
+function weightTrend(entries, alpha = TREND_ALPHA) {
+  const sorted = [...entries].sort((a, b) => a.date.localeCompare(b.date));
+  let prev = null;
+  return sorted.map(e => {
+    const trend = prev ? prev.trend + (1 - (1 - alpha) ** Math.max(1, daysBetween(prev.date, e.date))) * (e.kg - prev.trend) : e.kg;
+    prev = {
+      date: e.date,
+      trend
+    };
+    return {
+      ...e,
+      trend: Math.round(trend * 100) / 100
+    };
+  });
+}
+
+// kg/week from a least-squares fit of the trend over the last `windowDays`; null without 7+ days of data
+function weeklyRate(points, windowDays = 28) {
+  if (points.length < 2) return null;
+  const last = points[points.length - 1].date;
+  const recent = points.filter(p => daysBetween(p.date, last) <= windowDays);
+  const xs = recent.map(p => -daysBetween(p.date, last));
+  if (recent.length < 2 || -xs[0] < 7) return null;
+  const mx = xs.reduce((s, x) => s + x, 0) / xs.length;
+  const my = recent.reduce((s, p) => s + p.trend, 0) / recent.length;
+  const sxx = xs.reduce((s, x) => s + (x - mx) ** 2, 0);
+  const sxy = xs.reduce((s, x, i) => s + (x - mx) * (recent[i].trend - my), 0);
+  return sxy / sxx * 7;
+}
+
+// Day the trend reaches `goalKg` at the current rate, or null if it is moving away / too slow
+function projectGoalDate(trendKg, ratePerWeek, goalKg, from = dayKey()) {
+  if (!isNum(goalKg) || !ratePerWeek) return null;
+  const days = Math.ceil((goalKg - trendKg) / ratePerWeek * 7);
+  if (days < 0 || days > 730) return null;
+  return shiftDay(from, days);
+}
+
+/** Validates the weigh-in form; weight is required, the measurements are optional. */
+function validateWeighIn(form, today = dayKey()) {
+  const errors = {};
+  const entry = {};
+  if (!isDayKey(form.date)) errors.date = "Pick a date";else if (form.date > today) errors.date = "Can't log future weigh-ins";else entry.date = form.date;
+  for (const [k, [min, max]] of Object.entries(MEASURE_LIMITS)) {
+    const raw = String(form[k] ?? "").trim();
+    if (raw === "") {
+      if (k === "kg") errors.kg = "Weight is required";
+      continue;
+    }
+    const v = Number(raw);
+    if (!Number.isFinite(v) || v < min || v > max) errors[k] = `${min}–${max}`;else entry[k] = round1(v);
+  }
+  return Object.keys(errors).length ? {
+    errors,
+    entry: null
+  } : {
+    errors,
+    entry
+  };
+}
+
+// ------------------------------
+// Streaks
+// ------------------------------
+// Everything is derived from the diary, workouts and activities, keyed by the local calendar
+// day each entry was logged on (dayKey uses local time, never UTC). Day arithmetic goes
+// through shiftDay/daysBetween, so DST days of 23 or 25 hours still count as one day.
+const STREAK_RULES = [{
+  k: "meals",
+  label: "Logged a meal"
+}, {
+  k: "underTarget",
+  label: "Stayed under target"
+}, {
+  k: "trained",
+  label: "Trained"
+}];
+const DEFAULT_STREAK_RULES = {
+  meals: true,
+  underTarget: false,
+  trained: false
+};
+const STREAK_FREEZE_EVERY = 7; // a freeze is earned for every 7 successful days…
+const STREAK_FREEZE_MAX = 2; // …and at most this many are banked
+
+// Per-day facts the rules are checked against: { meals, kcal, burned, trained }
+function dayActivity({
+  meals,
+  workouts,
+  activities,
+  weightKg
+}) {
+  const days = new Map();
+  const get = date => days.get(date) || days.set(date, {
+    meals: 0,
+    kcal: 0,
+    burned: 0,
+    trained: false
+  }).get(date);
+  for (const m of meals) {
+    const d = get(m.date);
+    d.meals++;
+    d.kcal += m.calories;
+  }
+  for (const w of workouts) {
+    const d = get(w.date);
+    d.trained = true;
+    d.burned += w.kcal ?? workoutBurn(w, weightKg);
+  }
+  for (const a of activities) {
+    const d = get(a.date);
+    d.trained = true;
+    d.burned += a.kcal;
+  }
+  return days;
+}
+
+// A day succeeds when every enabled rule holds; "under target" needs food logged and compares net kcal
+const isStreakDay = (day, rules, target) => !!day && (!rules.meals || day.meals > 0) && (!rules.underTarget || day.meals > 0 && day.kcal - day.burned <= target) && (!rules.trained || day.trained);
+
+/**
+ * Walks every day from the first successful one to `today`. Missed days are bridged by a
+ * banked freeze when one is available; freezes are earned every STREAK_FREEZE_EVERY successful
+ * days. Today never breaks the streak: it only extends it once it succeeds.
+ * Returns { current, since, longest: { days, from, to }, freezes, todayDone, status: Map(date → "done" | "frozen" | "missed") }.
+ */
+function computeStreaks(isDone, firstDay, today = dayKey()) {
+  const status = new Map();
+  let current = 0,
+    start = null,
+    freezes = 0,
+    earned = 0;
+  let longest = {
+    days: 0,
+    from: null,
+    to: null
+  };
+  if (!firstDay) return {
+    current,
+    since: null,
+    longest,
+    freezes,
+    todayDone: false,
+    status
+  };
+  for (let d = firstDay; d <= today; d = shiftDay(d, 1)) {
+    if (isDone(d)) {
+      if (!current) start = d;
+      current++;
+      status.set(d, "done");
+      if (++earned % STREAK_FREEZE_EVERY === 0) freezes = Math.min(STREAK_FREEZE_MAX, freezes + 1);
+      if (current > longest.days) longest = {
+        days: current,
+        from: start,
+        to: d
+      };
+    } else if (d === today) {
+      break; // still time to complete it
+    } else if (current && freezes) {
+      freezes--;
+      status.set(d, "frozen");
+    } else {
+      current = 0;
+      earned = 0;
+      status.set(d, "missed");
+    }
+  }
+  return {
+    current,
+    since: current ? start : null,
+    longest,
+    freezes,
+    todayDone: status.get(today) === "done",
+    status
+  };
+}
+
+// Today's key, refreshed at local midnight and when the app comes back to the foreground
+function useToday() {
+  const [today, setToday] = useState(dayKey);
+  useEffect(() => {
+    let timer;
+    const refresh = () => {
+      setToday(dayKey());
+      const next = new Date();
+      next.setHours(24, 0, 1, 0);
+      clearTimeout(timer);
+      timer = setTimeout(refresh, next - Date.now());
+    };
+    refresh();
+    document.addEventListener("visibilitychange", refresh);
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener("visibilitychange", refresh);
+    };
+  }, []);
+  return today;
+}
+
+// Streak state from the shared meal log plus workouts/activities; also keeps the best-ever record
+function useStreak() {
+  const today = useToday();
+  const {
+    meals,
+    loading: loadingMeals
+  } = useMealLog();
+  const [workouts,, loadingWorkouts] = useSharedValue(workoutHistory);
+  const [activities,, loadingActivities] = useSharedValue(activityLog);
+  const [target,, loadingTarget] = useSharedValue(kcalTargetSetting);
+  const [rules, setRules, loadingRules] = usePersistentState(cloudStore, "streakRules", DEFAULT_STREAK_RULES);
+  const [record, setRecord, loadingRecord] = usePersistentState(deviceStore, "streakRecord", null);
+  const weight = useBodyWeight();
+  const loading = loadingMeals || loadingWorkouts || loadingActivities || loadingTarget || loadingRules || loadingRecord;
+  const streak = useMemo(() => {
+    const days = dayActivity({
+      meals,
+      workouts,
+      activities,
+      weightKg: weight.kg
+    });
+    const done = d => isStreakDay(days.get(d), rules, target);
+    const first = [...days.keys()].filter(done).sort()[0];
+    return computeStreaks(done, first, today);
+  }, [meals, workouts, activities, weight.kg, target, rules, today]);
+
+  // The record survives rule changes and deleted entries
+  useEffect(() => {
+    if (!loading && streak.longest.days > (record?.days || 0)) setRecord(streak.longest);
+  }, [loading, streak.longest.days]);
+  return {
+    ...streak,
+    best: record && record.days > streak.longest.days ? record : streak.longest,
+    rules,
+    setRules,
+    today,
+    loading
+  };
+}
+
+// ------------------------------
+// Points & achievements
+// ------------------------------
+// Points only come from events passing through POINT_RULES. Every award is a ledger entry
+// whose id is `${rule}:${event key}`, so replaying an event (a second mounted view, a reload,
+// undo/redo of a meal) never pays twice, and `perDay` caps what add/delete loops can farm.
+// The total is always the sum of the ledger.
+const STREAK_MILESTONES = [3, 7, 14, 30, 60, 100, 365];
+const POINT_RULES = [{
+  id: "meal",
+  on: "meal_logged",
+  points: 5,
+  perDay: 5,
+  reason: "Meal logged"
+}, {
+  id: "photo",
+  on: "meal_logged",
+  when: e => !!e.photoId,
+  points: 5,
+  perDay: 3,
+  reason: "Meal photo"
+}, {
+  id: "target",
+  on: "day_closed",
+  when: e => e.meals > 0 && e.net <= e.target,
+  points: 25,
+  reason: "Stayed under target"
+}, {
+  id: "workout",
+  on: "workout_completed",
+  points: 40,
+  perDay: 2,
+  reason: "Workout completed"
+}, {
+  id: "activity",
+  on: "activity_logged",
+  points: 10,
+  perDay: 3,
+  reason: "Activity logged"
+}, {
+  id: "weigh",
+  on: "weigh_in",
+  points: 5,
+  perDay: 1,
+  reason: "Weigh-in"
+}, {
+  id: "streak",
+  on: "streak_milestone",
+  points: e => e.days * 5,
+  reason: e => `${e.days}-day streak`
+}];
+
+// `test` gets the counters from ledgerStats(); `points` is paid once, on unlock
+const ACHIEVEMENTS = [{
+  id: "first-meal",
+  title: "First bite",
+  description: "Log your first meal",
+  points: 10,
+  test: s => s.meal >= 1
+}, {
+  id: "meals-100",
+  title: "Diary keeper",
+  description: "Log 100 meals",
+  points: 100,
+  test: s => s.meal >= 100
+}, {
+  id: "photos-10",
+  title: "Food photographer",
+  description: "Log 10 meals with a photo",
+  points: 50,
+  test: s => s.photo >= 10
+}, {
+  id: "first-workout",
+  title: "Warmed up",
+  description: "Complete a workout",
+  points: 20,
+  test: s => s.workout >= 1
+}, {
+  id: "workouts-25",
+  title: "Regular",
+  description: "Complete 25 workouts",
+  points: 150,
+  test: s => s.workout >= 25
+}, {
+  id: "target-7",
+  title: "On budget",
+  description: "Stay under target on 7 days",
+  points: 50,
+  test: s => s.target >= 7
+}, {
+  id: "streak-7",
+  title: "One week strong",
+  description: "Reach a 7-day streak",
+  points: 30,
+  test: s => s.bestStreak >= 7
+}, {
+  id: "streak-30",
+  title: "Habit formed",
+  description: "Reach a 30-day streak",
+  points: 150,
+  test: s => s.bestStreak >= 30
+}, {
+  id: "weigh-10",
+  title: "Know your numbers",
+  description: "Record 10 weigh-ins",
+  points: 30,
+  test: s => s.weigh >= 10
+}, {
+  id: "points-1000",
+  title: "Four digits",
+  description: "Earn 1,000 points",
+  points: 50,
+  test: s => s.points >= 1000
+}];
+
+// Ledger entries whose rule accepts `event`, respecting per-day caps and earlier awards
+function awardsFor(event, ledger, at = Date.now()) {
+  const ids = new Set(ledger.map(x => x.id));
+  const awards = [];
+  for (const rule of POINT_RULES) {
+    if (rule.on !== event.type || rule.when && !rule.when(event)) continue;
+    const id = `${rule.id}:${event.key}`;
+    if (ids.has(id)) continue;
+    if (rule.perDay && [...ledger, ...awards].filter(x => x.rule === rule.id && x.date === event.date).length >= rule.perDay) continue;
+    const value = f => typeof f === "function" ? f(event) : f;
+    awards.push({
+      id,
+      rule: rule.id,
+      date: event.date,
+      at,
+      points: value(rule.points),
+      reason: value(rule.reason)
+    });
+  }
+  return awards;
+}
+
+// Per-rule award counts plus the totals achievements are tested against
+function ledgerStats(ledger) {
+  const stats = {
+    points: 0,
+    bestStreak: 0
+  };
+  for (const x of ledger) {
+    stats.points += x.points;
+    stats[x.rule] = (stats[x.rule] || 0) + 1;
+    if (x.rule === "streak") stats.bestStreak = Math.max(stats.bestStreak, Number(x.id.split(":")[1]));
+  }
+  return stats;
+}
+function createScoring() {
+  let state = {
+    loaded: false,
+    ledger: [],
+    unlocked: {}
+  };
+  let loading = null;
+  let catchingUp = false; // nothing scored yet on this device: stay quiet about old data
+  const listeners = new Set();
+  const unlockListeners = new Set();
+  const emit = next => {
+    state = next;
+    listeners.forEach(fn => fn(state));
+  };
+  const scoring = {
+    get state() {
+      return state;
+    },
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    onUnlock(fn) {
+      unlockListeners.add(fn);
+      return () => unlockListeners.delete(fn);
+    },
+    load() {
+      loading = loading || migrationsReady().then(() => Promise.all([deviceStore.get("ledger", []), deviceStore.get("achievements", {})])).then(([ledger, unlocked]) => {
+        catchingUp = !ledger.some(x => x.rule !== "carry");
+        loadErrors.clear(scoring);
+        emit({
+          ...state,
+          loaded: true,
+          ledger,
+          unlocked
+        });
+      }).catch(e => {
+        loading = null;
+        loadErrors.report(scoring, "points", e, scoring.load);
+      });
+      return loading;
+    },
+    /** Scores `events` ({ type, key, date, ... }) and unlocks achievements, notifying unlock listeners. */
+    record(events) {
+      if (!state.loaded) return;
+      const quiet = catchingUp;
+      catchingUp = false;
+      const at = Date.now();
+      let ledger = state.ledger;
+      for (const event of events) {
+        const awards = awardsFor(event, ledger, at);
+        if (awards.length) ledger = [...ledger, ...awards];
+      }
+      // Unlock bonuses count towards the point achievements, so settle until nothing new unlocks
+      const unlocked = {
+        ...state.unlocked
+      };
+      const fresh = [];
+      for (let found = true; found;) {
+        found = false;
+        const stats = ledgerStats(ledger);
+        for (const a of ACHIEVEMENTS) {
+          if (unlocked[a.id] || !a.test(stats)) continue;
+          unlocked[a.id] = at;
+          ledger = [...ledger, {
+            id: `achievement:${a.id}`,
+            rule: "achievement",
+            date: dayKey(),
+            at,
+            points: a.points,
+            reason: a.title
+          }];
+          fresh.push(a);
+          found = true;
+        }
+      }
+      if (ledger === state.ledger) return;
+      console.log("[debug] scoring", {
+        awards: ledger.length - state.ledger.length,
+        unlocked: fresh.map(a => a.id)
+      });
+      emit({
+        ...state,
+        ledger,
+        unlocked
+      });
+      deviceStore.set("ledger", ledger).catch(e => console.debug("ledger save error", e));
+      if (fresh.length) deviceStore.set("achievements", unlocked).catch(e => console.debug("achievements save error", e));
+      if (!quiet) fresh.forEach(a => unlockListeners.forEach(fn => fn(a)));
+    }
+  };
+  return scoring;
+}
+const scoring = createScoring();
+function useScoring() {
+  const [state, setState] = useState(scoring.state);
+  useEffect(() => {
+    const off = scoring.subscribe(setState);
+    scoring.load();
+    return off;
+  }, []);
+  const points = useMemo(() => state.ledger.reduce((s, x) => s + x.points, 0), [state.ledger]);
+  return {
+    ledger: state.ledger,
+    unlocked: state.unlocked,
+    points,
+    loading: !state.loaded
+  };
+}
+
+// The target recorded for `date`, or null for days before the history starts
+const targetOn = (history, date) => history.reduce((t, x) => x.from <= date ? x.kcal : t, null);
+
+// Turns logged data into scoring events. Every MiniAppScreens mounts it, but only the first
+// instance on the page records (the others just follow the shared data). It reads the shared
+// meal log and shared values, so a change made in any view is scored right away. Every key
+// is stable, so re-running is harmless; the first pass on a device catches up without toasts.
+let scoringEventsOwner = null;
+function useScoringEvents() {
+  const id = useRef({}).current;
+  const [owner, setOwner] = useState(false);
+  useEffect(() => {
+    if (scoringEventsOwner) return;
+    scoringEventsOwner = id;
+    setOwner(true);
+    return () => {
+      scoringEventsOwner = null;
+    };
+  }, []);
+  const {
+    meals,
+    loading: loadingMeals
+  } = useMealLog();
+  const {
+    loading: loadingScore
+  } = useScoring();
+  const [workouts,, loadingWorkouts] = useSharedValue(workoutHistory);
+  const [activities,, loadingActivities] = useSharedValue(activityLog);
+  const [weighIns,, loadingWeighIns] = useSharedValue(weighInLog);
+  const [target,, loadingTarget] = useSharedValue(kcalTargetSetting);
+  const [history, setHistory, loadingHistory] = useSharedValue(targetHistory);
+  const weight = useBodyWeight();
+  const streak = useStreak();
+  const loading = loadingMeals || loadingScore || loadingWorkouts || loadingActivities || loadingWeighIns || loadingTarget || loadingHistory || streak.loading;
+  useEffect(() => {
+    if (loading || !owner) return;
+    // Note today's target first; this effect runs again with the updated history
+    if (history[history.length - 1]?.kcal !== target) {
+      setHistory(h => [...h.filter(x => x.from !== streak.today), {
+        from: streak.today,
+        kcal: target
+      }]);
+      return;
+    }
+    const events = [...meals.map(m => ({
+      type: "meal_logged",
+      key: m.id,
+      date: m.date,
+      photoId: m.photoId
+    })), ...workouts.map(w => ({
+      type: "workout_completed",
+      key: w.id,
+      date: w.date
+    })), ...activities.map(a => ({
+      type: "activity_logged",
+      key: a.id,
+      date: a.date
+    })), ...weighIns.map(w => ({
+      type: "weigh_in",
+      key: w.date,
+      date: w.date
+    }))];
+    // A day is judged once it is over, against the target that was in force that day
+    for (const [date, day] of dayActivity({
+      meals,
+      workouts,
+      activities,
+      weightKg: weight.kg
+    })) {
+      const dayTarget = targetOn(history, date);
+      if (date < streak.today && dayTarget !== null) events.push({
+        type: "day_closed",
+        key: date,
+        date,
+        meals: day.meals,
+        net: day.kcal - day.burned,
+        target: dayTarget
+      });
+    }
+    for (const days of STREAK_MILESTONES) {
+      if (streak.current >= days) events.push({
+        type: "streak_milestone",
+        key: `${days}:${streak.since}`,
+        date: shiftDay(streak.since, days - 1),
+        days
+      });
+    }
+    scoring.record(events);
+  }, [loading, owner, meals, workouts, activities, weighIns, target, history, weight.kg, streak.current, streak.today]);
+}
+
+// Slides in from the top for a few seconds whenever an achievement unlocks
+function AchievementToast() {
+  const [shown, setShown] = useState(null);
+  useEffect(() => scoring.onUnlock(a => {
+    setShown(a);
+    notify("success");
+  }), []);
+  useEffect(() => {
+    if (!shown) return;
+    const t = setTimeout(() => setShown(null), 4000);
+    return () => clearTimeout(t);
+  }, [shown]);
+  if (!shown) return null;
+  return /*#__PURE__*/React.createElement("div", {
+    role: "status",
+    className: "absolute top-14 inset-x-3 z-30 rounded-2xl p-3 bg-neutral-900 text-white dark:bg-white dark:text-neutral-900 shadow-lg flex items-center gap-3",
+    onClick: () => setShown(null)
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "w-9 h-9 rounded-xl grid place-items-center bg-amber-400 text-neutral-900"
+  }, /*#__PURE__*/React.createElement(Award, {
+    size: 18
+  })), /*#__PURE__*/React.createElement("div", {
+    className: "flex-1"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "text-xs opacity-70"
+  }, "Achievement unlocked \xB7 +", shown.points, " pts"), /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-semibold"
+  }, shown.title)));
+}
+
+// Atwater factors: kcal per gram of protein / carbs / fat
+const KCAL_PER_G = {
+  p: 4,
+  c: 4,
+  f: 9
+};
+const macroKcal = ({
+  p = 0,
+  c = 0,
+  f = 0
+}) => p * KCAL_PER_G.p + c * KCAL_PER_G.c + f * KCAL_PER_G.f;
+// Default split when the user hasn't set macro targets: 25% protein, 50% carbs, 25% fat
+const defaultMacroTargets = kcal => ({
+  p: Math.round(kcal * 0.25 / KCAL_PER_G.p),
+  c: Math.round(kcal * 0.5 / KCAL_PER_G.c),
+  f: Math.round(kcal * 0.25 / KCAL_PER_G.f)
+});
+const MACROS = [{
+  k: "p",
+  label: "Protein"
+}, {
+  k: "c",
+  label: "Carbs"
+}, {
+  k: "f",
+  label: "Fat"
+}];
+const sumMeals = meals => meals.reduce((t, m) => ({
+  kcal: t.kcal + m.calories,
+  p: t.p + m.p,
+  c: t.c + m.c,
+  f: t.f + m.f
+}), {
+  kcal: 0,
+  p: 0,
+  c: 0,
+  f: 0
+});
+/**
+ * One point per calendar day for the `days` days ending at `endDay`, oldest first.
+ * Days without any logged meal get kcal/p/c/f = null so charts draw a gap, not a zero.
+ */
+function dailyTotals(meals, days, endDay = dayKey()) {
+  const byDay = new Map();
+  for (const m of meals) {
+    const t = byDay.get(m.date) || {
+      kcal: 0,
+      p: 0,
+      c: 0,
+      f: 0,
+      count: 0
+    };
+    byDay.set(m.date, {
+      kcal: t.kcal + m.calories,
+      p: t.p + m.p,
+      c: t.c + m.c,
+      f: t.f + m.f,
+      count: t.count + 1
+    });
+  }
+  return Array.from({
+    length: days
+  }, (_, i) => {
+    const date = shiftDay(endDay, i - days + 1);
+    const label = parseDayKey(date).toLocaleDateString([], days <= 7 ? {
+      weekday: "short"
+    } : {
+      month: "short",
+      day: "numeric"
+    });
+    return {
+      date,
+      d: label,
+      ...(byDay.get(date) || {
+        kcal: null,
+        p: null,
+        c: null,
+        f: null,
+        count: 0
+      })
+    };
+  });
+}
+
+// A day's diary entries in eating order
+const mealsOn = (meals, date) => meals.filter(m => m.date === date).sort((a, b) => a.when.localeCompare(b.when));
+
+/**
+ * Validates the manual meal form (all values are input strings).
+ * Blank calories are computed from the macros; typed calories must agree with them
+ * within 10% (min 25 kcal) since labels round each macro. Values taken unchanged from the
+ * food database (kcalSource "food") skip that check: their kcal already accounts for fiber.
+ * Returns { errors, meal } where meal is null while any error remains.
+ */
+function validateMealForm(form) {
+  const errors = {};
+  const num = (k, {
+    min = 0,
+    max,
+    label,
+    required = false
+  }) => {
+    const raw = String(form[k] ?? "").trim();
+    if (raw === "") {
+      if (required) errors[k] = `${label} is required`;
+      return null;
+    }
+    const v = Number(raw);
+    if (!Number.isFinite(v)) errors[k] = `${label} must be a number`;else if (v < min) errors[k] = `${label} can't be below ${min}`;else if (max !== undefined && v > max) errors[k] = `${label} can't exceed ${max}`;
+    return v;
+  };
+  const title = String(form.title || "").trim();
+  if (!title) errors.title = "Give the meal a name";else if (title.length > 60) errors.title = "Keep it under 60 characters";
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(form.when || "")) errors.when = "Pick a time";
+  if (!isDayKey(form.date)) errors.date = "Pick a date";else if (form.date > dayKey()) errors.date = "Can't log meals in the future";
+  const portion = num("portion", {
+    min: 1,
+    max: 5000,
+    label: "Portion"
+  });
+  const p = num("p", {
+    max: 500,
+    label: "Protein",
+    required: true
+  });
+  const c = num("c", {
+    max: 1000,
+    label: "Carbs",
+    required: true
+  });
+  const f = num("f", {
+    max: 500,
+    label: "Fat",
+    required: true
+  });
+  const typed = num("calories", {
+    max: 10000,
+    label: "Calories"
+  });
+  const computed = Math.round(macroKcal({
+    p: p || 0,
+    c: c || 0,
+    f: f || 0
+  }));
+  if (typed !== null && form.kcalSource !== "food" && !errors.calories && !errors.p && !errors.c && !errors.f) {
+    const tolerance = Math.max(25, typed * 0.1);
+    if (Math.abs(typed - computed) > tolerance) errors.calories = `Macros add up to ${computed} kcal`;
+  }
+  if (Object.keys(errors).length) return {
+    errors,
+    meal: null
+  };
+  const slot = !form.slot || form.slot === "auto" ? slotForTime(form.when) : form.slot;
+  const meal = {
+    title,
+    date: form.date,
+    when: form.when,
+    slot,
+    calories: typed !== null ? Math.round(typed) : computed,
+    p,
+    c,
+    f
+  };
+  if (portion !== null) meal.portion = portion;
+  return {
+    errors,
+    meal
+  };
+}
+
+// ------------------------------
+// Meal log (shared across views, with undo/redo)
+// ------------------------------
+// One in-memory copy of the "meals" list for the whole page, so every mounted view sees an
+// edit immediately. Each change is persisted and pushed onto an undo stack (session only).
+const HISTORY_LIMIT = 50;
+function createMealLog() {
+  let state = {
+    loaded: false,
+    meals: [],
+    past: [],
+    future: []
+  };
+  let loading = null;
+  const listeners = new Set();
+  const emit = next => {
+    state = next;
+    listeners.forEach(fn => fn(state));
+  };
+  const persist = meals => deviceStore.set("meals", meals).catch(e => console.debug("meals save error", e));
+  const log = {
+    get state() {
+      return state;
+    },
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    load() {
+      loading = loading || migrationsReady().then(() => deviceStore.get("meals", [])).then(meals => {
+        loadErrors.clear(log);
+        emit({
+          ...state,
+          loaded: true,
+          meals
+        });
+      }).catch(e => {
+        loading = null;
+        loadErrors.report(log, "meals", e, log.load);
+      });
+      return loading;
+    },
+    /** Applies `fn(meals) => meals` as one undoable step labelled `label`. */
+    commit(label, fn) {
+      const meals = fn(state.meals);
+      if (meals === state.meals) return;
+      console.log("[debug] meal log", label);
+      emit({
+        ...state,
+        meals,
+        past: [...state.past, {
+          label,
+          meals: state.meals
+        }].slice(-HISTORY_LIMIT),
+        future: []
+      });
+      persist(meals);
+    },
+    undo() {
+      const prev = state.past[state.past.length - 1];
+      if (!prev) return;
+      emit({
+        ...state,
+        meals: prev.meals,
+        past: state.past.slice(0, -1),
+        future: [{
+          label: prev.label,
+          meals: state.meals
+        }, ...state.future]
+      });
+      persist(prev.meals);
+    },
+    redo() {
+      const next = state.future[0];
+      if (!next) return;
+      emit({
+        ...state,
+        meals: next.meals,
+        past: [...state.past, {
+          label: next.label,
+          meals: state.meals
+        }],
+        future: state.future.slice(1)
+      });
+      persist(next.meals);
+    },
+    add: meal => log.commit(`add ${meal.title}`, ms => [meal, ...ms]),
+    update: (id, fields) => log.commit(`edit ${fields.title || id}`, ms => ms.map(m => {
+      if (m.id !== id) return m;
+      const next = {
+        ...m,
+        ...fields
+      };
+      if (!("portion" in fields)) delete next.portion;
+      return next;
+    })),
+    remove: id => log.commit(`delete ${state.meals.find(m => m.id === id)?.title || id}`, ms => ms.filter(m => m.id !== id))
+  };
+  return log;
+}
+const mealLog = createMealLog();
+function useMealLog() {
+  const [state, setState] = useState(mealLog.state);
+  useEffect(() => {
+    const off = mealLog.subscribe(setState);
+    mealLog.load();
+    return off;
+  }, []);
+  return {
+    meals: state.meals,
+    loading: !state.loaded,
+    undoLabel: state.past[state.past.length - 1]?.label,
+    redoLabel: state.future[0]?.label
+  };
+}
+
+// ------------------------------
+// Food database (bundled JSON, works offline)
+// ------------------------------
+// mock/data/foods.json ships with the page: per-100 g values plus density (g/ml) for liquids
+// and typical serving weights. The last loaded copy is cached in deviceStore so search keeps
+// working when the mini app is reopened without a connection.
+const FOOD_DB_URL = new URL("./data/foods.json", import.meta.url);
+let foodDbPromise = null;
+function loadFoodDb() {
+  foodDbPromise = foodDbPromise || (async () => {
+    try {
+      const res = await fetch(FOOD_DB_URL);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const db = await res.json();
+      const cached = await deviceStore.get("foodDb", null);
+      if (cached?.version !== db.version) await deviceStore.set("foodDb", db);
+      return db;
+    } catch (e) {
+      console.log("[debug] food db fetch failed, using cached copy", e);
+      const cached = await deviceStore.get("foodDb", null).catch(() => null);
+      if (!cached) {
+        foodDbPromise = null;
+        throw e;
+      }
+      return cached;
+    }
+  })();
+  return foodDbPromise;
+}
+const normalizeText = str => str.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/[^a-z0-9%]+/g, " ").trim();
+
+// Levenshtein distance, giving up (returns max + 1) once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({
+    length: b.length + 1
+  }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    if (Math.min(...row) > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// How well one query word matches one food word: exact > prefix > substring > typo
+function wordScore(q, w) {
+  if (w === q) return 3;
+  if (w.startsWith(q)) return 2;
+  if (q.length >= 3 && w.includes(q)) return 1.5;
+  const allowed = q.length >= 7 ? 2 : q.length >= 4 ? 1 : 0;
+  return allowed && editDistance(q, w.slice(0, q.length + allowed), allowed) <= allowed ? 1 : 0;
+}
+
+/**
+ * Fuzzy search over names and aliases. Every query word has to match some word of the
+ * food (typos allowed); ties go to aliases (common names) and then to shorter names.
+ */
+function searchFoods(foods, query, limit = 8) {
+  const terms = normalizeText(query).split(" ").filter(Boolean);
+  if (!terms.length) return [];
+  const scored = [];
+  for (const food of foods) {
+    const nameWords = normalizeText(food.name).split(" ");
+    const aliasWords = food.aliases.flatMap(a => normalizeText(a).split(" "));
+    let total = 0;
+    for (const q of terms) {
+      const best = Math.max(...nameWords.map(w => wordScore(q, w)), ...aliasWords.map(w => (wordScore(q, w) || -0.25) + 0.25));
+      if (best <= 0) {
+        total = 0;
+        break;
+      }
+      total += best;
+    }
+    if (total > 0) scored.push({
+      food,
+      score: total
+    });
+  }
+  return scored.sort((a, b) => b.score - a.score || a.food.name.length - b.food.name.length).slice(0, limit).map(r => r.food);
+}
+const FOOD_UNITS = {
+  g: "g",
+  ml: "ml",
+  cup: "cup",
+  tbsp: "tbsp",
+  tsp: "tsp",
+  piece: "piece"
+};
+
+/** Units this food can be measured in, each with its gram weight per 1 unit. */
+function foodUnits(food, db) {
+  const units = [{
+    unit: "g",
+    g: 1
+  }];
+  if (food.density) {
+    units.push({
+      unit: "ml",
+      g: food.density
+    });
+    for (const u of ["cup", "tbsp", "tsp"]) units.push({
+      unit: u,
+      g: food.density * db.units[u]
+    });
+  }
+  for (const s of food.servings || []) {
+    const i = units.findIndex(u => u.unit === s.unit);
+    const entry = {
+      unit: s.unit,
+      g: s.g,
+      label: s.label
+    };
+    if (i >= 0) units[i] = entry;else units.push(entry);
+  }
+  return units;
+}
+const round1 = n => Math.round(n * 10) / 10;
+// Macros for `grams` of a food, rounded like a nutrition label
+const scaleFood = (food, grams) => ({
+  calories: Math.round(food.per100g.kcal * grams / 100),
+  p: round1(food.per100g.p * grams / 100),
+  c: round1(food.per100g.c * grams / 100),
+  f: round1(food.per100g.f * grams / 100)
+});
+
+// ------------------------------
+// Product catalog & barcode scanning
+// ------------------------------
+// A catalog is any object with `name` and `lookup(code) => Promise<product | null>`, where a
+// product is { code, name, brand, unit: "g" | "ml", servingSize, packageSize, per100: { kcal, p, c, f } }.
+// The default reads the mock/data/products.json fixture; a remote catalog can be swapped in
+// by replacing `productCatalog` with another implementation of the same interface.
+function createLocalCatalog(url) {
+  let index = null;
+  return {
+    name: "local fixture",
+    async lookup(code) {
+      index = index || fetch(url).then(r => r.json()).then(d => new Map(d.products.map(p => [p.code, p])));
+      try {
+        return (await index).get(code) || null;
+      } catch (e) {
+        index = null;
+        throw e;
+      }
+    }
+  };
+}
+const productCatalog = createLocalCatalog(new URL("./data/products.json", import.meta.url));
+
+// EAN-8/UPC-A/EAN-13/GTIN-14: last digit is a mod-10 check over 3-1 alternating weights
+function isValidGtin(code) {
+  if (!/^(\d{8}|\d{12,14})$/.test(code)) return false;
+  const digits = code.split("").map(Number);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((s, d, i) => s + d * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - sum % 10) % 10 === check;
+}
+
+// Pulls a product code out of scanner output (QR payloads may wrap it in a URL or text)
+function extractProductCode(text) {
+  const candidates = String(text || "").match(/\d{8,14}/g) || [];
+  return candidates.find(isValidGtin) || null;
+}
+const canScanInTelegram = () => !!tgWebApp()?.showScanQrPopup && (tgWebApp().isVersionAtLeast?.("6.4") ?? true);
+const canScanInBrowser = () => typeof window !== "undefined" && "BarcodeDetector" in window && !!navigator.mediaDevices?.getUserMedia;
+
+// Telegram's native scanner; resolves with the first usable code, or null if the popup is closed
+function scanWithTelegram() {
+  const tg = tgWebApp();
+  return new Promise(resolve => {
+    const onClosed = () => {
+      tg.offEvent?.("scanQrPopupClosed", onClosed);
+      resolve(null);
+    };
+    tg.onEvent?.("scanQrPopupClosed", onClosed);
+    tg.showScanQrPopup({
+      text: "Point at a product barcode or QR code"
+    }, text => {
+      const code = extractProductCode(text);
+      if (!code) return false; // keep scanning
+      tg.offEvent?.("scanQrPopupClosed", onClosed);
+      resolve(code);
+      return true;
+    });
+  });
+}
+
+// ------------------------------
+// Meal photos (compressed on device, kept in IndexedDB)
+// ------------------------------
+// localStorage / DeviceStorage are far too small for images, so photos live in an IndexedDB
+// object store as { id, full, thumb, width, height, bytes, createdAt } and meals only keep
+// `photoId`. Photos no meal (or undo step) refers to are garbage-collected.
+const PHOTO_FULL_SIDE = 1280;
+const PHOTO_THUMB_SIDE = 160;
+const PHOTO_GC_GRACE_MS = 10 * 60 * 1000; // an upload saves the photo just before its meal
+let photoDbPromise = null;
+function openPhotoDb() {
+  photoDbPromise = photoDbPromise || new Promise((resolve, reject) => {
+    const req = indexedDB.open(`${NS}-photos`, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore("photos", {
+      keyPath: "id"
+    });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      photoDbPromise = null;
+      reject(req.error);
+    };
+  });
+  return photoDbPromise;
+}
+async function photoTx(mode, fn) {
+  const db = await openPhotoDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction("photos", mode);
+    const req = fn(tx.objectStore("photos"));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+const photoStore = {
+  put: record => photoTx("readwrite", s => s.put(record)),
+  get: id => photoTx("readonly", s => s.get(id)),
+  remove: id => photoTx("readwrite", s => s.delete(id)),
+  all: () => photoTx("readonly", s => s.getAll())
+};
+
+// Downscales to fit `maxSide` and re-encodes as JPEG; returns { blob, width, height }
+async function compressImage(file, maxSide, quality) {
+  const bitmap = await createImageBitmap(file, {
+    imageOrientation: "from-image"
+  });
+  const scale = Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height));
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, width, height);
+  bitmap.close?.();
+  const blob = await new Promise((resolve, reject) => canvas.toBlob(b => b ? resolve(b) : reject(new Error("Image encoding failed")), "image/jpeg", quality));
+  return {
+    blob,
+    width,
+    height
+  };
+}
+
+/** Compresses `file` into a full-size image and a thumbnail and stores both; returns the photo id. */
+async function savePhoto(file) {
+  const full = await compressImage(file, PHOTO_FULL_SIDE, 0.8);
+  const thumb = await compressImage(file, PHOTO_THUMB_SIDE, 0.7);
+  const id = `p${Date.now()}${Math.random().toString(36).slice(2, 6)}`;
+  await photoStore.put({
+    id,
+    full: full.blob,
+    thumb: thumb.blob,
+    width: full.width,
+    height: full.height,
+    bytes: full.blob.size + thumb.blob.size,
+    createdAt: Date.now()
+  });
+  console.log("[debug] photo saved", {
+    id,
+    original: file.size,
+    stored: full.blob.size + thumb.blob.size
+  });
+  return id;
+}
+
+// Every photo id still reachable from the meal log, including its undo/redo history
+function referencedPhotoIds() {
+  const {
+    meals,
+    past,
+    future
+  } = mealLog.state;
+  const ids = new Set();
+  for (const list of [meals, ...past.map(h => h.meals), ...future.map(h => h.meals)]) list.forEach(m => m.photoId && ids.add(m.photoId));
+  return ids;
+}
+async function collectOrphanPhotos(now = Date.now()) {
+  await mealLog.load();
+  // Without the meal log every photo would look unreferenced
+  if (!mealLog.state.loaded) return {
+    removed: 0,
+    bytes: 0
+  };
+  const keep = referencedPhotoIds();
+  const orphans = (await photoStore.all()).filter(p => !keep.has(p.id) && now - p.createdAt > PHOTO_GC_GRACE_MS);
+  for (const p of orphans) await photoStore.remove(p.id);
+  if (orphans.length) console.log("[debug] photo gc", {
+    removed: orphans.length
+  });
+  return {
+    removed: orphans.length,
+    bytes: orphans.reduce((s, p) => s + p.bytes, 0)
+  };
+}
+async function photoUsage() {
+  const photos = await photoStore.all();
+  const estimate = await navigator.storage?.estimate?.().catch(() => null);
+  return {
+    count: photos.length,
+    bytes: photos.reduce((s, p) => s + p.bytes, 0),
+    usage: estimate?.usage,
+    quota: estimate?.quota
+  };
+}
+
+// Object URL for one variant ("thumb" | "full") of a stored photo; revoked on unmount
+function usePhotoUrl(id, variant) {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    if (!id) return;
+    let objectUrl = null;
+    let alive = true;
+    photoStore.get(id).then(p => {
+      if (!alive || !p) return;
+      objectUrl = URL.createObjectURL(p[variant]);
+      setUrl(objectUrl);
+    }, e => console.debug("photo load error", e));
+    return () => {
+      alive = false;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [id, variant]);
+  return url;
+}
+const formatBytes = n => n >= 1048576 ? `${(n / 1048576).toFixed(1)} MB` : `${n > 0 ? Math.max(1, Math.round(n / 1024)) : 0} KB`;
+
+// ------------------------------
+// Meal recognition (NutritionService)
+// ------------------------------
+// A NutritionService is any object with `name` and
+//   get_nutrition_info(photo: Blob | null, description: string, { signal }) => Promise<{ items, model }>
+// where each item is { name, grams, calories, p, c, f, confidence } and confidence is 0..1.
+// Items are only estimates: the review sheet asks the user to confirm or correct every one.
+//
+// HTTP contract (see README "Meal recognition API"):
+//   POST <url>   multipart/form-data: photo (image/jpeg, optional), description (string, optional)
+//   200          { "model": "…", "items": [{ "name": "Rice", "grams": 150, "calories": 195,
+//                  "protein_g": 4, "carbs_g": 42, "fat_g": 0.4, "confidence": 0.82 }] }
+//   4xx / 5xx    { "error": { "code": "…", "message": "…" } }
+// 408, 429 and 5xx responses (and network failures) are retried with backoff; other errors are not.
+
+const clamp01 = n => Math.min(1, Math.max(0, n));
+
+// Normalizes a service response; malformed items are dropped rather than failing the whole result
+function parseNutritionResult(json) {
+  const list = Array.isArray(json?.items) ? json.items : [];
+  const items = list.map(it => ({
+    name: String(it?.name || "").trim().slice(0, 60),
+    grams: Math.round(Number(it?.grams) || 0),
+    calories: Math.round(Number(it?.calories)),
+    p: round1(Number(it?.protein_g ?? it?.p) || 0),
+    c: round1(Number(it?.carbs_g ?? it?.c) || 0),
+    f: round1(Number(it?.fat_g ?? it?.f) || 0),
+    confidence: Math.round(clamp01(Number(it?.confidence) || 0) * 100) / 100
+  })).filter(it => it.name && Number.isFinite(it.calories) && it.calories >= 0);
+  return {
+    items,
+    model: typeof json?.model === "string" ? json.model : null
+  };
+}
+
+// Resolves after `ms`, or rejects with an AbortError as soon as `signal` aborts
+const abortableDelay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(new DOMException("Aborted", "AbortError"));
+  const t = setTimeout(resolve, ms);
+  signal?.addEventListener("abort", () => {
+    clearTimeout(t);
+    reject(new DOMException("Aborted", "AbortError"));
+  }, {
+    once: true
+  });
+});
+function createHttpNutritionService({
+  url,
+  timeoutMs = 20000,
+  retries = 2,
+  backoffMs = 800,
+  fetchImpl = (...a) => fetch(...a)
+}) {
+  const attempt = async (body, signal) => {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(new DOMException("Timed out", "TimeoutError")), timeoutMs);
+    const onAbort = () => ctrl.abort(signal.reason);
+    signal?.addEventListener("abort", onAbort, {
+      once: true
+    });
+    try {
+      const res = await fetchImpl(url, {
+        method: "POST",
+        body,
+        signal: ctrl.signal
+      });
+      const json = await res.json().catch(() => null);
+      if (!res.ok) {
+        const err = new Error(json?.error?.message || `HTTP ${res.status}`);
+        err.retryable = res.status === 408 || res.status === 429 || res.status >= 500;
+        err.retryAfterMs = Number(res.headers?.get?.("Retry-After")) * 1000 || 0;
+        throw err;
+      }
+      return parseNutritionResult(json);
+    } catch (e) {
+      if (signal?.aborted) throw new DOMException("Aborted", "AbortError");
+      if (ctrl.signal.aborted) throw Object.assign(new Error("Recognition timed out"), {
+        retryable: true
+      });
+      if (e instanceof TypeError) throw Object.assign(new Error("Network error"), {
+        retryable: true
+      }); // fetch network failure
+      throw e;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    }
+  };
+  return {
+    name: `http ${url}`,
+    async get_nutrition_info(photo, description = "", {
+      signal
+    } = {}) {
+      for (let n = 0;; n++) {
+        // FormData bodies are single-use, so each attempt builds its own
+        const body = new FormData();
+        if (photo) body.append("photo", photo, "meal.jpg");
+        if (description) body.append("description", description);
+        try {
+          return await attempt(body, signal);
+        } catch (e) {
+          if (e.name === "AbortError" || !e.retryable || n >= retries) throw e;
+          const wait = Math.max(e.retryAfterMs || 0, backoffMs * 2 ** n);
+          console.log("[debug] recognition retry", {
+            attempt: n + 1,
+            wait,
+            error: e.message
+          });
+          await abortableDelay(wait, signal);
+        }
+      }
+    }
+  };
+}
+
+// Offline stand-in: matches the description against the food database, or guesses a
+// plausible plate from the photo so the review flow can be exercised without a backend.
+const MOCK_PLATES = [["chicken-breast-skinless-roasted", "rice-white-long-grain-cooked", "broccoli-raw"], ["salmon-atlantic-farmed-cooked", "sweet-potato-baked-in-skin", "green-beans-boiled"], ["pasta-spaghetti-cooked", "ground-beef-85-lean-pan-browned", "tomatoes-red-raw"], ["egg-whole-hard-boiled", "bread-whole-wheat", "avocado-raw"], ["greek-yogurt-plain-nonfat", "granola", "blueberries-raw"]];
+function createMockNutritionService({
+  delayMs = 900
+} = {}) {
+  const estimate = (food, grams, confidence) => ({
+    ...scaleFood(food, grams),
+    name: food.name,
+    grams,
+    confidence
+  });
+  const defaultGrams = food => food.servings?.[0]?.g || 150;
+  return {
+    name: "mock",
+    async get_nutrition_info(photo, description = "", {
+      signal
+    } = {}) {
+      await abortableDelay(delayMs, signal);
+      const {
+        foods
+      } = await loadFoodDb();
+      const phrases = description.split(/,|\band\b|\bwith\b|\+/i).map(s => s.trim()).filter(Boolean);
+      const named = phrases.map(q => searchFoods(foods, q, 1)[0]).filter(Boolean);
+      let items;
+      if (named.length) {
+        items = named.map((food, i) => estimate(food, defaultGrams(food), 0.9 - i * 0.03));
+      } else {
+        // Same photo, same guess: the pick is keyed on the file size
+        const seed = (photo?.size || 0) + description.length;
+        const plate = MOCK_PLATES[seed % MOCK_PLATES.length].map(id => foods.find(f => f.id === id)).filter(Boolean);
+        items = plate.map((food, i) => estimate(food, Math.round(defaultGrams(food) * (0.8 + (seed >> i) % 5 / 10)), round1(0.82 - i * 0.17)));
+      }
+      return parseNutritionResult({
+        model: "mock-food-db",
+        items
+      });
+    }
+  };
+}
+
+// An endpoint configured on the page (window.TGCOACH_NUTRITION_URL) switches to the HTTP client
+const nutritionService = typeof window !== "undefined" && window.TGCOACH_NUTRITION_URL ? createHttpNutritionService({
+  url: window.TGCOACH_NUTRITION_URL
+}) : createMockNutritionService();
+
+// ------------------------------
+// Leaderboard (LeaderboardService)
+// ------------------------------
+// Rows are keyed by Telegram user id; names are display-only. The client reports its own
+// points per local day (plus the all-time total) and asks for one period/scope at a time.
+// Ranks use competition ranking: equal scores share a rank and the next rank is skipped (1, 2, 2, 4).
+const BOARD_PERIODS = [{
+  k: "day",
+  label: "Today"
+}, {
+  k: "week",
+  label: "This week"
+}, {
+  k: "all",
+  label: "All time"
+}];
+const BOARD_SCOPES = [{
+  k: "friends",
+  label: "Friends"
+}, {
+  k: "global",
+  label: "Global"
+}];
+const BOARD_PAGE = 10;
+
+// Who is opening the mini app; the browser preview has no Telegram user and uses a fixed local id
+const LOCAL_USER_ID = 1;
+function telegramUser() {
+  const u = tgWebApp()?.initDataUnsafe?.user;
+  return u?.id ? {
+    id: u.id,
+    name: [u.first_name, u.last_name].filter(Boolean).join(" ")
+  } : {
+    id: LOCAL_USER_ID,
+    name: "You"
+  };
+}
+
+// First day of `period` ending on `today`; weeks start on Monday. null means all time.
+function periodStart(period, today) {
+  if (period === "day") return today;
+  if (period === "week") return shiftDay(today, -((parseDayKey(today).getDay() + 6) % 7));
+  return null;
+}
+
+// Ledger → what the service needs: all-time total and points per day. The carried-over
+// balance has no real day, so it only counts towards all time.
+function ledgerScores(ledger) {
+  const daily = {};
+  let total = 0;
+  for (const x of ledger) {
+    total += x.points;
+    if (x.rule !== "carry") daily[x.date] = (daily[x.date] || 0) + x.points;
+  }
+  return {
+    total,
+    daily
+  };
+}
+
+// Sorted by score, ties by name then id so pages are stable; `rank` shared within a tie
+function rankEntries(rows) {
+  const sorted = [...rows].sort((a, b) => b.score - a.score || a.name.localeCompare(b.name) || a.userId - b.userId);
+  let rank = 0;
+  return sorted.map((r, i) => {
+    if (!i || sorted[i - 1].score !== r.score) rank = i + 1;
+    return {
+      ...r,
+      rank
+    };
+  });
+}
+function createHttpLeaderboardService({
+  url,
+  timeoutMs = 10000,
+  fetchImpl = (...a) => fetch(...a)
+}) {
+  const call = async (path, init = {}) => {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+    try {
+      const res = await fetchImpl(`${url}${path}`, {
+        ...init,
+        signal: ctrl.signal,
+        headers: {
+          "Content-Type": "application/json",
+          "X-Telegram-Init-Data": tgWebApp()?.initData || "",
+          ...init.headers
+        }
+      });
+      const json = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(json?.error?.message || `HTTP ${res.status}`);
+      return json;
+    } catch (e) {
+      if (ctrl.signal.aborted) throw new Error("Leaderboard timed out");
+      if (e instanceof TypeError) throw new Error("Network error");
+      throw e;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+  return {
+    name: `http ${url}`,
+    submit: me => call("/scores", {
+      method: "POST",
+      body: JSON.stringify(me)
+    }),
+    query: ({
+      userId,
+      period,
+      scope,
+      date,
+      offset = 0,
+      limit = BOARD_PAGE,
+      around = false
+    }) => call(`?${new URLSearchParams({
+      userId,
+      period,
+      scope,
+      date,
+      offset,
+      limit,
+      around
+    })}`)
+  };
+}
+
+// Offline stand-in: a few dozen seeded players whose daily points are derived from their id
+// and the date, so boards are stable between reloads. A handful are marked as friends.
+const MOCK_PLAYERS = ["Alex", "Sam", "Mia", "Leo", "Nora", "Kai", "Ivy", "Omar", "Lena", "Theo", "Zoe", "Ravi", "Ana", "Ben", "Yuki", "Finn", "Sara", "Luca", "Maya", "Noah", "Iris", "Hugo", "Ella", "Jon", "Tara", "Max", "Lily", "Dan", "Rosa", "Eli"].map((name, i) => ({
+  userId: 1000 + i,
+  name,
+  friend: i < 6,
+  pace: 20 + i * 37 % 90,
+  base: 400 + i * 211 % 1800
+}));
+function createLocalLeaderboardService({
+  delayMs = 300
+} = {}) {
+  const submitted = new Map();
+  const dayIndex = date => Math.round(parseDayKey(date).getTime() / 86400000);
+  // Points come in fives like real awards; equal paces make ties on purpose
+  const playerDay = (p, date) => Math.round(seededRandom(p.pace * 100003 + dayIndex(date))() * p.pace * 2 / 5) * 5;
+  const playerScore = (p, period, date) => {
+    if (period === "day") return playerDay(p, date);
+    let sum = 0;
+    const from = period === "week" ? periodStart("week", date) : shiftDay(date, -59);
+    for (let d = from; d <= date; d = shiftDay(d, 1)) sum += playerDay(p, d);
+    return period === "week" ? sum : p.base + sum;
+  };
+  return {
+    name: "mock",
+    async submit(me) {
+      await abortableDelay(delayMs / 2);
+      submitted.set(me.userId, me);
+      return {
+        ok: true
+      };
+    },
+    async query({
+      userId,
+      period,
+      scope,
+      date,
+      offset = 0,
+      limit = BOARD_PAGE,
+      around = false
+    }) {
+      await abortableDelay(delayMs);
+      const from = periodStart(period, date);
+      const players = MOCK_PLAYERS.filter(p => scope === "global" || p.friend).map(p => ({
+        userId: p.userId,
+        name: p.name,
+        score: playerScore(p, period, date)
+      }));
+      for (const me of submitted.values()) {
+        const score = from ? Object.entries(me.daily).reduce((s, [d, n]) => d >= from && d <= date ? s + n : s, 0) : me.total;
+        players.push({
+          userId: me.userId,
+          name: me.name,
+          score
+        });
+      }
+      const rows = rankEntries(players);
+      const mine = rows.findIndex(r => r.userId === userId);
+      const start = around && mine >= 0 ? Math.max(0, Math.min(mine - Math.floor(limit / 2), rows.length - limit)) : Math.max(0, offset);
+      return {
+        period,
+        scope,
+        total: rows.length,
+        offset: start,
+        entries: rows.slice(start, start + limit),
+        me: rows[mine] || null
+      };
+    }
+  };
+}
+
+// An endpoint configured on the page (window.TGCOACH_LEADERBOARD_URL) switches to the HTTP client
+const leaderboardService = typeof window !== "undefined" && window.TGCOACH_LEADERBOARD_URL ? createHttpLeaderboardService({
+  url: window.TGCOACH_LEADERBOARD_URL
+}) : createLocalLeaderboardService();
+
+/**
+ * Reports this user's points, then loads the page around them (or the top when `around` is
+ * false). `more(-1)` / `more(1)` extend the window upwards / downwards by one page.
+ */
+function useLeaderboard({
+  period,
+  scope,
+  limit = BOARD_PAGE,
+  around = true
+}) {
+  const {
+    ledger,
+    loading: loadingScore
+  } = useScoring();
+  const [name,, loadingName] = usePersistentState(cloudStore, "name", "You");
+  const [board, setBoard] = useState({
+    loading: true,
+    error: null,
+    total: 0,
+    offset: 0,
+    entries: [],
+    me: null
+  });
+  const [attempt, setAttempt] = useState(0);
+  const user = telegramUser();
+  const today = dayKey();
+  const ready = !loadingScore && !loadingName;
+  useEffect(() => {
+    if (!ready) return;
+    let cancelled = false;
+    setBoard(b => ({
+      ...b,
+      loading: true,
+      error: null
+    }));
+    (async () => {
+      try {
+        await leaderboardService.submit({
+          userId: user.id,
+          name: name || user.name,
+          ...ledgerScores(ledger)
+        });
+        const res = await leaderboardService.query({
+          userId: user.id,
+          period,
+          scope,
+          date: today,
+          limit,
+          around
+        });
+        if (!cancelled) setBoard({
+          loading: false,
+          error: null,
+          ...res
+        });
+      } catch (e) {
+        console.log("[debug] leaderboard error", e);
+        if (!cancelled) setBoard(b => ({
+          ...b,
+          loading: false,
+          error: e.message || "Could not load the leaderboard"
+        }));
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [ready, period, scope, ledger, name, today, attempt]);
+  const more = async dir => {
+    const offset = dir < 0 ? Math.max(0, board.offset - limit) : board.offset + board.entries.length;
+    const count = dir < 0 ? board.offset - offset : limit;
+    if (!count || offset >= board.total) return;
+    try {
+      const res = await leaderboardService.query({
+        userId: user.id,
+        period,
+        scope,
+        date: today,
+        offset,
+        limit: count
+      });
+      setBoard(b => dir < 0 ? {
+        ...b,
+        offset: res.offset,
+        total: res.total,
+        entries: [...res.entries, ...b.entries]
+      } : {
+        ...b,
+        total: res.total,
+        entries: [...b.entries, ...res.entries]
+      });
+    } catch (e) {
+      console.log("[debug] leaderboard page error", e);
+      setBoard(b => ({
+        ...b,
+        error: e.message || "Could not load more"
+      }));
+    }
+  };
+  return {
+    ...board,
+    userId: user.id,
+    more,
+    retry: () => setAttempt(n => n + 1)
+  };
+}
+
+// ------------------------------
+// Reminders
+// ------------------------------
+// cloudStore "reminders" is { enabled, quiet: { from, to }, items: [{ id, kind, time: "HH:MM", days: [0-6], on }] }
+// with days as Date#getDay() numbers (0 = Sunday). Times are local wall-clock times. Reminders that
+// fall inside quiet hours are not pushed as notifications; they only land in the in-app inbox.
+const REMINDER_KINDS = [{
+  k: "meal",
+  label: "Log meals",
+  title: "Time to log your meal",
+  body: "Snap a photo or add it to the diary."
+}, {
+  k: "workout",
+  label: "Workout",
+  title: "Workout time",
+  body: "Today's plan is ready when you are."
+}, {
+  k: "weigh",
+  label: "Weigh-in",
+  title: "Weigh-in",
+  body: "Step on the scale before breakfast."
+}, {
+  k: "water",
+  label: "Hydration",
+  title: "Drink some water",
+  body: "A glass now keeps you on track."
+}];
+const WEEKDAYS = [1, 2, 3, 4, 5, 6, 0]; // display order, Monday first
+const WEEKDAY_LETTERS = ["S", "M", "T", "W", "T", "F", "S"];
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+const DEFAULT_REMINDERS = {
+  enabled: true,
+  quiet: {
+    from: "22:00",
+    to: "07:00"
+  },
+  items: [{
+    id: "meal-1",
+    kind: "meal",
+    time: "08:30",
+    days: EVERY_DAY,
+    on: true
+  }, {
+    id: "meal-2",
+    kind: "meal",
+    time: "13:00",
+    days: EVERY_DAY,
+    on: true
+  }, {
+    id: "meal-3",
+    kind: "meal",
+    time: "19:30",
+    days: EVERY_DAY,
+    on: true
+  }, {
+    id: "workout-1",
+    kind: "workout",
+    time: "18:00",
+    days: [1, 3, 5],
+    on: true
+  }, {
+    id: "weigh-1",
+    kind: "weigh",
+    time: "07:30",
+    days: [1],
+    on: false
+  }, {
+    id: "water-1",
+    kind: "water",
+    time: "11:00",
+    days: EVERY_DAY,
+    on: false
+  }]
+};
+const INBOX_LIMIT = 30;
+
+// Delivered reminders, shared by every bell/banner on the page (persisted, newest first)
+function createReminderInbox() {
+  let state = {
+    loaded: false,
+    items: []
+  };
+  let loading = null;
+  const listeners = new Set();
+  const arrivals = new Set();
+  const emit = next => {
+    state = next;
+    listeners.forEach(fn => fn(state));
+    deviceStore.set("reminderInbox", state.items).catch(e => console.debug("inbox save error", e));
+  };
+  const inbox = {
+    get state() {
+      return state;
+    },
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    onArrival(fn) {
+      arrivals.add(fn);
+      return () => arrivals.delete(fn);
+    },
+    load() {
+      loading = loading || deviceStore.get("reminderInbox", []).then(items => {
+        loadErrors.clear(inbox);
+        state = {
+          loaded: true,
+          items
+        };
+        listeners.forEach(fn => fn(state));
+      }).catch(e => {
+        loading = null;
+        loadErrors.report(inbox, "reminders", e, inbox.load);
+      });
+      return loading;
+    },
+    async push(entry, {
+      banner
+    }) {
+      await inbox.load();
+      if (!state.loaded) {
+        if (banner) arrivals.forEach(fn => fn(entry));
+        return;
+      }
+      if (state.items.some(x => x.id === entry.id)) return;
+      emit({
+        ...state,
+        items: [entry, ...state.items].slice(0, INBOX_LIMIT)
+      });
+      if (banner) arrivals.forEach(fn => fn(entry));
+    },
+    markRead: () => emit({
+      ...state,
+      items: state.items.map(x => ({
+        ...x,
+        read: true
+      }))
+    }),
+    clear: () => emit({
+      ...state,
+      items: []
+    })
+  };
+  return inbox;
+}
+const reminderInbox = createReminderInbox();
+
+// System notification when permitted and outside quiet hours (via the page's service worker if it
+// has one); otherwise an in-app banner. Either way the reminder is kept in the inbox.
+async function deliverReminder(occurrence) {
+  const kind = REMINDER_KINDS.find(k => k.k === occurrence.kind) || REMINDER_KINDS[0];
+  const entry = {
+    id: occurrence.id,
+    kind: kind.k,
+    title: kind.title,
+    body: kind.body,
+    at: occurrence.at,
+    read: false
+  };
+  let notified = false;
+  if (!occurrence.quiet && typeof Notification !== "undefined" && Notification.permission === "granted") {
+    try {
+      const reg = await navigator.serviceWorker?.getRegistration?.();
+      if (reg) await reg.showNotification(kind.title, {
+        body: kind.body,
+        tag: occurrence.reminderId
+      });else new Notification(kind.title, {
+        body: kind.body,
+        tag: occurrence.reminderId
+      });
+      notified = true;
+    } catch (e) {
+      console.debug("[debug] notification failed, using in-app banner", e);
+    }
+  }
+  console.log("[debug] reminder", {
+    id: occurrence.id,
+    notified,
+    quiet: occurrence.quiet
+  });
+  await reminderInbox.push(entry, {
+    banner: !notified && !occurrence.quiet
+  });
+}
+const reminderScheduler = createReminderScheduler({
+  deliver: o => deliverReminder(o).catch(e => console.log("[debug] reminder delivery error", e)),
+  onCheck: ms => deviceStore.set("reminderLastCheck", ms).catch(e => console.debug("reminderLastCheck save error", e))
+});
+
+// Settings edited in ReminderSettings; the scheduler follows every change without a reload
+const reminderSettings = createSharedValue(cloudStore, "reminders", DEFAULT_REMINDERS);
+
+// Wires the page's one scheduler to the shared settings (once, however many views mount it);
+// re-checks on return to the app
+let remindersWired = null;
+function wireReminders() {
+  remindersWired = remindersWired || deviceStore.get("reminderLastCheck", null).catch(() => null).then(since => {
+    const apply = ({
+      loaded,
+      value
+    }) => loaded && reminderScheduler.start(value, since);
+    reminderSettings.subscribe(apply);
+    apply(reminderSettings.state);
+    document.addEventListener("visibilitychange", () => document.visibilityState === "visible" && reminderScheduler.check());
+    return reminderSettings.load();
+  });
+  return remindersWired;
+}
+function useReminderScheduler() {
+  useEffect(() => {
+    wireReminders();
+  }, []);
+}
+function useReminderInbox() {
+  const [state, setState] = useState(reminderInbox.state);
+  useEffect(() => {
+    const off = reminderInbox.subscribe(setState);
+    reminderInbox.load();
+    return off;
+  }, []);
+  return state.items;
+}
+
+// Header bell: unread dot and a drop-down list of delivered reminders
+function ReminderBell() {
+  const items = useReminderInbox();
+  const [open, setOpen] = useState(false);
+  const unread = items.filter(x => !x.read).length;
+  const toggle = () => {
+    if (open && unread) reminderInbox.markRead();
+    setOpen(o => !o);
+  };
+  return /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement("button", {
+    onClick: toggle,
+    className: "relative",
+    "aria-label": unread ? `${unread} unread reminders` : "Reminders"
+  }, /*#__PURE__*/React.createElement(Bell, {
+    size: 18
+  }), unread > 0 && /*#__PURE__*/React.createElement("span", {
+    className: "absolute -top-1 -right-1 min-w-[14px] h-[14px] px-0.5 rounded-full bg-rose-500 text-white text-[9px] leading-[14px] text-center"
+  }, unread)), open && /*#__PURE__*/React.createElement("div", {
+    className: "absolute top-12 right-3 z-30 w-72 max-h-80 overflow-auto rounded-2xl border border-black/10 dark:border-white/10 bg-white dark:bg-neutral-900 shadow-xl p-2 text-neutral-900 dark:text-neutral-50"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between px-2 py-1"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-semibold"
+  }, "Reminders"), items.length > 0 && /*#__PURE__*/React.createElement("button", {
+    onClick: () => reminderInbox.clear(),
+    className: "text-xs text-blue-600"
+  }, "Clear")), items.length ? items.map(x => /*#__PURE__*/React.createElement("div", {
+    key: x.id,
+    className: `px-2 py-2 rounded-xl ${x.read ? "" : "bg-blue-50 dark:bg-blue-950/30"}`
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-medium"
+  }, x.title), /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500"
+  }, x.body, " \xB7 ", formatDayLabel(dayKey(new Date(x.at)), dayKey()), " ", nowHHMM(new Date(x.at))))) : /*#__PURE__*/React.createElement("div", {
+    className: "px-2 py-3 text-xs text-neutral-500"
+  }, "No reminders yet.")));
+}
+
+// Slides in when a reminder is delivered in-app instead of as a notification
+function ReminderBanner() {
+  const [shown, setShown] = useState(null);
+  useEffect(() => reminderInbox.onArrival(x => {
+    setShown(x);
+    notify("warning");
+  }), []);
+  useEffect(() => {
+    if (!shown) return;
+    const t = setTimeout(() => setShown(null), 6000);
+    return () => clearTimeout(t);
+  }, [shown]);
+  if (!shown) return null;
+  return /*#__PURE__*/React.createElement("div", {
+    role: "status",
+    className: "absolute top-14 inset-x-3 z-30 rounded-2xl p-3 bg-blue-600 text-white shadow-lg flex items-center gap-3",
+    onClick: () => {
+      setShown(null);
+      reminderInbox.markRead();
+    }
+  }, /*#__PURE__*/React.createElement(Bell, {
+    size: 18
+  }), /*#__PURE__*/React.createElement("div", {
+    className: "flex-1"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-semibold"
+  }, shown.title), /*#__PURE__*/React.createElement("div", {
+    className: "text-xs opacity-80"
+  }, shown.body)));
+}
+
+// Master switch, per-kind times and weekdays, quiet hours and notification permission
+function ReminderSettings() {
+  const [config, setConfig, loading] = useSharedValue(reminderSettings);
+  const [permission, setPermission] = useState(typeof Notification === "undefined" ? "unsupported" : Notification.permission);
+  if (loading) return /*#__PURE__*/React.createElement("div", {
+    className: "h-12 rounded-xl bg-neutral-100 dark:bg-neutral-800 animate-pulse"
+  });
+  const update = fn => setConfig(c => ({
+    ...c,
+    ...fn(c)
+  }));
+  const setItem = (id, fields) => update(c => ({
+    items: c.items.map(i => i.id === id ? {
+      ...i,
+      ...fields
+    } : i)
+  }));
+  const addItem = kind => update(c => ({
+    items: [...c.items, {
+      id: `${kind}-${Date.now()}`,
+      kind,
+      time: "12:00",
+      days: EVERY_DAY,
+      on: true
+    }]
+  }));
+  const removeItem = id => update(c => ({
+    items: c.items.filter(i => i.id !== id)
+  }));
+  const toggleDay = (item, d) => setItem(item.id, {
+    days: item.days.includes(d) ? item.days.filter(x => x !== d) : [...item.days, d].sort()
+  });
+  const askPermission = async () => {
+    try {
+      setPermission(await Notification.requestPermission());
+    } catch (e) {
+      console.debug("[debug] notification permission", e);
+    }
+  };
+  return /*#__PURE__*/React.createElement("div", {
+    className: "space-y-3"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between"
+  }, /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-medium"
+  }, "Reminders"), /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500"
+  }, "Get notified about workouts & meals")), /*#__PURE__*/React.createElement("button", {
+    onClick: () => update(c => ({
+      enabled: !c.enabled
+    })),
+    "aria-pressed": config.enabled,
+    className: `w-11 h-6 rounded-full relative transition ${config.enabled ? "bg-emerald-500" : "bg-neutral-300 dark:bg-neutral-700"}`
+  }, /*#__PURE__*/React.createElement("span", {
+    className: `absolute top-0.5 ${config.enabled ? "left-6" : "left-0.5"} w-5 h-5 rounded-full bg-white transition`
+  }))), config.enabled && /*#__PURE__*/React.createElement(React.Fragment, null, REMINDER_KINDS.map(kind => /*#__PURE__*/React.createElement("div", {
+    key: kind.k
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between text-xs mb-1"
+  }, /*#__PURE__*/React.createElement("span", {
+    className: "font-medium"
+  }, kind.label), /*#__PURE__*/React.createElement("button", {
+    onClick: () => addItem(kind.k),
+    className: "text-blue-600"
+  }, "+ Add time")), config.items.filter(i => i.kind === kind.k).map(item => /*#__PURE__*/React.createElement("div", {
+    key: item.id,
+    className: `flex items-center gap-2 py-1 ${item.on ? "" : "opacity-50"}`
+  }, /*#__PURE__*/React.createElement("input", {
+    type: "checkbox",
+    checked: item.on,
+    onChange: e => setItem(item.id, {
+      on: e.target.checked
+    }),
+    "aria-label": `${kind.label} at ${item.time}`
+  }), /*#__PURE__*/React.createElement("input", {
+    type: "time",
+    value: item.time,
+    onChange: e => isHHMM(e.target.value) && setItem(item.id, {
+      time: e.target.value
+    }),
+    className: "px-2 py-1 text-sm rounded-lg border border-black/10 dark:border-white/10 bg-transparent"
+  }), /*#__PURE__*/React.createElement("div", {
+    className: "flex gap-0.5"
+  }, WEEKDAYS.map(d => /*#__PURE__*/React.createElement("button", {
+    key: d,
+    onClick: () => toggleDay(item, d),
+    "aria-pressed": item.days.includes(d),
+    className: `w-5 h-5 text-[10px] rounded-full ${item.days.includes(d) ? "bg-blue-600 text-white" : "bg-neutral-100 dark:bg-neutral-800 text-neutral-500"}`
+  }, WEEKDAY_LETTERS[d]))), /*#__PURE__*/React.createElement("button", {
+    onClick: () => removeItem(item.id),
+    className: "ml-auto text-neutral-400",
+    "aria-label": "Remove reminder"
+  }, /*#__PURE__*/React.createElement(Trash2, {
+    size: 14
+  })))))), /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center gap-2 text-xs"
+  }, /*#__PURE__*/React.createElement("span", {
+    className: "font-medium"
+  }, "Quiet hours"), /*#__PURE__*/React.createElement("input", {
+    type: "time",
+    value: config.quiet.from,
+    onChange: e => isHHMM(e.target.value) && update(c => ({
+      quiet: {
+        ...c.quiet,
+        from: e.target.value
+      }
+    })),
+    className: "px-2 py-1 text-sm rounded-lg border border-black/10 dark:border-white/10 bg-transparent"
+  }), /*#__PURE__*/React.createElement("span", null, "\u2013"), /*#__PURE__*/React.createElement("input", {
+    type: "time",
+    value: config.quiet.to,
+    onChange: e => isHHMM(e.target.value) && update(c => ({
+      quiet: {
+        ...c.quiet,
+        to: e.target.value
+      }
+    })),
+    className: "px-2 py-1 text-sm rounded-lg border border-black/10 dark:border-white/10 bg-transparent"
+  })), /*#__PURE__*/React.createElement("div", {
+    className: "text-[11px] text-neutral-500"
+  }, permission === "granted" ? "Notifications are on; during quiet hours reminders wait silently behind the bell." : permission === "unsupported" ? "This app can't send notifications here, so reminders appear as banners and behind the bell." : /*#__PURE__*/React.createElement(React.Fragment, null, "Reminders appear as in-app banners. ", permission === "default" && /*#__PURE__*/React.createElement("button", {
+    onClick: askPermission,
+    className: "text-blue-600"
+  }, "Allow notifications")))));
+}
+
+// ------------------------------
+// Calendar (iCalendar export / busy-time import)
+// ------------------------------
+// deviceStore "planSchedule" ties plan day N to the date `start` + N - 1 (repeating weekly) at
+// `time`. deviceStore "busyCalendar" keeps events parsed from an imported .ics as wall-clock
+// parts plus their TZID, and expands recurrences on demand, so DST moves are applied per date.
+const DEFAULT_SCHEDULE = {
+  start: null,
+  time: "18:00",
+  minutes: 60,
+  weeks: 4
+};
+const SESSION_LENGTHS = [30, 45, 60, 75, 90];
+const TRAINING_WINDOW = {
+  from: "06:00",
+  to: "22:00"
+}; // sessions are only moved within these hours
+const SLOT_STEP = 15;
+const ICS_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const mondayOf = key => shiftDay(key, -((parseDayKey(key).getDay() + 6) % 7));
+
+// First day of the weekly cycle that contains `today` (the first cycle while `start` is ahead)
+const cycleStart = (start, today) => shiftDay(start, 7 * Math.max(0, Math.floor(daysBetween(start, today) / 7)));
+
+// ms for a wall-clock time on `date` in `tz` ("UTC", an IANA zone, or null for the device's zone)
+function wallClockMs(date, time = "00:00:00", tz = null) {
+  const [y, mo, d] = date.split("-").map(Number);
+  const [h, mi, s = 0] = time.split(":").map(Number);
+  if (!tz) return new Date(y, mo - 1, d, h, mi, s).getTime();
+  const asUtc = Date.UTC(y, mo - 1, d, h, mi, s);
+  if (tz === "UTC") return asUtc;
+  try {
+    const f = new Intl.DateTimeFormat("en-US", {
+      timeZone: tz,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric"
+    });
+    const offset = t => {
+      const p = Object.fromEntries(f.formatToParts(t).map(x => [x.type, Number(x.value)]));
+      return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - t;
+    };
+    return asUtc - offset(asUtc - offset(asUtc)); // second pass settles times near a DST change
+  } catch (e) {
+    console.debug("[debug] unknown TZID, using device time", tz);
+    return new Date(y, mo - 1, d, h, mi, s).getTime();
+  }
+}
+const escapeIcs = text => String(text).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+const unescapeIcs = text => text.replace(/\\n/gi, "\n").replace(/\\([,;\\])/g, "$1");
+
+// Content lines are folded at 75 octets (RFC 5545 §3.1), never inside a UTF-8 sequence
+function foldIcsLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let chunk = "",
+    size = 0;
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length;
+    if (size + n > (parts.length ? 74 : 75)) {
+      parts.push(chunk);
+      chunk = "";
+      size = 0;
+    }
+    chunk += ch;
+    size += n;
+  }
+  parts.push(chunk);
+  return parts.join("\r\n ");
+}
+const icsLocal = (date, time) => `${date.replace(/-/g, "")}T${time.replace(":", "")}00`;
+const icsUtc = ms => new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * One weekly-recurring VEVENT per training day, starting in the cycle that contains `today`,
+ * with a reminder alarm. Times are floating (no TZID), i.e. the wall-clock time wherever the
+ * user is, matching how the plan is shown.
+ */
+function planToIcs(plan, schedule, slots, {
+  seed = 1,
+  alarmMin = 30,
+  now = Date.now()
+} = {}) {
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//TG Coach//Workout plan//EN", "CALSCALE:GREGORIAN"];
+  for (const d of plan) {
+    if (d.rest || !d.exercises.length) continue;
+    const slot = slots[d.day];
+    lines.push("BEGIN:VEVENT", `UID:plan-${seed}-day-${d.day}@tgcoach`, `DTSTAMP:${icsUtc(now)}`, `DTSTART:${icsLocal(slot.date, slot.time)}`, `DURATION:PT${schedule.minutes}M`, `RRULE:FREQ=WEEKLY;COUNT=${schedule.weeks}`, `SUMMARY:${escapeIcs(`Workout · Day ${d.day}`)}`, `DESCRIPTION:${escapeIcs(d.exercises.map(e => `${e.name}${formatDose(e) ? ` ${formatDose(e)}` : ""}`).join("\n"))}`, "BEGIN:VALARM", "ACTION:DISPLAY", `DESCRIPTION:${escapeIcs(`Workout Day ${d.day} starts in ${alarmMin} min`)}`, `TRIGGER:-PT${alarmMin}M`, "END:VALARM", "END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+// "20261019" / "20261019T083000" / "20261019T083000Z" → { date, time, tz }
+function parseIcsDate(value, params) {
+  const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return null;
+  const date = `${m[1]}-${m[2]}-${m[3]}`;
+  if (!m[4] || params.VALUE === "DATE") return {
+    date,
+    time: null,
+    tz: null
+  };
+  return {
+    date,
+    time: `${m[4]}:${m[5]}:${m[6]}`,
+    tz: m[7] ? "UTC" : params.TZID || null
+  };
+}
+function parseIcsDuration(value) {
+  const m = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return null;
+  const [, sign, w = 0, d = 0, h = 0, mi = 0, s = 0] = m;
+  return (sign === "-" ? -1 : 1) * ((((+w * 7 + +d) * 24 + +h) * 60 + +mi) * 60 + +s) * 1000;
+}
+
+/**
+ * Busy events from .ics text. Supports DTSTART/DTEND/DURATION (dates, UTC, floating or TZID),
+ * DAILY/WEEKLY RRULEs with INTERVAL, BYDAY, COUNT and UNTIL, and EXDATE. Cancelled and
+ * transparent ("free") events are skipped; other recurrences keep only their first occurrence.
+ */
+function parseIcs(text) {
+  const events = [];
+  let current = null;
+  for (const raw of text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/)) {
+    const m = raw.match(/^([A-Za-z-]+)((?:;[^:]*)?):(.*)$/);
+    if (!m) continue;
+    const name = m[1].toUpperCase();
+    const params = Object.fromEntries(m[2].split(";").filter(Boolean).map(p => p.split("=")).map(([k, v]) => [k.toUpperCase(), (v || "").replace(/^"|"$/g, "")]));
+    const value = m[3];
+    if (name === "BEGIN" && value === "VEVENT") current = {
+      summary: "",
+      exdates: []
+    };else if (name === "END" && value === "VEVENT" && current) {
+      const ev = current;
+      current = null;
+      if (!ev.start || ev.cancelled || ev.transparent) continue;
+      const allDay = !ev.start.time;
+      const startMs = wallClockMs(ev.start.date, ev.start.time || "00:00:00", ev.start.tz);
+      const endMs = ev.end ? wallClockMs(ev.end.date, ev.end.time || "00:00:00", ev.end.tz) : null;
+      const durationMs = ev.durationMs ?? (endMs !== null ? endMs - startMs : allDay ? 86400000 : 0);
+      events.push({
+        summary: ev.summary,
+        date: ev.start.date,
+        time: ev.start.time,
+        tz: ev.start.tz,
+        allDay,
+        durationMs: Math.max(0, durationMs),
+        rrule: ev.rrule || null,
+        exdates: ev.exdates
+      });
+    } else if (current) {
+      if (name === "SUMMARY") current.summary = unescapeIcs(value);else if (name === "DTSTART") current.start = parseIcsDate(value, params);else if (name === "DTEND") current.end = parseIcsDate(value, params);else if (name === "DURATION") current.durationMs = parseIcsDuration(value);else if (name === "STATUS") current.cancelled = value.toUpperCase() === "CANCELLED";else if (name === "TRANSP") current.transparent = value.toUpperCase() === "TRANSPARENT";else if (name === "EXDATE") current.exdates.push(...value.split(",").map(v => parseIcsDate(v, params)?.date).filter(Boolean));else if (name === "RRULE") {
+        const r = Object.fromEntries(value.split(";").map(p => p.split("=")).map(([k, v]) => [k.toUpperCase(), v]));
+        if (r.FREQ === "DAILY" || r.FREQ === "WEEKLY") {
+          current.rrule = {
+            freq: r.FREQ,
+            interval: Math.max(1, Number(r.INTERVAL) || 1),
+            byday: r.BYDAY ? r.BYDAY.split(",").map(d => ICS_WEEKDAYS.indexOf(d.slice(-2))).filter(d => d >= 0) : null,
+            count: r.COUNT ? Number(r.COUNT) : null,
+            until: r.UNTIL ? parseIcsDate(r.UNTIL, {})?.date || null : null
+          };
+        }
+      }
+    }
+  }
+  return events;
+}
+
+// Occurrences of the imported events overlapping [fromMs, toMs) as { start, end, summary }
+function busyIntervals(events, fromMs, toMs) {
+  const out = [];
+  const lastDate = dayKey(new Date(toMs));
+  for (const ev of events) {
+    const push = date => {
+      const start = wallClockMs(date, ev.time || "00:00:00", ev.tz);
+      const end = start + ev.durationMs;
+      if (end > fromMs && start < toMs) out.push({
+        start,
+        end,
+        summary: ev.summary
+      });
+    };
+    if (!ev.rrule) {
+      push(ev.date);
+      continue;
+    }
+    const {
+      freq,
+      interval,
+      byday,
+      count,
+      until
+    } = ev.rrule;
+    const days = byday?.length ? byday : [parseDayKey(ev.date).getDay()];
+    let n = 0;
+    for (let d = ev.date; d <= lastDate && (!until || d <= until); d = shiftDay(d, 1)) {
+      const offset = daysBetween(ev.date, d);
+      const hit = freq === "DAILY" ? offset % interval === 0 : days.includes(parseDayKey(d).getDay()) && Math.floor(daysBetween(mondayOf(ev.date), d) / 7) % interval === 0;
+      if (!hit) continue;
+      if (count && ++n > count) break;
+      if (!ev.exdates.includes(d)) push(d);
+    }
+  }
+  return out;
+}
+
+/** Free start time on `date` closest to `preferred` for a `minutes` session, or null if the day is full. */
+function findFreeSlot(date, preferred, minutes, busy, window = TRAINING_WINDOW) {
+  const from = hhmmMinutes(window.from),
+    to = hhmmMinutes(window.to) - minutes;
+  const candidates = [];
+  for (let m = from; m <= to; m += SLOT_STEP) candidates.push(m);
+  candidates.sort((a, b) => Math.abs(a - hhmmMinutes(preferred)) - Math.abs(b - hhmmMinutes(preferred)) || a - b);
+  for (const m of candidates) {
+    const time = `${pad2(Math.floor(m / 60))}:${pad2(m % 60)}`;
+    const start = wallClockMs(date, time),
+      end = start + minutes * 60000;
+    if (!busy.some(b => b.start < end && b.end > start)) return time;
+  }
+  return null;
+}
+
+/**
+ * Date and time for every training day of the cycle containing `today`: the preferred time when
+ * free, otherwise the nearest free slot that day. `conflict` marks days with no room at all.
+ */
+function scheduleWeek(plan, schedule, busyEvents, today = dayKey()) {
+  const first = cycleStart(schedule.start || mondayOf(today), today);
+  const busy = busyIntervals(busyEvents, wallClockMs(first), wallClockMs(shiftDay(first, 7)));
+  const slots = {};
+  for (const d of plan) {
+    const date = shiftDay(first, d.day - 1);
+    if (d.rest) {
+      slots[d.day] = {
+        date,
+        time: null
+      };
+      continue;
+    }
+    const time = findFreeSlot(date, schedule.time, schedule.minutes, busy);
+    slots[d.day] = {
+      date,
+      time: time || schedule.time,
+      moved: !!time && time !== schedule.time,
+      conflict: !time
+    };
+  }
+  return slots;
+}
+function downloadText(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], {
+    type
+  }));
+  const a = Object.assign(document.createElement("a"), {
+    href: url,
+    download: filename
+  });
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Start date, time and length of sessions; .ics export of the plan and busy-time import
+function PlanScheduleCard({
+  plan,
+  seed,
+  schedule,
+  onSchedule,
+  slots,
+  busy,
+  onBusy
+}) {
+  const fileRef = useRef(null);
+  const [message, setMessage] = useState(null);
+  const set = fields => onSchedule({
+    ...schedule,
+    ...fields
+  });
+  const importBusy = async file => {
+    if (!file) return;
     try {
-      const v = localStorage.getItem(`${NS}:dev:${key}`);
-      return v ? JSON.parse(v) : fallback;
+      const events = parseIcs(await file.text());
+      onBusy({
+        name: file.name,
+        importedAt: Date.now(),
+        events
+      });
+      setMessage({
+        ok: true,
+        text: `${events.length} busy event${events.length === 1 ? "" : "s"} imported`
+      });
+      console.log("[debug] busy calendar imported", {
+        name: file.name,
+        events: events.length
+      });
     } catch (e) {
-      console.debug("deviceStore.get error", e);
-      return fallback;
+      console.log("[debug] ics import error", e);
+      setMessage({
+        ok: false,
+        text: "Could not read that calendar file"
+      });
+    }
+  };
+  const exportIcs = () => {
+    downloadText(`workout-plan-${seed}.ics`, planToIcs(plan, schedule, slots, {
+      seed
+    }), "text/calendar");
+    haptic("light");
+  };
+  return /*#__PURE__*/React.createElement("div", {
+    className: "rounded-2xl border border-black/5 dark:border-white/10 p-3 bg-white dark:bg-neutral-900 space-y-2"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-semibold"
+  }, "Schedule"), /*#__PURE__*/React.createElement("div", {
+    className: "grid grid-cols-3 gap-2"
+  }, /*#__PURE__*/React.createElement(Field, {
+    label: "Day 1"
+  }, /*#__PURE__*/React.createElement("input", {
+    type: "date",
+    value: schedule.start || mondayOf(dayKey()),
+    onChange: e => isDayKey(e.target.value) && set({
+      start: e.target.value
+    }),
+    className: inputCls(false)
+  })), /*#__PURE__*/React.createElement(Field, {
+    label: "Time"
+  }, /*#__PURE__*/React.createElement("input", {
+    type: "time",
+    value: schedule.time,
+    onChange: e => isHHMM(e.target.value) && set({
+      time: e.target.value
+    }),
+    className: inputCls(false)
+  })), /*#__PURE__*/React.createElement(Field, {
+    label: "Length"
+  }, /*#__PURE__*/React.createElement("select", {
+    value: schedule.minutes,
+    onChange: e => set({
+      minutes: Number(e.target.value)
+    }),
+    className: inputCls(false)
+  }, SESSION_LENGTHS.map(n => /*#__PURE__*/React.createElement("option", {
+    key: n,
+    value: n
+  }, n, " min"))))), /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center gap-2 text-xs"
+  }, /*#__PURE__*/React.createElement("span", null, "Repeat"), /*#__PURE__*/React.createElement("select", {
+    value: schedule.weeks,
+    onChange: e => set({
+      weeks: Number(e.target.value)
+    }),
+    className: "px-2 py-1 rounded-lg border border-black/10 dark:border-white/10 bg-transparent"
+  }, [1, 2, 4, 8, 12].map(n => /*#__PURE__*/React.createElement("option", {
+    key: n,
+    value: n
+  }, n, " week", n === 1 ? "" : "s"))), /*#__PURE__*/React.createElement("button", {
+    onClick: exportIcs,
+    className: "ml-auto px-3 py-1.5 rounded-lg bg-blue-600 text-white"
+  }, "Export .ics")), /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center gap-2 text-xs"
+  }, /*#__PURE__*/React.createElement("input", {
+    ref: fileRef,
+    type: "file",
+    accept: ".ics,text/calendar",
+    className: "hidden",
+    onChange: e => {
+      importBusy(e.target.files[0]);
+      e.target.value = "";
+    }
+  }), /*#__PURE__*/React.createElement("button", {
+    onClick: () => fileRef.current?.click(),
+    className: "px-3 py-1.5 rounded-lg border border-black/10 dark:border-white/10"
+  }, "Import busy times"), busy ? /*#__PURE__*/React.createElement("span", {
+    className: "text-neutral-500"
+  }, busy.name, " \xB7 ", busy.events.length, " events ", /*#__PURE__*/React.createElement("button", {
+    onClick: () => {
+      onBusy(null);
+      setMessage(null);
+    },
+    className: "text-blue-600"
+  }, "Clear")) : /*#__PURE__*/React.createElement("span", {
+    className: "text-neutral-500"
+  }, "Sessions move to free slots around your calendar")), message && /*#__PURE__*/React.createElement("div", {
+    className: `text-xs ${message.ok ? "text-emerald-600" : "text-rose-600"}`
+  }, message.text));
+}
+
+// ------------------------------
+// Wearable imports (Apple Health, Google Fit, Fitbit, GPX/TCX)
+// ------------------------------
+// Files are read in 1 MB chunks and scanned incrementally, yielding to the UI between chunks,
+// so a multi-GB Apple Health export.xml never sits in memory as one string. Each importer
+// normalises into per-day { steps, sleepH, restingHr, hrvMs } plus activity records:
+//  - deviceStore "wearableSteps" = { [source]: { [date]: steps } }
+//  - secureStore "wearableVitals" = { [source]: { [date]: { sleepH?, restingHr?, hrvMs? } } }
+//  - activities are added to deviceStore "activities" with id `${source}:${externalId}`
+// De-duplication: inside one file, steps are summed per recording device and the largest
+// device total wins (phone and watch count the same steps), and sleep intervals from all
+// devices are merged before summing. Across sources, steps and sleep take the larger value
+// and heart metrics come from one source per day (SDNN and RMSSD are not comparable).
+// Activities overlapping an existing activity or a finished workout by half or more are skipped.
+const WEARABLE_SOURCES = {
+  apple: "Apple Health",
+  google: "Google Fit",
+  fitbit: "Fitbit",
+  gpx: "GPX/TCX"
+};
+const HEART_SOURCE_PRIORITY = ["apple", "fitbit", "google"];
+const IMPORT_CHUNK = 1 << 20;
+const MIN_IMPORTED_ACTIVITY_MIN = 5;
+const yieldToUi = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Streams `file` as decoded text chunks; UTF-8 sequences split across chunks are kept intact
+async function readTextChunks(file, onChunk, onProgress = () => {}) {
+  const decoder = new TextDecoder();
+  for (let offset = 0; offset < file.size; offset += IMPORT_CHUNK) {
+    const buf = await file.slice(offset, offset + IMPORT_CHUNK).arrayBuffer();
+    onChunk(decoder.decode(buf, {
+      stream: offset + IMPORT_CHUNK < file.size
+    }));
+    onProgress(Math.min(1, (offset + IMPORT_CHUNK) / file.size));
+    await yieldToUi();
+  }
+}
+const XML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'"
+};
+const decodeXml = s => s.replace(/&(amp|lt|gt|quot|apos);/g, (_, e) => XML_ENTITIES[e]);
+
+// Calls onTag(name, attributes) for every start tag in `names`, across chunk boundaries
+function createXmlTagScanner(names, onTag) {
+  let buf = "";
+  const tagRe = new RegExp(`<(${names.join("|")})\\s([^>]*)>`, "g");
+  const attrRe = /([\w:.-]+)="([^"]*)"/g;
+  return {
+    push(chunk) {
+      buf += chunk;
+      tagRe.lastIndex = 0;
+      let end = 0;
+      for (let m; m = tagRe.exec(buf);) {
+        const attrs = {};
+        for (const [, k, v] of m[2].matchAll(attrRe)) attrs[k] = decodeXml(v);
+        onTag(m[1], attrs);
+        end = tagRe.lastIndex;
+      }
+      // Keep only a possibly incomplete trailing tag
+      buf = buf.slice(Math.max(end, buf.lastIndexOf("<")));
+    }
+  };
+}
+
+/**
+ * Calls onItem(object, key) for each object that is an element of the root array, or of an
+ * array held directly by the root object (`key` is that property, e.g. "Data Points").
+ * Only the current element is buffered.
+ */
+function createJsonItemScanner(onItem) {
+  const stack = [];
+  let inString = false,
+    escaped = false,
+    text = "",
+    key = null,
+    arrayKey = null;
+  let item = null,
+    itemDepth = 0;
+  return {
+    push(chunk) {
+      let start = item !== null ? 0 : -1;
+      for (let i = 0; i < chunk.length; i++) {
+        const ch = chunk[i];
+        if (inString) {
+          if (escaped) escaped = false;else if (ch === "\\") escaped = true;else if (ch === '"') inString = false;else if (item === null && stack.length === 1) text += ch;
+          continue;
+        }
+        if (ch === '"') {
+          inString = true;
+          text = "";
+        } else if (ch === ":" && item === null && stack.length === 1) key = text;else if (ch === "{" || ch === "[") {
+          const recordArray = stack[stack.length - 1] === "[" && (stack.length === 1 || stack.length === 2 && stack[0] === "{");
+          if (ch === "[" && stack.length === 1 && stack[0] === "{") arrayKey = key;
+          stack.push(ch);
+          if (ch === "{" && item === null && recordArray) {
+            item = "";
+            itemDepth = stack.length;
+            start = i;
+          }
+        } else if (ch === "}" || ch === "]") {
+          if (item !== null && stack.length === itemDepth) {
+            const json = item + chunk.slice(start, i + 1);
+            item = null;
+            start = -1;
+            try {
+              onItem(JSON.parse(json), stack.length === 2 ? null : arrayKey);
+            } catch (e) {
+              console.debug("[debug] skipped bad JSON item", e);
+            }
+          }
+          stack.pop();
+        }
+      }
+      if (item !== null) item += chunk.slice(start);
+    }
+  };
+}
+
+// Collects normalised samples for one file
+function createImportBatch(source) {
+  const steps = new Map(); // date → Map(device → steps)
+  const sleep = []; // [start, end] ms
+  const heart = {
+    restingHr: new Map(),
+    hrvMs: new Map()
+  }; // date → [values]
+  const activities = [];
+  const at = (map, date) => map.get(date) || map.set(date, []).get(date);
+  return {
+    source,
+    records: 0,
+    addSteps(ms, n, device = source) {
+      const date = dayKey(new Date(ms));
+      const perDevice = steps.get(date) || steps.set(date, new Map()).get(date);
+      perDevice.set(device, (perDevice.get(device) || 0) + n);
+      this.records++;
+    },
+    addSleep(startMs, endMs) {
+      if (endMs > startMs) {
+        sleep.push([startMs, endMs]);
+        this.records++;
+      }
+    },
+    addHeart(metric, ms, value) {
+      if (value > 0) {
+        at(heart[metric], dayKey(new Date(ms))).push(value);
+        this.records++;
+      }
+    },
+    addActivity(a) {
+      if (a.endMs - a.startMs >= MIN_IMPORTED_ACTIVITY_MIN * 60000) {
+        activities.push({
+          source,
+          ...a
+        });
+        this.records++;
+      }
+    },
+    /** → { source, records, days: { [date]: { steps?, sleepH?, restingHr?, hrvMs? } }, activities } */
+    finish() {
+      const days = {};
+      const day = date => days[date] = days[date] || {};
+      for (const [date, perDevice] of steps) day(date).steps = Math.max(...perDevice.values());
+      // Merge overlapping sleep from all devices; each block counts for the day it ends on
+      sleep.sort((a, b) => a[0] - b[0]);
+      const merged = [];
+      for (const [s, e] of sleep) {
+        const last = merged[merged.length - 1];
+        if (last && s <= last[1]) last[1] = Math.max(last[1], e);else merged.push([s, e]);
+      }
+      for (const [s, e] of merged) {
+        const d = day(dayKey(new Date(e)));
+        d.sleepH = round1((d.sleepH || 0) + (e - s) / 3600000);
+      }
+      for (const metric of ["restingHr", "hrvMs"]) {
+        for (const [date, values] of heart[metric]) day(date)[metric] = Math.round(values.reduce((s, v) => s + v, 0) / values.length);
+      }
+      return {
+        source,
+        records: this.records,
+        days,
+        activities
+      };
     }
-  },
-  set(key, value) {
-    try {
-      localStorage.setItem(`${NS}:dev:${key}`, JSON.stringify(value));
-    } catch (e) {
-      console.debug("deviceStore.set error", e);
+  };
+}
+
+// Maps a workout label from any source onto the manual activity list (for names and MET)
+const ACTIVITY_MATCHERS = [[/run|jog/i, "Running"], [/hik/i, "Hiking"], [/walk/i, "Walking"], [/cycl|bik|spinning/i, "Cycling"], [/swim/i, "Swimming"], [/ellip/i, "Elliptical"], [/strength|weight|functional/i, "Strength training"], [/yoga|pilates/i, "Yoga"], [/danc/i, "Dancing"], [/soccer|football/i, "Football"], [/basketball/i, "Basketball"], [/tennis/i, "Tennis"]];
+function activityType(label = "") {
+  const match = ACTIVITY_MATCHERS.find(([re]) => re.test(label));
+  if (match) return ACTIVITY_TYPES.find(t => t.name === match[1]);
+  const name = label.replace(/^HKWorkoutActivityType/, "").replace(/([a-z])([A-Z])/g, "$1 $2").replace(/[_-]+/g, " ").trim();
+  return {
+    name: name ? name[0].toUpperCase() + name.slice(1).toLowerCase() : "Workout",
+    met: 4
+  };
+}
+
+// "2026-10-19 08:00:00 +0200" (Apple) → ms
+const parseAppleDate = s => Date.parse(s.replace(" ", "T").replace(/ ([+-]\d{2})(\d{2})$/, "$1:$2"));
+// "10/19/26 18:00:00" (Fitbit, local time) → ms
+function parseFitbitDate(s) {
+  const m = s.match(/^(\d{2})\/(\d{2})\/(\d{2}) (\d{2}):(\d{2}):(\d{2})$/);
+  return m ? new Date(2000 + +m[3], m[1] - 1, +m[2], +m[4], +m[5], +m[6]).getTime() : Date.parse(s);
+}
+const APPLE_SLEEP_ASLEEP = /Asleep/; // Asleep, AsleepCore, AsleepDeep, AsleepREM, AsleepUnspecified — not InBed/Awake
+
+async function importAppleHealth(file, onProgress) {
+  const batch = createImportBatch("apple");
+  let workout = null;
+  const flush = () => {
+    if (!workout) return;
+    const type = activityType(workout.workoutActivityType);
+    batch.addActivity({
+      externalId: `${workout.startDate}|${workout.workoutActivityType}`,
+      name: type.name,
+      met: type.met,
+      startMs: parseAppleDate(workout.startDate),
+      endMs: parseAppleDate(workout.endDate),
+      kcal: Number(workout.totalEnergyBurned) || workout.kcal || null,
+      distanceKm: Number(workout.totalDistance) || workout.km || null
+    });
+    workout = null;
+  };
+  const scanner = createXmlTagScanner(["Record", "Workout", "WorkoutStatistics"], (tag, a) => {
+    if (tag === "WorkoutStatistics") {
+      // Newer exports carry energy and distance in child elements of <Workout>
+      if (!workout) return;
+      if (/ActiveEnergyBurned/.test(a.type) && a.unit === "kcal") workout.kcal = Number(a.sum);
+      if (/Distance/.test(a.type)) workout.km = Number(a.sum) * (a.unit === "mi" ? 1.609 : a.unit === "m" ? 0.001 : 1);
+      return;
     }
+    flush();
+    if (tag === "Workout") {
+      workout = a;
+      return;
+    }
+    const start = parseAppleDate(a.startDate);
+    if (a.type === "HKQuantityTypeIdentifierStepCount") batch.addSteps(start, Number(a.value) || 0, a.sourceName);else if (a.type === "HKCategoryTypeIdentifierSleepAnalysis" && APPLE_SLEEP_ASLEEP.test(a.value)) batch.addSleep(start, parseAppleDate(a.endDate));else if (a.type === "HKQuantityTypeIdentifierRestingHeartRate") batch.addHeart("restingHr", start, Number(a.value));else if (a.type === "HKQuantityTypeIdentifierHeartRateVariabilitySDNN") batch.addHeart("hrvMs", start, Number(a.value));
+  });
+  await readTextChunks(file, t => scanner.push(t), onProgress);
+  flush();
+  return batch.finish();
+}
+
+// Google Fit activity ids → labels (only the ones worth recording as activities)
+const GOOGLE_ACTIVITIES = {
+  1: "Biking",
+  7: "Walking",
+  8: "Running",
+  9: "Aerobics",
+  24: "Dancing",
+  35: "Hiking",
+  80: "Strength training",
+  82: "Swimming",
+  100: "Yoga",
+  25: "Elliptical"
+};
+const GOOGLE_ASLEEP = [2, 4, 5, 6]; // sleep, light, deep, REM (1 = awake, 3 = out of bed)
+
+function addGoogleFitPoint(batch, p, device) {
+  const startMs = Number(p.startTimeNanos) / 1e6,
+    endMs = Number(p.endTimeNanos) / 1e6;
+  const v = p.fitValue?.[0]?.value || {};
+  const n = v.intVal ?? v.fpVal;
+  if (!Number.isFinite(startMs) || n === undefined) return;
+  if (p.dataTypeName === "com.google.step_count.delta") batch.addSteps(startMs, n, device);else if (p.dataTypeName === "com.google.sleep.segment" && GOOGLE_ASLEEP.includes(n)) batch.addSleep(startMs, endMs);else if (p.dataTypeName === "com.google.activity.segment" && GOOGLE_ACTIVITIES[n]) {
+    const type = activityType(GOOGLE_ACTIVITIES[n]);
+    batch.addActivity({
+      externalId: `${p.startTimeNanos}|${n}`,
+      name: type.name,
+      met: type.met,
+      startMs,
+      endMs,
+      kcal: null,
+      distanceKm: null
+    });
+  }
+}
+
+// Fitbit exports one JSON array per metric and month; the file name says which metric it is
+function addFitbitItem(batch, kind, x) {
+  if (kind === "steps") batch.addSteps(parseFitbitDate(x.dateTime), Number(x.value) || 0);else if (kind === "resting_heart_rate") batch.addHeart("restingHr", parseFitbitDate(x.dateTime), Number(x.value?.value) || 0);else if (kind === "sleep") batch.addSleep(Date.parse(x.startTime), Date.parse(x.startTime) + (Number(x.minutesAsleep) || 0) * 60000);else if (kind === "exercise") {
+    const type = activityType(x.activityName);
+    const startMs = parseFitbitDate(x.startTime);
+    const km = x.distanceUnit === "Mile" ? x.distance * 1.609 : x.distance;
+    batch.addActivity({
+      externalId: String(x.logId),
+      name: type.name,
+      met: type.met,
+      startMs,
+      endMs: startMs + (Number(x.duration) || 0),
+      kcal: Number(x.calories) || null,
+      distanceKm: Number(km) || null
+    });
   }
+}
+
+// Google Takeout "All Data/*.json" and Fitbit "*-YYYY-MM-DD.json" share one streaming path
+async function importJson(file, onProgress) {
+  const fitbitKind = file.name.match(/^(steps|resting_heart_rate|sleep|exercise)-\d{4}-\d{2}-\d{2}\.json$/)?.[1];
+  const batch = createImportBatch(fitbitKind ? "fitbit" : "google");
+  const device = file.name.replace(/\.json$/, "");
+  const scanner = createJsonItemScanner((x, key) => {
+    if (fitbitKind) addFitbitItem(batch, fitbitKind, x);else if (key === "Data Points") addGoogleFitPoint(batch, x, device);
+  });
+  await readTextChunks(file, t => scanner.push(t), onProgress);
+  return batch.finish();
+}
+
+// Fitbit "Daily Heart Rate Variability Summary" CSV: timestamp,rmssd,...
+async function importFitbitHrvCsv(file, onProgress) {
+  const batch = createImportBatch("fitbit");
+  let rest = "",
+    columns = null;
+  await readTextChunks(file, t => {
+    const lines = (rest + t).split(/\r?\n/);
+    rest = lines.pop();
+    for (const line of lines) {
+      const cells = line.split(",");
+      if (!columns) {
+        columns = cells.map(c => c.trim().toLowerCase());
+        continue;
+      }
+      const ms = Date.parse(cells[columns.indexOf("timestamp")]);
+      if (Number.isFinite(ms)) batch.addHeart("hrvMs", ms, Number(cells[columns.indexOf("rmssd")]));
+    }
+  }, onProgress);
+  return batch.finish();
+}
+const haversineKm = (a, b) => {
+  const rad = Math.PI / 180,
+    dLat = (b.lat - a.lat) * rad,
+    dLon = (b.lon - a.lon) * rad;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLon / 2) ** 2;
+  return 12742 * Math.asin(Math.sqrt(h));
 };
-const secureStore = {
-  get(key, fallback) {
-    try {
-      const v = sessionStorage.getItem(`${NS}:sec:${key}`);
-      return v ? JSON.parse(v) : fallback;
-    } catch (e) {
-      console.debug("secureStore.get error", e);
-      return fallback;
+
+// A GPX/TCX file is one workout (a few MB at most), so it is parsed as a whole document
+async function importGpxTcx(file, onProgress) {
+  const batch = createImportBatch("gpx");
+  let text = "";
+  await readTextChunks(file, t => {
+    text += t;
+  }, onProgress);
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  const all = name => [...doc.getElementsByTagName(name)];
+  const first = name => all(name)[0]?.textContent?.trim();
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("Not a valid GPX/TCX file");
+  if (doc.documentElement.nodeName === "gpx") {
+    // parseFloat, not unary +: a missing attribute must become NaN rather than 0
+    const points = all("trkpt").map(p => ({
+      lat: parseFloat(p.getAttribute("lat")),
+      lon: parseFloat(p.getAttribute("lon")),
+      ms: Date.parse(p.getElementsByTagName("time")[0]?.textContent)
+    }));
+    const timed = points.filter(p => Number.isFinite(p.ms));
+    if (timed.length < 2) throw new Error("The track has no timestamps");
+    const type = activityType(first("type") || first("name") || "");
+    // A point with bad coordinates is skipped rather than turning the whole distance into NaN
+    const located = points.filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lon) && Math.abs(p.lat) <= 90 && Math.abs(p.lon) <= 180);
+    const km = located.slice(1).reduce((s, p, i) => s + haversineKm(located[i], p), 0);
+    batch.addActivity({
+      externalId: `${timed[0].ms}`,
+      name: type.name,
+      met: type.met,
+      startMs: timed[0].ms,
+      endMs: timed[timed.length - 1].ms,
+      kcal: null,
+      distanceKm: round1(km) || null
+    });
+  } else {
+    for (const act of all("Activity")) {
+      const laps = [...act.getElementsByTagName("Lap")];
+      if (!laps.length) continue;
+      const sum = tag => laps.reduce((s, l) => s + (Number(l.getElementsByTagName(tag)[0]?.textContent) || 0), 0);
+      const startMs = Date.parse(laps[0].getAttribute("StartTime"));
+      const type = activityType(act.getAttribute("Sport") || "");
+      batch.addActivity({
+        externalId: act.getElementsByTagName("Id")[0]?.textContent || `${startMs}`,
+        name: type.name,
+        met: type.met,
+        startMs,
+        endMs: startMs + sum("TotalTimeSeconds") * 1000,
+        kcal: sum("Calories") || null,
+        distanceKm: round1(sum("DistanceMeters") / 1000) || null
+      });
     }
-  },
-  set(key, value) {
-    try {
-      sessionStorage.setItem(`${NS}:sec:${key}`, JSON.stringify(value));
-    } catch (e) {
-      console.debug("secureStore.set error", e);
+  }
+  return batch.finish();
+}
+
+/** Picks the importer from the file name and its first bytes; returns the batch result. */
+async function importWearableFile(file, onProgress = () => {}) {
+  const name = file.name.toLowerCase();
+  const head = await file.slice(0, 2048).text();
+  if (name.endsWith(".gpx") || name.endsWith(".tcx")) return importGpxTcx(file, onProgress);
+  if (name.endsWith(".xml") && head.includes("<HealthData")) return importAppleHealth(file, onProgress);
+  if (name.endsWith(".json")) return importJson(file, onProgress);
+  if (name.endsWith(".csv") && /rmssd/i.test(head)) return importFitbitHrvCsv(file, onProgress);
+  throw new Error("Unsupported file: expected Apple Health export.xml, Google Fit or Fitbit JSON, Fitbit HRV CSV, GPX or TCX");
+}
+
+// Imported activities in the manual-activity shape, minus ones already known or overlapping an
+// activity or a workout from the history (a session logged live and also recorded by the watch)
+function mergeImportedActivities(existing, incoming, weightKg, workouts = []) {
+  const span = a => {
+    const start = wallClockMs(a.date, a.when);
+    return [start, start + a.minutes * 60000];
+  };
+  const list = [...existing];
+  const ids = new Set(existing.map(a => a.id));
+  const sessions = workouts.map(w => [w.startedAt, w.endedAt]);
+  let added = 0,
+    skipped = 0;
+  for (const a of [...incoming].sort((x, y) => x.startMs - y.startMs)) {
+    const minutes = Math.round((a.endMs - a.startMs) / 60000);
+    const start = new Date(a.startMs);
+    const entry = {
+      id: `${a.source}:${a.externalId}`,
+      date: dayKey(start),
+      when: nowHHMM(start),
+      name: a.name,
+      met: a.met,
+      minutes,
+      kcal: Math.round(a.kcal ?? burnKcal(a.met, weightKg, minutes)),
+      weightKg,
+      source: a.source,
+      ...(a.distanceKm ? {
+        distanceKm: round1(a.distanceKm)
+      } : {})
+    };
+    const overlaps = [...list.map(span), ...sessions].some(([s, e]) => Math.min(e, a.endMs) - Math.max(s, a.startMs) >= 0.5 * Math.min(e - s, a.endMs - a.startMs));
+    if (ids.has(entry.id) || overlaps) {
+      skipped++;
+      continue;
     }
+    list.push(entry);
+    ids.add(entry.id);
+    added++;
   }
-};
+  return {
+    list: list.sort((x, y) => (y.date + y.when).localeCompare(x.date + x.when)),
+    added,
+    skipped
+  };
+}
+
+// One value per metric for `date` across all imported sources (see the rules above)
+function wearableDay(steps, vitals, date) {
+  const out = {};
+  const stepValues = Object.values(steps).map(s => s[date]).filter(isNum);
+  if (stepValues.length) out.steps = Math.max(...stepValues);
+  const sleepValues = Object.values(vitals).map(v => v[date]?.sleepH).filter(isNum);
+  if (sleepValues.length) out.sleepH = Math.max(...sleepValues);
+  for (const metric of ["restingHr", "hrvMs"]) {
+    const source = [...HEART_SOURCE_PRIORITY, ...Object.keys(vitals)].find(s => isNum(vitals[s]?.[date]?.[metric]));
+    if (source) out[metric] = vitals[source][date][metric];
+  }
+  return out;
+}
+
+// Latest day (≤ today) that has `metric`, as { date, value }
+function latestWearable(steps, vitals, metric, today = dayKey()) {
+  const dates = new Set([...Object.values(steps), ...Object.values(vitals)].flatMap(Object.keys));
+  const sorted = [...dates].filter(d => d <= today).sort().reverse();
+  for (const date of sorted) {
+    const value = wearableDay(steps, vitals, date)[metric];
+    if (value !== undefined) return {
+      date,
+      value
+    };
+  }
+  return null;
+}
+
+// File picker for wearable exports; lives inside VaultGate because it writes heart and sleep data
+function WearableImportCard() {
+  const [, setSteps, loadingSteps] = usePersistentState(deviceStore, "wearableSteps", {});
+  const [, setVitals, loadingVitals] = usePersistentState(secureStore, "wearableVitals", {});
+  const [,, loadingActivities] = useSharedValue(activityLog);
+  const [,, loadingWorkouts] = useSharedValue(workoutHistory);
+  const weight = useBodyWeight();
+  // Writing before these load would replace the stored series and activity log with the import alone
+  const loading = loadingSteps || loadingVitals || loadingActivities || loadingWorkouts;
+  const [jobs, setJobs] = useState([]); // [{ name, progress, result?, error? }]
+  const fileRef = useRef(null);
+  const run = async files => {
+    const list = [...files];
+    setJobs(list.map(f => ({
+      name: f.name,
+      progress: 0
+    })));
+    for (const [i, file] of list.entries()) {
+      const patch = fields => setJobs(js => js.map((j, k) => k === i ? {
+        ...j,
+        ...fields
+      } : j));
+      try {
+        const result = await importWearableFile(file, progress => patch({
+          progress
+        }));
+        const dates = Object.keys(result.days);
+        setSteps(all => ({
+          ...all,
+          [result.source]: {
+            ...all[result.source],
+            ...Object.fromEntries(dates.filter(d => isNum(result.days[d].steps)).map(d => [d, result.days[d].steps]))
+          }
+        }));
+        setVitals(all => {
+          const mine = {
+            ...all[result.source]
+          };
+          for (const d of dates) {
+            const {
+              steps,
+              ...heart
+            } = result.days[d];
+            if (Object.keys(heart).length) mine[d] = {
+              ...mine[d],
+              ...heart
+            };
+          }
+          return {
+            ...all,
+            [result.source]: mine
+          };
+        });
+        // The shared log already holds earlier files' activities, so each file de-duplicates against them
+        const merged = mergeImportedActivities(activityLog.state.value, result.activities, weight.kg, workoutHistory.state.value);
+        if (merged.added) activityLog.set(merged.list);
+        patch({
+          progress: 1,
+          result: {
+            source: result.source,
+            records: result.records,
+            days: dates.length,
+            added: merged.added,
+            skipped: merged.skipped
+          }
+        });
+        console.log("[debug] wearable import", file.name, {
+          records: result.records,
+          days: dates.length,
+          added: merged.added,
+          skipped: merged.skipped
+        });
+      } catch (e) {
+        console.log("[debug] wearable import error", file.name, e);
+        patch({
+          error: e.message || "Import failed"
+        });
+      }
+    }
+  };
+  return /*#__PURE__*/React.createElement("div", {
+    className: "rounded-2xl border border-black/5 dark:border-white/10 p-4 bg-white dark:bg-neutral-900 space-y-2"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-semibold"
+  }, "Import wearable data"), /*#__PURE__*/React.createElement("button", {
+    disabled: loading,
+    onClick: () => fileRef.current?.click(),
+    className: "px-3 py-1.5 text-xs rounded-lg bg-blue-600 text-white disabled:opacity-50"
+  }, "Choose files"), /*#__PURE__*/React.createElement("input", {
+    ref: fileRef,
+    type: "file",
+    multiple: true,
+    accept: ".xml,.json,.csv,.gpx,.tcx",
+    className: "hidden",
+    onChange: e => {
+      run(e.target.files);
+      e.target.value = "";
+    }
+  })), /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500"
+  }, "Apple Health export.xml, Google Takeout Fit JSON, Fitbit JSON/HRV CSV, or GPX/TCX workouts. Data from several sources is de-duplicated."), jobs.map((j, i) => /*#__PURE__*/React.createElement("div", {
+    key: i,
+    className: "text-xs"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between"
+  }, /*#__PURE__*/React.createElement("span", {
+    className: "truncate"
+  }, j.name), /*#__PURE__*/React.createElement("span", {
+    className: "text-neutral-500"
+  }, j.error ? "" : `${Math.round(j.progress * 100)}%`)), !j.result && !j.error && /*#__PURE__*/React.createElement(ProgressBar, {
+    value: j.progress,
+    max: 1
+  }), j.result && /*#__PURE__*/React.createElement("div", {
+    className: "text-emerald-600"
+  }, WEARABLE_SOURCES[j.result.source], ": ", fmt.format(j.result.records), " records \xB7 ", j.result.days, " days \xB7 ", j.result.added, " activities added", j.result.skipped ? `, ${j.result.skipped} duplicates skipped` : ""), j.error && /*#__PURE__*/React.createElement("div", {
+    className: "text-rose-600"
+  }, j.error))));
+}
 
 // ------------------------------
-// Fake domain services
+// Export & restore
 // ------------------------------
-const demoMeals = [{
-  id: "m1",
-  title: "Greek Yogurt Bowl",
-  calories: 320,
-  p: 24,
-  c: 38,
-  f: 8,
-  when: "08:40"
-}, {
-  id: "m2",
-  title: "Chicken & Quinoa",
-  calories: 560,
-  p: 46,
-  c: 62,
-  f: 14,
-  when: "13:10"
-}, {
-  id: "m3",
-  title: "Salmon & Veggies",
-  calories: 620,
-  p: 44,
-  c: 28,
-  f: 28,
-  when: "19:35"
-}];
-const demoCalories7d = [{
-  d: "Mon",
-  kcal: 1720
-}, {
-  d: "Tue",
-  kcal: 1910
-}, {
-  d: "Wed",
-  kcal: 1640
-}, {
-  d: "Thu",
-  kcal: 2100
-}, {
-  d: "Fri",
-  kcal: 1890
-}, {
-  d: "Sat",
-  kcal: 2010
-}, {
-  d: "Sun",
-  kcal: 1780
-}];
-const exercisesLib = [{
-  name: "Squats",
-  kcal: 7
-}, {
-  name: "Push-ups",
-  kcal: 6
-}, {
-  name: "Lunges",
-  kcal: 6
-}, {
-  name: "Plank",
-  kcal: 4
-}, {
-  name: "Burpees",
-  kcal: 10
-}, {
-  name: "Row",
-  kcal: 8
+// The archive is one JSON document:
+//   { format: "tgcoach-archive", version, schemaVersion, exportedAt,
+//     device: { key: value }, cloud: { key: value }, secure: { key: value } | null,
+//     photos: { id: { full, thumb (data: URLs), width, height, createdAt } } }
+// `secure` is only filled while the vault is unlocked. An archive from an older schema is first
+// brought up to date with MIGRATIONS, then checked against SCHEMA (and SECURE_SCHEMA): invalid
+// list items and values are left out of the restore and kept in the quarantine instead.
+const ARCHIVE_FORMAT = "tgcoach-archive";
+const ARCHIVE_VERSION = 1;
+const ARCHIVE_SKIP = ["tab", "session", "reminderLastCheck", "reminderInbox"]; // per-device UI state
+const SECURE_SCHEMA = {
+  body: {
+    value: v => check(v === null || v && typeof v === "object", "bad body profile")
+  },
+  weightKg: {
+    value: v => check(v === null || isNum(v) && v > 0, "bad weight")
+  },
+  goalWeightKg: {
+    value: v => check(v === null || isNum(v) && v > 0, "bad goal weight")
+  },
+  weighIns: {
+    item: w => check(w && isStr(w.id) && isDayKey(w.date) && isNum(w.kg) && w.kg > 0, "bad weigh-in")
+  },
+  wearableVitals: {
+    value: v => check(v && typeof v === "object" && !Array.isArray(v), "bad vitals")
+  }
+};
+// How merge matches list items; lists not named here (e.g. the plan) are kept whole
+const ARCHIVE_IDENTITY = {
+  meals: m => m.id,
+  workouts: w => w.id,
+  activities: a => a.id,
+  ledger: x => x.id,
+  weighIns: w => w.date
+};
+const ARCHIVE_ORDER = {
+  meals: (a, b) => (b.date + b.when).localeCompare(a.date + a.when),
+  workouts: (a, b) => b.startedAt - a.startedAt,
+  activities: (a, b) => (b.date + b.when).localeCompare(a.date + a.when),
+  weighIns: (a, b) => a.date.localeCompare(b.date)
+};
+const ARCHIVE_MAPS = ["achievements", "wearableSteps", "wearableVitals"]; // merged key by key
+const ARCHIVE_LABELS = {
+  meals: "Meals",
+  workouts: "Workouts",
+  activities: "Activities",
+  weighIns: "Weigh-ins",
+  ledger: "Points",
+  plan: "Workout plan"
+};
+const archiveScopes = () => [{
+  k: "device",
+  store: deviceStore,
+  keys: Object.keys(SCHEMA).filter(k => SCHEMA[k].store() === deviceStore && !ARCHIVE_SKIP.includes(k)),
+  schema: SCHEMA
 }, {
-  name: "Bike",
-  kcal: 8
+  k: "cloud",
+  store: cloudStore,
+  keys: Object.keys(SCHEMA).filter(k => SCHEMA[k].store() === cloudStore && !ARCHIVE_SKIP.includes(k)),
+  schema: SCHEMA
 }, {
-  name: "Run",
-  kcal: 11
+  k: "secure",
+  store: secureStore,
+  keys: Object.keys(SECURE_SCHEMA),
+  schema: SECURE_SCHEMA
 }];
-function fakeRecommendPlan(goal = "general", days = 3) {
-  console.log("[debug] generate plan", {
-    goal,
-    days
-  });
-  const pick = n => Array.from({
-    length: n
-  }, () => exercisesLib[Math.random() * exercisesLib.length | 0].name);
-  return Array.from({
-    length: days
-  }, (_, i) => ({
-    day: i + 1,
-    exercises: pick(3)
+const blobToDataUrl = blob => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+async function buildArchive(now = new Date()) {
+  const unlocked = secureStore.status === "unlocked";
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: now.toISOString(),
+    device: {},
+    cloud: {},
+    secure: unlocked ? {} : null,
+    photos: {}
+  };
+  for (const scope of archiveScopes()) {
+    if (!archive[scope.k]) continue;
+    for (const key of scope.keys) {
+      const value = await scope.store.get(key, undefined);
+      if (value !== undefined) archive[scope.k][key] = value;
+    }
+  }
+  const meals = archive.device.meals || [];
+  const wanted = new Set(meals.map(m => m.photoId).filter(Boolean));
+  for (const p of await photoStore.all().catch(() => [])) {
+    if (!wanted.has(p.id)) continue;
+    archive.photos[p.id] = {
+      full: await blobToDataUrl(p.full),
+      thumb: await blobToDataUrl(p.thumb),
+      width: p.width,
+      height: p.height,
+      createdAt: p.createdAt
+    };
+  }
+  return archive;
+}
+const csvCell = v => v === undefined || v === null ? "" : /[",\r\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+const toCsv = (header, rows) => [header, ...rows].map(r => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+const mealsCsv = meals => toCsv(["date", "time", "slot", "title", "calories", "protein_g", "carbs_g", "fat_g", "portion_g", "photo"], [...meals].sort((a, b) => (a.date + a.when).localeCompare(b.date + b.when)).map(m => [m.date, m.when, m.slot, m.title, m.calories, m.p, m.c, m.f, m.portion, m.photoId ? "yes" : ""]));
+
+// One row per logged set, so sheets can pivot by exercise
+const workoutsCsv = workouts => toCsv(["date", "start", "duration_min", "plan_day", "kcal", "exercise", "set", "reps", "weight_kg", "seconds", "minutes"], [...workouts].sort((a, b) => a.startedAt - b.startedAt).flatMap(w => w.exercises.flatMap(e => e.sets.map((s, i) => [w.date, nowHHMM(new Date(w.startedAt)), Math.max(1, Math.round((w.endedAt - w.startedAt) / 60000)), w.planDay, w.kcal, e.name, i + 1, s.reps, s.weight, s.seconds, s.minutes]))));
+
+// Store API over plain values (JSON round-tripped like the real stores)
+function createMemoryStore(label, values = {}) {
+  const data = JSON.parse(JSON.stringify(values));
+  return {
+    label,
+    values: () => data,
+    async get(key, fallbackValue) {
+      return key in data ? JSON.parse(JSON.stringify(data[key])) : fallbackValue;
+    },
+    async set(key, value) {
+      data[key] = JSON.parse(JSON.stringify(value));
+    },
+    async remove(key) {
+      delete data[key];
+    }
+  };
+}
+
+// Runs the migrations newer than the archive's schema over copies of its values
+async function migrateArchive(archive) {
+  const device = createMemoryStore("archive:device", archive.device);
+  const cloud = createMemoryStore("archive:cloud", archive.cloud);
+  const secure = createMemoryStore("archive:secure", archive.secure || {});
+  const rejected = [];
+  const ctx = {
+    device,
+    cloud,
+    secure,
+    legacy: {
+      getItem: async () => null
+    },
+    quarantine: async (key, value, reason) => {
+      rejected.push({
+        key,
+        value,
+        reason
+      });
+    }
+  };
+  for (const m of MIGRATIONS.filter(m => m.version > archive.schemaVersion)) await m.up(ctx);
+  return {
+    ...archive,
+    device: device.values(),
+    cloud: cloud.values(),
+    secure: archive.secure ? secure.values() : null,
+    rejected
+  };
+}
+
+// Schema check of one archived value; returns { value, rejected: [{ value, reason }] } or { error }
+function validateArchived(spec, value) {
+  if (spec.item) {
+    if (!Array.isArray(value)) return {
+      error: "not a list"
+    };
+    const rejected = value.map(x => ({
+      value: x,
+      reason: spec.item(x)
+    })).filter(x => x.reason);
+    return {
+      value: value.filter(x => !spec.item(x)),
+      rejected
+    };
+  }
+  const error = spec.value(value);
+  return error ? {
+    error
+  } : {
+    value,
+    rejected: []
+  };
+}
+function mergeArchived(key, current, incoming) {
+  if (current === undefined || current === null) return incoming;
+  const identity = ARCHIVE_IDENTITY[key];
+  if (identity) {
+    const known = new Set(current.map(identity));
+    const merged = [...current, ...incoming.filter(x => !known.has(identity(x)))];
+    return ARCHIVE_ORDER[key] ? merged.sort(ARCHIVE_ORDER[key]) : merged;
+  }
+  if (ARCHIVE_MAPS.includes(key)) {
+    const out = {
+      ...incoming,
+      ...current
+    };
+    // wearable series are { source: { date: … } }: keep both sides' days per source
+    for (const k of Object.keys(out)) {
+      if (current[k] && incoming[k] && typeof current[k] === "object") out[k] = {
+        ...incoming[k],
+        ...current[k]
+      };
+    }
+    return out;
+  }
+  return current; // settings: the ones on this device win
+}
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Checks an archive and works out, per key, what restoring it in `mode` ("merge" | "replace")
+ * would do. Returns { error } or { exportedAt, items: [{ scope, key, label, next, change, note }], photos,
+ * secureLocked, migratedFrom, rejected: [{ key, value, reason }] }; `rejected` goes to the quarantine on restore.
+ */
+async function planRestore(original, mode) {
+  if (original?.format !== ARCHIVE_FORMAT) return {
+    error: "This is not a TG Coach archive"
+  };
+  if (!Number.isInteger(original.schemaVersion) || original.schemaVersion < 1) return {
+    error: "This archive has no data version"
+  };
+  if (original.version > ARCHIVE_VERSION || original.schemaVersion > SCHEMA_VERSION) return {
+    error: "This archive was made by a newer version of the app"
+  };
+  let archive;
+  try {
+    archive = await migrateArchive(original);
+  } catch (e) {
+    console.log("[debug] archive migration failed", e);
+    return {
+      error: `Couldn't upgrade this archive from data version ${original.schemaVersion}`
+    };
+  }
+  const rejected = [...archive.rejected];
+  const secureLocked = !!archive.secure && secureStore.status !== "unlocked";
+  const items = [];
+  for (const scope of archiveScopes()) {
+    const data = archive[scope.k];
+    if (!data || scope.k === "secure" && secureLocked) continue;
+    for (const key of scope.keys) {
+      const label = ARCHIVE_LABELS[key] || key;
+      const current = await scope.store.get(key, undefined);
+      if (!(key in data)) {
+        if (mode === "replace" && current !== undefined) items.push({
+          scope: scope.k,
+          key,
+          label,
+          next: undefined,
+          change: "remove",
+          note: "not in archive, will be cleared"
+        });
+        continue;
+      }
+      const checked = validateArchived(scope.schema[key], data[key]);
+      if (checked.error) {
+        rejected.push({
+          key,
+          value: data[key],
+          reason: checked.error
+        });
+        items.push({
+          scope: scope.k,
+          key,
+          label,
+          change: "invalid",
+          note: checked.error
+        });
+        continue;
+      }
+      rejected.push(...checked.rejected.map(x => ({
+        key,
+        ...x
+      })));
+      const next = mode === "merge" ? mergeArchived(key, current, checked.value) : checked.value;
+      const notes = [];
+      if (Array.isArray(next)) {
+        const before = Array.isArray(current) ? current.length : 0;
+        notes.push(mode === "merge" ? `+${next.length - before} new` : `${next.length} (now ${before})`);
+      }
+      if (checked.rejected.length) notes.push(`${checked.rejected.length} invalid skipped`);
+      items.push({
+        scope: scope.k,
+        key,
+        label,
+        next,
+        change: sameJson(next, current) ? "same" : current === undefined ? "add" : "update",
+        note: notes.join(", ")
+      });
+    }
+  }
+  const photos = Object.keys(archive.photos || {});
+  const migratedFrom = original.schemaVersion < SCHEMA_VERSION ? original.schemaVersion : null;
+  return {
+    exportedAt: archive.exportedAt,
+    items,
+    photos,
+    secureLocked,
+    migratedFrom,
+    rejected
+  };
+}
+async function applyRestore(archive, plan) {
+  const stores = Object.fromEntries(archiveScopes().map(s => [s.k, s.store]));
+  for (const item of plan.items) {
+    if (item.change === "add" || item.change === "update") await stores[item.scope].set(item.key, item.next);else if (item.change === "remove") await stores[item.scope].remove(item.key);
+  }
+  // Keep the current-weight mirror in step with the restored weigh-ins
+  const weighIns = plan.items.find(i => i.key === "weighIns" && i.change !== "same" && i.change !== "invalid")?.next;
+  if (weighIns?.length) await secureStore.set("weightKg", weighIns[weighIns.length - 1].kg);
+  for (const x of plan.rejected) await quarantine(x.key, x.value, `restore: ${x.reason}`);
+  for (const id of plan.photos) {
+    if (await photoStore.get(id)) continue;
+    const p = archive.photos[id];
+    const [full, thumb] = await Promise.all([fetch(p.full).then(r => r.blob()), fetch(p.thumb).then(r => r.blob())]);
+    await photoStore.put({
+      id,
+      full,
+      thumb,
+      width: p.width,
+      height: p.height,
+      bytes: full.size + thumb.size,
+      createdAt: p.createdAt || Date.now()
+    });
+  }
+  console.log("[debug] restore applied", {
+    keys: plan.items.filter(i => i.change !== "same" && i.change !== "invalid").length,
+    photos: plan.photos.length,
+    quarantined: plan.rejected.length
+  });
+}
+
+// Preview of a picked archive with the merge/replace choice
+function RestoreSheet({
+  archive,
+  onClose
+}) {
+  const [mode, setMode] = useState("merge");
+  const [plan, setPlan] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  useEffect(() => {
+    let alive = true;
+    setPlan(null);
+    planRestore(archive, mode).then(p => alive && setPlan(p), e => alive && setPlan({
+      error: `Couldn't read your current data: ${e.message}`
+    }));
+    return () => {
+      alive = false;
+    };
+  }, [archive, mode]);
+  const changes = plan?.items?.filter(i => i.change !== "same") || [];
+  const restore = async () => {
+    setBusy(true);
+    try {
+      await applyRestore(archive, plan);
+      notify("success");
+      // Every in-memory copy (meal log, points, inbox) reloads from storage
+      window.location.reload();
+    } catch (e) {
+      console.log("[debug] restore error", e);
+      setError(e.message || "Restore failed");
+      setBusy(false);
+    }
+  };
+  return /*#__PURE__*/React.createElement(Sheet, {
+    title: "Restore data",
+    onClose: onClose
+  }, !plan ? /*#__PURE__*/React.createElement("div", {
+    className: "h-24 rounded-xl bg-neutral-100 dark:bg-neutral-800 animate-pulse"
+  }) : plan.error ? /*#__PURE__*/React.createElement("div", {
+    className: "text-sm text-rose-600"
+  }, plan.error) : /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500"
+  }, "Archive from ", new Date(plan.exportedAt).toLocaleString(), plan.photos.length ? ` · ${plan.photos.length} photos` : "", plan.migratedFrom ? ` · upgraded from data version ${plan.migratedFrom}` : ""), /*#__PURE__*/React.createElement("div", {
+    className: "flex gap-1 p-1 rounded-xl bg-neutral-100 dark:bg-neutral-800"
+  }, [{
+    k: "merge",
+    label: "Merge"
+  }, {
+    k: "replace",
+    label: "Replace"
+  }].map(m => /*#__PURE__*/React.createElement("button", {
+    key: m.k,
+    onClick: () => setMode(m.k),
+    className: `flex-1 py-1.5 text-xs rounded-lg ${mode === m.k ? "bg-white dark:bg-neutral-700 shadow-sm font-medium" : "text-neutral-500"}`
+  }, m.label))), /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500"
+  }, mode === "merge" ? "Adds entries you don't have yet; your current settings are kept." : "Overwrites this device's data with the archive."), plan.secureLocked && /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-amber-600"
+  }, "Unlock your health data to restore weights and vitals too."), /*#__PURE__*/React.createElement("div", {
+    className: "space-y-1"
+  }, changes.length ? changes.map(i => /*#__PURE__*/React.createElement("div", {
+    key: `${i.scope}:${i.key}`,
+    className: "flex items-center justify-between text-xs"
+  }, /*#__PURE__*/React.createElement("span", null, i.label), /*#__PURE__*/React.createElement("span", {
+    className: i.change === "invalid" ? "text-rose-600" : i.change === "remove" ? "text-amber-600" : "text-neutral-500"
+  }, i.change, i.note && ` · ${i.note}`))) : /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500"
+  }, "Nothing would change.")), error && /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-rose-600"
+  }, error), /*#__PURE__*/React.createElement("button", {
+    disabled: busy || !changes.some(i => i.change !== "invalid") && !plan.photos.length,
+    onClick: restore,
+    className: `w-full py-2.5 rounded-xl text-white text-sm disabled:opacity-40 ${mode === "replace" ? "bg-rose-600" : "bg-blue-600"}`
+  }, busy ? "Restoring…" : mode === "replace" ? "Replace my data" : "Merge into my data")));
+}
+
+// "Export my data": JSON archive (everything, photos included) and CSV for spreadsheets
+function DataExportCard() {
+  const vault = useVault();
+  const fileRef = useRef(null);
+  const [busy, setBusy] = useState(false);
+  const [archive, setArchive] = useState(null);
+  const [message, setMessage] = useState(null);
+  const stamp = dayKey();
+  const exportJson = async () => {
+    setBusy(true);
+    try {
+      const data = await buildArchive();
+      downloadText(`tgcoach-${stamp}.json`, JSON.stringify(data), "application/json");
+      console.log("[debug] archive exported", {
+        photos: Object.keys(data.photos).length,
+        secure: !!data.secure
+      });
+    } catch (e) {
+      console.log("[debug] export error", e);
+      setMessage("Export failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+  const exportCsv = async key => {
+    try {
+      const list = await deviceStore.get(key, []);
+      downloadText(`tgcoach-${key}-${stamp}.csv`, key === "meals" ? mealsCsv(list) : workoutsCsv(list), "text/csv");
+    } catch (e) {
+      console.log("[debug] csv export error", e);
+      setMessage("Export failed");
+    }
+  };
+  const pick = async file => {
+    if (!file) return;
+    setMessage(null);
+    try {
+      setArchive(JSON.parse(await file.text()));
+    } catch (e) {
+      console.log("[debug] archive parse error", e);
+      setMessage("That file isn't valid JSON");
+    }
+  };
+  return /*#__PURE__*/React.createElement("div", {
+    className: "rounded-2xl border border-black/5 dark:border-white/10 p-4 bg-white dark:bg-neutral-900 space-y-2"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-semibold"
+  }, "Your data"), /*#__PURE__*/React.createElement("div", {
+    className: "flex flex-wrap gap-2 text-xs"
+  }, /*#__PURE__*/React.createElement("button", {
+    disabled: busy,
+    onClick: exportJson,
+    className: "px-3 py-1.5 rounded-lg bg-blue-600 text-white disabled:opacity-50"
+  }, busy ? "Exporting…" : "Export my data"), /*#__PURE__*/React.createElement("button", {
+    onClick: () => exportCsv("meals"),
+    className: "px-3 py-1.5 rounded-lg border border-black/10 dark:border-white/10"
+  }, "Meals CSV"), /*#__PURE__*/React.createElement("button", {
+    onClick: () => exportCsv("workouts"),
+    className: "px-3 py-1.5 rounded-lg border border-black/10 dark:border-white/10"
+  }, "Workouts CSV"), /*#__PURE__*/React.createElement("button", {
+    onClick: () => fileRef.current?.click(),
+    className: "px-3 py-1.5 rounded-lg border border-black/10 dark:border-white/10"
+  }, "Restore\u2026"), /*#__PURE__*/React.createElement("input", {
+    ref: fileRef,
+    type: "file",
+    accept: ".json,application/json",
+    className: "hidden",
+    onChange: e => {
+      pick(e.target.files[0]);
+      e.target.value = "";
+    }
+  })), /*#__PURE__*/React.createElement("div", {
+    className: "text-[11px] text-neutral-500"
+  }, vault === "unlocked" ? "The archive includes your health data and meal photos." : "Health data is left out while it is locked; meal photos are included."), message && /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-rose-600"
+  }, message), archive && /*#__PURE__*/React.createElement(RestoreSheet, {
+    archive: archive,
+    onClose: () => setArchive(null)
   }));
 }
 
@@ -205,9 +5037,7 @@ function PhoneChrome({
     className: "text-sm font-medium"
   }, title)), /*#__PURE__*/React.createElement("div", {
     className: "flex items-center gap-2 text-neutral-600 dark:text-neutral-300"
-  }, /*#__PURE__*/React.createElement(Bell, {
-    size: 18
-  }), /*#__PURE__*/React.createElement(User, {
+  }, /*#__PURE__*/React.createElement(VaultLockButton, null), /*#__PURE__*/React.createElement(ReminderBell, null), /*#__PURE__*/React.createElement(User, {
     size: 18
   }))), /*#__PURE__*/React.createElement("div", {
     className: "absolute inset-0 pt-12 pb-16"
@@ -245,6 +5075,22 @@ function PhoneChrome({
     className: "text-[11px] mt-1"
   }, "Profile"))));
 }
+
+// Header indicator for the encrypted vault; tapping it while unlocked locks immediately
+function VaultLockButton() {
+  const status = useVault();
+  if (status !== "locked" && status !== "unlocked") return null;
+  const unlocked = status === "unlocked";
+  return /*#__PURE__*/React.createElement("button", {
+    onClick: () => unlocked && secureStore.lock(),
+    title: unlocked ? "Lock health data" : "Health data locked",
+    className: unlocked ? "text-emerald-600" : ""
+  }, unlocked ? /*#__PURE__*/React.createElement(LockOpen, {
+    size: 18
+  }) : /*#__PURE__*/React.createElement(Lock, {
+    size: 18
+  }));
+}
 function Pill({
   children,
   icon,
@@ -281,7 +5127,7 @@ function ProgressBar({
   value,
   max = 100
 }) {
-  const percent = Math.max(0, Math.min(100, value / max * 100));
+  const percent = max > 0 ? Math.max(0, Math.min(100, value / max * 100)) : 0;
   return /*#__PURE__*/React.createElement("div", {
     className: "w-full h-2 bg-neutral-100 dark:bg-neutral-800 rounded-full overflow-hidden"
   }, /*#__PURE__*/React.createElement("div", {
@@ -291,10 +5137,144 @@ function ProgressBar({
     }
   }));
 }
-function DashboardView() {
-  const [target, setTarget] = useState(deviceStore.get("kcalTarget", 2000));
-  const today = demoMeals.reduce((s, m) => s + m.calories, 0);
-  useEffect(() => deviceStore.set("kcalTarget", target), [target]);
+
+// Set-up / unlock form for the encrypted vault
+function VaultPanel({
+  compact = false
+}) {
+  const status = useVault();
+  const [pin, setPin] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const deviceKey = secureStore.deviceKeyAvailable();
+  const run = async action => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      setPin("");
+    } catch (e) {
+      console.log("[debug] vault error", e);
+      setError(e.message);
+    }
+    setBusy(false);
+  };
+  const pinInput = /*#__PURE__*/React.createElement("input", {
+    type: "password",
+    inputMode: "numeric",
+    autoComplete: "off",
+    value: pin,
+    onChange: e => setPin(e.target.value.replace(/\D/g, "")),
+    onKeyDown: e => e.key === "Enter" && pin && run(() => status === "locked" ? secureStore.unlock(pin) : secureStore.setup({
+      mode: "pin",
+      pin
+    })),
+    placeholder: status === "locked" ? "PIN" : "New PIN (4+ digits)",
+    className: "flex-1 min-w-0 px-3 py-2 text-sm rounded-xl border border-black/10 dark:border-white/10 bg-transparent"
+  });
+  if (status === "loading") return null;
+  return /*#__PURE__*/React.createElement("div", {
+    className: `rounded-2xl border border-black/5 dark:border-white/10 bg-white dark:bg-neutral-900 ${compact ? "p-3" : "p-4"} space-y-2`
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center gap-2 text-sm font-medium"
+  }, /*#__PURE__*/React.createElement(Lock, {
+    size: 16,
+    className: "text-neutral-500"
+  }), status === "uninitialized" ? "Protect your health data" : "Health data is locked"), !compact && /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500"
+  }, "Weight, sleep, HRV and progress photos are encrypted on this device."), status === "uninitialized" && /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center gap-2"
+  }, pinInput, /*#__PURE__*/React.createElement("button", {
+    disabled: busy || !isValidPin(pin),
+    onClick: () => run(() => secureStore.setup({
+      mode: "pin",
+      pin
+    })),
+    className: "px-3 py-2 text-sm rounded-xl bg-blue-600 text-white disabled:opacity-50"
+  }, "Set PIN")), deviceKey && /*#__PURE__*/React.createElement("button", {
+    disabled: busy,
+    onClick: () => run(() => secureStore.setup({
+      mode: "device"
+    })),
+    className: "text-xs text-blue-600"
+  }, "Use a key stored in Telegram instead")), status === "locked" && (secureStore.mode === "pin" ? /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center gap-2"
+  }, pinInput, /*#__PURE__*/React.createElement("button", {
+    disabled: busy || !pin,
+    onClick: () => run(() => secureStore.unlock(pin)),
+    className: "px-3 py-2 text-sm rounded-xl bg-blue-600 text-white disabled:opacity-50"
+  }, "Unlock")) : /*#__PURE__*/React.createElement("button", {
+    disabled: busy,
+    onClick: () => run(() => secureStore.unlock()),
+    className: "px-3 py-2 text-sm rounded-xl bg-blue-600 text-white disabled:opacity-50"
+  }, "Unlock with Telegram")), error && /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-rose-600"
+  }, error));
+}
+
+// Renders children only while the vault is unlocked, so their secureStore loads can decrypt
+function VaultGate({
+  children,
+  compact
+}) {
+  const status = useVault();
+  return status === "unlocked" ? children : /*#__PURE__*/React.createElement(VaultPanel, {
+    compact: compact
+  });
+}
+
+// Skeleton shown while a view's persisted state is loading
+function ViewLoading() {
+  const errors = useLoadErrors();
+  if (errors.length) {
+    return /*#__PURE__*/React.createElement("div", {
+      className: "p-4 space-y-2",
+      role: "alert"
+    }, /*#__PURE__*/React.createElement("div", {
+      className: "text-sm font-medium text-rose-600"
+    }, "Couldn't load your data"), /*#__PURE__*/React.createElement("div", {
+      className: "text-xs text-neutral-500"
+    }, [...new Set(errors.map(e => `${e.label}: ${e.message}`))].join(" · ")), /*#__PURE__*/React.createElement("button", {
+      onClick: loadErrors.retryAll,
+      className: "px-3 py-1.5 text-xs rounded-lg bg-blue-600 text-white"
+    }, "Retry"));
+  }
+  return /*#__PURE__*/React.createElement("div", {
+    className: "p-4 space-y-3 animate-pulse",
+    "aria-busy": "true"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "h-24 rounded-3xl bg-neutral-100 dark:bg-neutral-800"
+  }), /*#__PURE__*/React.createElement("div", {
+    className: "h-14 rounded-2xl bg-neutral-100 dark:bg-neutral-800"
+  }), /*#__PURE__*/React.createElement("div", {
+    className: "h-14 rounded-2xl bg-neutral-100 dark:bg-neutral-800"
+  }), /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-center text-neutral-400"
+  }, "Loading\u2026"));
+}
+function DashboardView({
+  onNavigate
+}) {
+  const [target,, loadingTarget] = useSharedValue(kcalTargetSetting);
+  const [macroTargets,, loadingMacros] = usePersistentState(cloudStore, "macroTargets", null);
+  const [workouts,, loadingWorkouts] = useSharedValue(workoutHistory);
+  const [activities,, loadingActivities] = useSharedValue(activityLog);
+  const {
+    meals,
+    loading: loadingMeals
+  } = useMealLog();
+  const [wearableSteps,, loadingSteps] = usePersistentState(deviceStore, "wearableSteps", {});
+  const weight = useBodyWeight();
+  const streak = useStreak();
+  const steps = useMemo(() => latestWearable(wearableSteps, {}, "steps"), [wearableSteps]);
+  const todayMeals = useMemo(() => mealsOn(meals, dayKey()), [meals]);
+  const totals = useMemo(() => sumMeals(todayMeals), [todayMeals]);
+  const goals = macroTargets || defaultMacroTargets(target);
+  // Exercise earns back budget: the target is compared with intake minus calories burned
+  const burned = burnedOn(workouts, activities, dayKey(), weight.kg);
+  const net = totals.kcal - burned;
+  const remaining = target - net;
+  if (loadingTarget || loadingMacros || loadingMeals || loadingWorkouts || loadingActivities || loadingSteps || streak.loading) return /*#__PURE__*/React.createElement(ViewLoading, null);
   return /*#__PURE__*/React.createElement("div", {
     className: "p-4 space-y-4"
   }, /*#__PURE__*/React.createElement("div", {
@@ -305,60 +5285,161 @@ function DashboardView() {
     className: "text-sm font-medium text-blue-700 dark:text-blue-200 flex items-center gap-2"
   }, /*#__PURE__*/React.createElement(Sparkles, {
     size: 16
-  }), " Today\u2019s Overview"), /*#__PURE__*/React.createElement(Pill, {
+  }), " Today\u2019s Overview"), /*#__PURE__*/React.createElement("button", {
+    onClick: () => onNavigate?.("goals"),
+    "aria-label": "Open streak"
+  }, /*#__PURE__*/React.createElement(Pill, {
     icon: /*#__PURE__*/React.createElement(Flame, {
       size: 14
-    })
-  }, "Streak 5")), /*#__PURE__*/React.createElement("div", {
+    }),
+    tone: streak.todayDone ? "green" : "blue"
+  }, "Streak ", streak.current))), /*#__PURE__*/React.createElement("div", {
     className: "text-3xl font-bold mb-1"
-  }, fmt.format(today), " ", /*#__PURE__*/React.createElement("span", {
+  }, fmt.format(net), " ", /*#__PURE__*/React.createElement("span", {
     className: "text-base font-medium text-neutral-500"
-  }, "/ ", fmt.format(target), " kcal")), /*#__PURE__*/React.createElement(ProgressBar, {
-    value: today,
+  }, "/ ", fmt.format(target), " kcal net")), /*#__PURE__*/React.createElement(ProgressBar, {
+    value: Math.max(0, net),
     max: target
   }), /*#__PURE__*/React.createElement("div", {
-    className: "text-xs mt-2 text-neutral-500"
-  }, "Keep it under your target to stay on track.")), /*#__PURE__*/React.createElement("div", {
+    className: "mt-2 grid grid-cols-3 text-xs"
+  }, /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
+    className: "text-neutral-500"
+  }, "Intake"), /*#__PURE__*/React.createElement("div", {
+    className: "font-semibold"
+  }, fmt.format(totals.kcal))), /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
+    className: "text-neutral-500"
+  }, "Burned"), /*#__PURE__*/React.createElement("div", {
+    className: "font-semibold"
+  }, "\u2212", fmt.format(burned))), /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
+    className: "text-neutral-500"
+  }, "Net"), /*#__PURE__*/React.createElement("div", {
+    className: "font-semibold"
+  }, fmt.format(net)))), /*#__PURE__*/React.createElement("div", {
+    className: `text-xs mt-2 ${remaining < 0 ? "text-rose-600" : "text-neutral-500"}`
+  }, remaining >= 0 ? `${fmt.format(remaining)} kcal left today. Keep it under your target to stay on track.` : `${fmt.format(-remaining)} kcal over your target today.`), /*#__PURE__*/React.createElement("div", {
+    className: "mt-3 grid grid-cols-3 gap-3"
+  }, MACROS.map(({
+    k,
+    label
+  }) => {
+    const left = goals[k] - totals[k];
+    return /*#__PURE__*/React.createElement("div", {
+      key: k
+    }, /*#__PURE__*/React.createElement("div", {
+      className: "flex items-baseline justify-between text-xs mb-1"
+    }, /*#__PURE__*/React.createElement("span", {
+      className: "font-medium"
+    }, label), /*#__PURE__*/React.createElement("span", {
+      className: "text-neutral-500"
+    }, fmt.format(totals[k]), "/", fmt.format(goals[k]), " g")), /*#__PURE__*/React.createElement(ProgressBar, {
+      value: totals[k],
+      max: goals[k]
+    }), /*#__PURE__*/React.createElement("div", {
+      className: `text-[11px] mt-1 ${left < 0 ? "text-rose-600" : "text-neutral-500"}`
+    }, left >= 0 ? `${fmt.format(left)} g left` : `${fmt.format(-left)} g over`));
+  }))), /*#__PURE__*/React.createElement("div", {
     className: "grid grid-cols-2 gap-3"
   }, /*#__PURE__*/React.createElement(Stat, {
     label: "Protein",
-    value: 120,
+    value: fmt.format(totals.p),
     unit: "g",
     icon: /*#__PURE__*/React.createElement(BarChart3, {
       size: 18
     })
   }), /*#__PURE__*/React.createElement(Stat, {
-    label: "Steps",
-    value: 8243,
-    unit: "",
-    icon: /*#__PURE__*/React.createElement(Activity, {
-      size: 18
-    })
-  }), /*#__PURE__*/React.createElement(Stat, {
-    label: "Sleep",
-    value: 7.2,
-    unit: "h",
-    icon: /*#__PURE__*/React.createElement(TimerReset, {
-      size: 18
-    })
-  }), /*#__PURE__*/React.createElement(Stat, {
-    label: "HRV",
-    value: 62,
-    unit: "ms",
-    icon: /*#__PURE__*/React.createElement(HeartPulse, {
+    label: steps && steps.date !== dayKey() ? `Steps · ${formatDayLabel(steps.date)}` : "Steps",
+    value: steps ? fmt.format(steps.value) : "—",
+    unit: "",
+    icon: /*#__PURE__*/React.createElement(Activity, {
       size: 18
     })
-  })), /*#__PURE__*/React.createElement("div", {
+  }), /*#__PURE__*/React.createElement("div", {
+    className: "col-span-2"
+  }, /*#__PURE__*/React.createElement(VaultGate, {
+    compact: true
+  }, /*#__PURE__*/React.createElement(VitalsStats, null)))), /*#__PURE__*/React.createElement(CaloriesHistoryCard, {
+    meals: meals,
+    target: target
+  }), /*#__PURE__*/React.createElement(VaultGate, {
+    compact: true
+  }, /*#__PURE__*/React.createElement(WeightCard, null)), /*#__PURE__*/React.createElement("div", {
     className: "rounded-2xl border border-black/5 dark:border-white/10 p-3 bg-white dark:bg-neutral-900"
   }, /*#__PURE__*/React.createElement("div", {
-    className: "text-sm font-semibold mb-2"
-  }, "7-day Calories"), /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between mb-2"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-semibold"
+  }, "Recent Meals"), /*#__PURE__*/React.createElement("button", {
+    className: "text-xs text-blue-600",
+    onClick: () => onNavigate?.("meals")
+  }, "See all")), /*#__PURE__*/React.createElement("div", {
+    className: "space-y-2"
+  }, todayMeals.length === 0 && /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500 p-2"
+  }, "No meals logged today yet."), todayMeals.slice(-4).reverse().map(m => /*#__PURE__*/React.createElement("div", {
+    key: m.id,
+    className: "flex items-center justify-between p-2 rounded-xl hover:bg-neutral-50 dark:hover:bg-neutral-800"
+  }, /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-medium"
+  }, m.title), /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500"
+  }, m.when)), /*#__PURE__*/React.createElement("div", {
+    className: "text-sm text-neutral-700 dark:text-neutral-300"
+  }, m.calories, " kcal"))))));
+}
+
+// Tooltip for one diary day: calories plus the macro split as grams and share of kcal
+function DayTooltip({
+  active,
+  payload
+}) {
+  const day = active && payload?.[0]?.payload;
+  if (!day) return null;
+  const macroTotal = macroKcal(day);
+  return /*#__PURE__*/React.createElement("div", {
+    className: "rounded-xl border border-black/10 dark:border-white/10 bg-white dark:bg-neutral-900 px-2.5 py-2 text-xs shadow"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "font-medium"
+  }, parseDayKey(day.date).toLocaleDateString([], {
+    weekday: "short",
+    month: "short",
+    day: "numeric"
+  })), day.count === 0 ? /*#__PURE__*/React.createElement("div", {
+    className: "text-neutral-500"
+  }, "Nothing logged") : /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement("div", null, fmt.format(day.kcal), " kcal \xB7 ", day.count, " ", day.count === 1 ? "meal" : "meals"), MACROS.map(({
+    k,
+    label
+  }) => /*#__PURE__*/React.createElement("div", {
+    key: k,
+    className: "text-neutral-500"
+  }, label, " ", fmt.format(day[k]), " g (", macroTotal ? Math.round(day[k] * KCAL_PER_G[k] / macroTotal * 100) : 0, "%)"))));
+}
+function CaloriesHistoryCard({
+  meals,
+  target
+}) {
+  const [range, setRange] = usePersistentState(deviceStore, "chartRange", 7);
+  const data = useMemo(() => dailyTotals(meals, range), [meals, range]);
+  const logged = data.filter(d => d.count > 0);
+  const avg = logged.length ? logged.reduce((s, d) => s + d.kcal, 0) / logged.length : null;
+  return /*#__PURE__*/React.createElement("div", {
+    className: "rounded-2xl border border-black/5 dark:border-white/10 p-3 bg-white dark:bg-neutral-900"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between mb-2"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-semibold"
+  }, range, "-day Calories"), /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center gap-1 text-[11px]"
+  }, [7, 30, 90].map(n => /*#__PURE__*/React.createElement("button", {
+    key: n,
+    onClick: () => setRange(n),
+    className: `px-2 py-0.5 rounded-md border ${range === n ? "bg-neutral-900 text-white dark:bg-neutral-100 dark:text-neutral-900 border-transparent" : "border-black/10 dark:border-white/10"}`
+  }, n, "d")))), /*#__PURE__*/React.createElement("div", {
     className: "h-28 -mx-2"
   }, /*#__PURE__*/React.createElement(ResponsiveContainer, {
     width: "100%",
     height: "100%"
   }, /*#__PURE__*/React.createElement(AreaChart, {
-    data: demoCalories7d,
+    data: data,
     margin: {
       top: 6,
       right: 8,
@@ -388,66 +5469,1188 @@ function DashboardView() {
       fontSize: 10
     },
     axisLine: false,
-    tickLine: false
+    tickLine: false,
+    interval: "preserveStartEnd",
+    minTickGap: 16
   }), /*#__PURE__*/React.createElement(YAxis, {
-    hide: true
+    hide: true,
+    domain: [0, max => Math.max(max || 0, target) * 1.1]
   }), /*#__PURE__*/React.createElement(Tooltip, {
-    contentStyle: {
-      fontSize: 12
-    }
+    content: /*#__PURE__*/React.createElement(DayTooltip, null)
+  }), /*#__PURE__*/React.createElement(ReferenceLine, {
+    y: target,
+    stroke: "#f43f5e",
+    strokeDasharray: "4 4",
+    strokeOpacity: 0.7
   }), /*#__PURE__*/React.createElement(Area, {
     type: "monotone",
     dataKey: "kcal",
     stroke: "#60a5fa",
     fill: "url(#kcalGrad)",
-    strokeWidth: 2
-  }))))), /*#__PURE__*/React.createElement("div", {
+    strokeWidth: 2,
+    connectNulls: false,
+    dot: range === 7 ? {
+      r: 2
+    } : false
+  })))), /*#__PURE__*/React.createElement("div", {
+    className: "text-[11px] text-neutral-500 mt-1"
+  }, avg === null ? "No meals logged in this range yet." : `Avg ${fmt.format(avg)} kcal on ${logged.length} logged ${logged.length === 1 ? "day" : "days"} · target ${fmt.format(target)}`));
+}
+function WeightTooltip({
+  active,
+  payload
+}) {
+  const p = active && payload?.[0]?.payload;
+  if (!p) return null;
+  return /*#__PURE__*/React.createElement("div", {
+    className: "rounded-lg border border-black/10 dark:border-white/10 bg-white dark:bg-neutral-900 px-2 py-1 text-[11px] shadow"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "font-medium"
+  }, formatDayLabel(p.date)), /*#__PURE__*/React.createElement("div", null, p.kg, " kg \u2022 trend ", p.trend.toFixed(1)), (p.waistCm || p.hipCm || p.bodyFatPct) && /*#__PURE__*/React.createElement("div", {
+    className: "text-neutral-500"
+  }, [p.waistCm && `waist ${p.waistCm}`, p.hipCm && `hip ${p.hipCm}`, p.bodyFatPct && `${p.bodyFatPct}% fat`].filter(Boolean).join(" • ")));
+}
+function WeighInSheet({
+  last,
+  goalKg,
+  onClose,
+  onSave
+}) {
+  const [form, setForm] = useState({
+    date: dayKey(),
+    kg: last ? String(last.kg) : "",
+    waistCm: "",
+    hipCm: "",
+    bodyFatPct: "",
+    goalKg: goalKg ? String(goalKg) : ""
+  });
+  const {
+    errors,
+    entry
+  } = validateWeighIn(form);
+  const goal = form.goalKg.trim() === "" ? null : Number(form.goalKg);
+  const goalOk = goal === null || goal >= MEASURE_LIMITS.kg[0] && goal <= MEASURE_LIMITS.kg[1];
+  const bind = k => ({
+    value: form[k],
+    onChange: e => setForm(f => ({
+      ...f,
+      [k]: e.target.value
+    }))
+  });
+  const num = (k, label, step = "0.1") => /*#__PURE__*/React.createElement(Field, {
+    label: label,
+    error: form[k] !== "" && errors[k]
+  }, /*#__PURE__*/React.createElement("input", _extends({
+    type: "number",
+    inputMode: "decimal",
+    step: step
+  }, bind(k), {
+    className: inputCls(form[k] !== "" && errors[k])
+  })));
+  return /*#__PURE__*/React.createElement(Sheet, {
+    title: "Log weigh-in",
+    onClose: onClose
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "grid grid-cols-2 gap-2"
+  }, /*#__PURE__*/React.createElement(Field, {
+    label: "Date",
+    error: errors.date
+  }, /*#__PURE__*/React.createElement("input", _extends({
+    type: "date",
+    max: dayKey()
+  }, bind("date"), {
+    className: inputCls(errors.date)
+  }))), num("kg", "Weight (kg)")), /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500"
+  }, "Optional measurements"), /*#__PURE__*/React.createElement("div", {
+    className: "grid grid-cols-3 gap-2"
+  }, num("waistCm", "Waist (cm)", "0.5"), num("hipCm", "Hip (cm)", "0.5"), num("bodyFatPct", "Body fat (%)")), /*#__PURE__*/React.createElement(Field, {
+    label: "Goal weight (kg)",
+    error: !goalOk && `${MEASURE_LIMITS.kg[0]}–${MEASURE_LIMITS.kg[1]}`
+  }, /*#__PURE__*/React.createElement("input", _extends({
+    type: "number",
+    inputMode: "decimal",
+    step: "0.1"
+  }, bind("goalKg"), {
+    placeholder: "optional",
+    className: inputCls(!goalOk)
+  }))), /*#__PURE__*/React.createElement("button", {
+    disabled: !entry || !goalOk,
+    onClick: () => onSave(entry, goal === null ? goalKg : round1(goal)),
+    className: "w-full px-3 py-2 text-sm rounded-xl bg-blue-600 text-white disabled:opacity-50"
+  }, "Save weigh-in"));
+}
+
+// Weigh-ins with an exponentially smoothed trend, weekly rate and projected goal date
+function WeightCard() {
+  const [entries, setEntries, loadingEntries] = useSharedValue(weighInLog);
+  const [goalKg, setGoalKg, loadingGoal] = usePersistentState(secureStore, "goalWeightKg", null);
+  const [, setWeightKg] = useSharedValue(weightSetting);
+  const [logging, setLogging] = useState(false);
+  const points = useMemo(() => weightTrend(entries), [entries]);
+  const recent = useMemo(() => points.filter(p => daysBetween(p.date, dayKey()) <= 90).map(p => ({
+    ...p,
+    d: p.date.slice(5)
+  })), [points]);
+  const latest = points[points.length - 1];
+  const rate = useMemo(() => weeklyRate(points), [points]);
+  const eta = latest && projectGoalDate(latest.trend, rate, goalKg);
+  const save = (entry, goal) => {
+    // One weigh-in per day: a second one for the same date replaces the first
+    const next = [...entries.filter(e => e.date !== entry.date), {
+      id: `w${Date.now()}`,
+      ...entry
+    }].sort((a, b) => a.date.localeCompare(b.date));
+    setEntries(next);
+    setWeightKg(next[next.length - 1].kg);
+    if (goal !== goalKg) setGoalKg(goal);
+    setLogging(false);
+  };
+  const remove = id => {
+    const next = entries.filter(e => e.id !== id);
+    setEntries(next);
+    if (next.length) setWeightKg(next[next.length - 1].kg);
+  };
+  if (loadingEntries || loadingGoal) return /*#__PURE__*/React.createElement("div", {
+    className: "h-40 rounded-2xl bg-neutral-100 dark:bg-neutral-800 animate-pulse"
+  });
+  return /*#__PURE__*/React.createElement("div", {
     className: "rounded-2xl border border-black/5 dark:border-white/10 p-3 bg-white dark:bg-neutral-900"
   }, /*#__PURE__*/React.createElement("div", {
     className: "flex items-center justify-between mb-2"
   }, /*#__PURE__*/React.createElement("div", {
     className: "text-sm font-semibold"
-  }, "Recent Meals"), /*#__PURE__*/React.createElement("button", {
+  }, "Weight"), /*#__PURE__*/React.createElement("button", {
+    onClick: () => setLogging(true),
     className: "text-xs text-blue-600"
-  }, "See all")), /*#__PURE__*/React.createElement("div", {
+  }, "+ Weigh-in")), recent.length > 0 ? /*#__PURE__*/React.createElement("div", {
+    className: "h-28 -mx-2"
+  }, /*#__PURE__*/React.createElement(ResponsiveContainer, {
+    width: "100%",
+    height: "100%"
+  }, /*#__PURE__*/React.createElement(LineChart, {
+    data: recent,
+    margin: {
+      top: 6,
+      right: 8,
+      left: 8,
+      bottom: 0
+    }
+  }, /*#__PURE__*/React.createElement(CartesianGrid, {
+    strokeDasharray: "3 3",
+    strokeOpacity: 0.1
+  }), /*#__PURE__*/React.createElement(XAxis, {
+    dataKey: "d",
+    tick: {
+      fontSize: 10
+    },
+    axisLine: false,
+    tickLine: false,
+    interval: "preserveStartEnd",
+    minTickGap: 16
+  }), /*#__PURE__*/React.createElement(YAxis, {
+    hide: true,
+    domain: ["dataMin - 1", "dataMax + 1"]
+  }), /*#__PURE__*/React.createElement(Tooltip, {
+    content: /*#__PURE__*/React.createElement(WeightTooltip, null)
+  }), isNum(goalKg) && /*#__PURE__*/React.createElement(ReferenceLine, {
+    y: goalKg,
+    stroke: "#f43f5e",
+    strokeDasharray: "4 4",
+    strokeOpacity: 0.7,
+    ifOverflow: "extendDomain"
+  }), /*#__PURE__*/React.createElement(Line, {
+    type: "monotone",
+    dataKey: "kg",
+    stroke: "none",
+    dot: {
+      r: 2,
+      fill: "#94a3b8"
+    },
+    isAnimationActive: false
+  }), /*#__PURE__*/React.createElement(Line, {
+    type: "monotone",
+    dataKey: "trend",
+    stroke: "#10b981",
+    strokeWidth: 2,
+    dot: false
+  })))) : /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500 py-4 text-center"
+  }, "Log your first weigh-in to start the trend."), latest && /*#__PURE__*/React.createElement("div", {
+    className: "text-[11px] text-neutral-500 mt-1"
+  }, "Trend ", latest.trend.toFixed(1), " kg", rate === null ? " · log a week of weigh-ins to see your rate" : ` · ${rate > 0 ? "+" : ""}${rate.toFixed(2)} kg/week`, isNum(goalKg) && ` · goal ${goalKg} kg${eta ? ` by ${formatDayLabel(eta)}` : rate !== null ? " (not on current pace)" : ""}`), entries.length > 0 && /*#__PURE__*/React.createElement("div", {
+    className: "mt-2 space-y-1"
+  }, [...entries].reverse().slice(0, 3).map(e => /*#__PURE__*/React.createElement("div", {
+    key: e.id,
+    className: "flex items-center justify-between text-xs"
+  }, /*#__PURE__*/React.createElement("span", null, formatDayLabel(e.date)), /*#__PURE__*/React.createElement("span", {
+    className: "flex items-center gap-2 text-neutral-500"
+  }, e.kg, " kg", e.waistCm ? ` • waist ${e.waistCm}` : "", e.hipCm ? ` • hip ${e.hipCm}` : "", e.bodyFatPct ? ` • ${e.bodyFatPct}%` : "", /*#__PURE__*/React.createElement("button", {
+    onClick: () => remove(e.id),
+    title: "Delete weigh-in",
+    className: "text-neutral-400"
+  }, /*#__PURE__*/React.createElement(Trash2, {
+    size: 12
+  })))))), logging && /*#__PURE__*/React.createElement(WeighInSheet, {
+    last: latest,
+    goalKg: goalKg,
+    onClose: () => setLogging(false),
+    onSave: save
+  }));
+}
+
+// Sleep and HRV are health data, so they are read from the encrypted vault
+function VitalsStats() {
+  const [vitals,, loading] = usePersistentState(secureStore, "wearableVitals", {});
+  if (loading) return /*#__PURE__*/React.createElement("div", {
+    className: "h-[74px] rounded-2xl bg-neutral-100 dark:bg-neutral-800 animate-pulse"
+  });
+  const label = (name, latest) => latest && latest.date !== dayKey() ? `${name} · ${formatDayLabel(latest.date)}` : name;
+  const sleep = latestWearable({}, vitals, "sleepH");
+  const hrv = latestWearable({}, vitals, "hrvMs");
+  return /*#__PURE__*/React.createElement("div", {
+    className: "grid grid-cols-2 gap-3"
+  }, /*#__PURE__*/React.createElement(Stat, {
+    label: label("Sleep", sleep),
+    value: sleep ? sleep.value : "—",
+    unit: sleep ? "h" : "",
+    icon: /*#__PURE__*/React.createElement(TimerReset, {
+      size: 18
+    })
+  }), /*#__PURE__*/React.createElement(Stat, {
+    label: label("HRV", hrv),
+    value: hrv ? hrv.value : "—",
+    unit: hrv ? "ms" : "",
+    icon: /*#__PURE__*/React.createElement(HeartPulse, {
+      size: 18
+    })
+  }));
+}
+
+// Bottom sheet drawn over the phone content area
+function Sheet({
+  title,
+  onClose,
+  children
+}) {
+  return /*#__PURE__*/React.createElement("div", {
+    className: "absolute inset-0 z-20 flex flex-col justify-end bg-black/30",
+    onClick: onClose
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "max-h-[90%] overflow-auto rounded-t-3xl bg-white dark:bg-neutral-900 p-4 space-y-3",
+    onClick: e => e.stopPropagation()
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-semibold"
+  }, title), /*#__PURE__*/React.createElement("button", {
+    onClick: onClose,
+    className: "text-xs text-neutral-500"
+  }, "Close")), children));
+}
+function Field({
+  label,
+  error,
+  children
+}) {
+  return /*#__PURE__*/React.createElement("label", {
+    className: "block"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500 mb-1"
+  }, label), children, error && /*#__PURE__*/React.createElement("div", {
+    className: "text-[11px] text-rose-600 mt-1"
+  }, error));
+}
+const inputCls = error => `w-full px-3 py-2 text-sm rounded-xl border bg-transparent ${error ? "border-rose-400" : "border-black/10 dark:border-white/10"}`;
+
+// Manual meal entry; errors show per field once touched, or everywhere after a submit attempt
+function MealForm({
+  initial,
+  submitLabel = "Save meal",
+  onSubmit
+}) {
+  const [form, setForm] = useState(() => ({
+    title: "",
+    date: dayKey(),
+    when: nowHHMM(),
+    slot: "auto",
+    portion: "",
+    p: "",
+    c: "",
+    f: "",
+    calories: "",
+    ...initial
+  }));
+  const [touched, setTouched] = useState({});
+  const [submitted, setSubmitted] = useState(false);
+  const {
+    errors,
+    meal
+  } = validateMealForm(form);
+  const computed = Math.round(macroKcal({
+    p: Number(form.p) || 0,
+    c: Number(form.c) || 0,
+    f: Number(form.f) || 0
+  }));
+  const show = k => (submitted || touched[k]) && errors[k];
+  const bind = k => ({
+    value: form[k],
+    // Touching the numbers means they're no longer straight from the food database
+    onChange: e => setForm(fm => ({
+      ...fm,
+      [k]: e.target.value,
+      ...(["calories", "p", "c", "f"].includes(k) && {
+        kcalSource: undefined
+      })
+    })),
+    onBlur: () => setTouched(t => ({
+      ...t,
+      [k]: true
+    })),
+    className: inputCls(show(k))
+  });
+  const submit = e => {
+    e.preventDefault();
+    setSubmitted(true);
+    if (meal) onSubmit(meal);
+  };
+  return /*#__PURE__*/React.createElement("form", {
+    onSubmit: submit,
+    className: "space-y-3",
+    noValidate: true
+  }, /*#__PURE__*/React.createElement(Field, {
+    label: "Meal",
+    error: show("title")
+  }, /*#__PURE__*/React.createElement("input", _extends({}, bind("title"), {
+    placeholder: "e.g. Oatmeal with berries"
+  }))), /*#__PURE__*/React.createElement("div", {
+    className: "grid grid-cols-2 gap-2"
+  }, /*#__PURE__*/React.createElement(Field, {
+    label: "Date",
+    error: show("date")
+  }, /*#__PURE__*/React.createElement("input", _extends({
+    type: "date",
+    max: dayKey()
+  }, bind("date")))), /*#__PURE__*/React.createElement(Field, {
+    label: "Time",
+    error: show("when")
+  }, /*#__PURE__*/React.createElement("input", _extends({
+    type: "time"
+  }, bind("when"))))), /*#__PURE__*/React.createElement("div", {
+    className: "grid grid-cols-2 gap-2"
+  }, /*#__PURE__*/React.createElement(Field, {
+    label: "Slot"
+  }, /*#__PURE__*/React.createElement("select", bind("slot"), /*#__PURE__*/React.createElement("option", {
+    value: "auto"
+  }, "Auto", /^\d{2}:\d{2}$/.test(form.when) ? ` (${MEAL_SLOTS.find(s => s.k === slotForTime(form.when)).label})` : ""), MEAL_SLOTS.map(s => /*#__PURE__*/React.createElement("option", {
+    key: s.k,
+    value: s.k
+  }, s.label)))), /*#__PURE__*/React.createElement(Field, {
+    label: "Portion (g)",
+    error: show("portion")
+  }, /*#__PURE__*/React.createElement("input", _extends({
+    type: "number",
+    inputMode: "decimal",
+    min: "1"
+  }, bind("portion"), {
+    placeholder: "optional"
+  })))), /*#__PURE__*/React.createElement("div", {
+    className: "grid grid-cols-3 gap-2"
+  }, /*#__PURE__*/React.createElement(Field, {
+    label: "Protein (g)",
+    error: show("p")
+  }, /*#__PURE__*/React.createElement("input", _extends({
+    type: "number",
+    inputMode: "decimal",
+    min: "0",
+    step: "0.1"
+  }, bind("p")))), /*#__PURE__*/React.createElement(Field, {
+    label: "Carbs (g)",
+    error: show("c")
+  }, /*#__PURE__*/React.createElement("input", _extends({
+    type: "number",
+    inputMode: "decimal",
+    min: "0",
+    step: "0.1"
+  }, bind("c")))), /*#__PURE__*/React.createElement(Field, {
+    label: "Fat (g)",
+    error: show("f")
+  }, /*#__PURE__*/React.createElement("input", _extends({
+    type: "number",
+    inputMode: "decimal",
+    min: "0",
+    step: "0.1"
+  }, bind("f"))))), /*#__PURE__*/React.createElement(Field, {
+    label: "Calories (kcal)",
+    error: show("calories")
+  }, /*#__PURE__*/React.createElement("input", _extends({
+    type: "number",
+    inputMode: "numeric",
+    min: "0"
+  }, bind("calories"), {
+    placeholder: `${computed} from macros`
+  }))), /*#__PURE__*/React.createElement("div", {
+    className: "text-[11px] text-neutral-500"
+  }, "Leave calories blank to use 4/4/9 kcal per gram of protein/carbs/fat."), /*#__PURE__*/React.createElement("button", {
+    type: "submit",
+    className: "w-full px-3 py-2 text-sm rounded-xl bg-blue-600 text-white"
+  }, submitLabel));
+}
+
+// Food search + portion picker; hands the scaled values to the meal form via onPick
+function FoodPicker({
+  onPick
+}) {
+  const [db, setDb] = useState(null);
+  const [error, setError] = useState(null);
+  const [query, setQuery] = useState("");
+  const [food, setFood] = useState(null);
+  const [amount, setAmount] = useState("");
+  const [unit, setUnit] = useState("g");
+  useEffect(() => {
+    let alive = true;
+    loadFoodDb().then(d => alive && setDb(d), e => alive && setError(e.message));
+    return () => {
+      alive = false;
+    };
+  }, []);
+  const results = useMemo(() => db && !food ? searchFoods(db.foods, query) : [], [db, food, query]);
+  const units = food ? foodUnits(food, db) : [];
+  const unitInfo = units.find(u => u.unit === unit);
+  const qty = Number(amount);
+  const grams = unitInfo && qty > 0 ? qty * unitInfo.g : 0;
+  const scaled = food && grams ? scaleFood(food, grams) : null;
+  const choose = f => {
+    const serving = foodUnits(f, db).find(u => u.unit === "piece") || null;
+    setFood(f);
+    setUnit(serving ? "piece" : "g");
+    setAmount(serving ? "1" : "100");
+  };
+  const use = () => {
+    onPick({
+      title: food.name,
+      portion: String(Math.round(grams)),
+      calories: String(scaled.calories),
+      p: String(scaled.p),
+      c: String(scaled.c),
+      f: String(scaled.f),
+      kcalSource: "food"
+    });
+    setFood(null);
+    setQuery("");
+  };
+  if (error) return /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500"
+  }, "Food database unavailable offline until it has loaded once.");
+  if (!food) return /*#__PURE__*/React.createElement("div", {
     className: "space-y-2"
-  }, demoMeals.map(m => /*#__PURE__*/React.createElement("div", {
-    key: m.id,
-    className: "flex items-center justify-between p-2 rounded-xl hover:bg-neutral-50 dark:hover:bg-neutral-800"
+  }, /*#__PURE__*/React.createElement("input", {
+    value: query,
+    onChange: e => setQuery(e.target.value),
+    placeholder: db ? `Search ${db.foods.length} foods…` : "Loading foods…",
+    disabled: !db,
+    className: inputCls(false)
+  }), results.length > 0 && /*#__PURE__*/React.createElement("div", {
+    className: "rounded-xl border border-black/5 dark:border-white/10 divide-y divide-black/5 dark:divide-white/10"
+  }, results.map(f => /*#__PURE__*/React.createElement("button", {
+    key: f.id,
+    type: "button",
+    onClick: () => choose(f),
+    className: "w-full flex items-center justify-between px-3 py-2 text-left text-sm hover:bg-neutral-50 dark:hover:bg-neutral-800"
+  }, /*#__PURE__*/React.createElement("span", null, f.name), /*#__PURE__*/React.createElement("span", {
+    className: "text-xs text-neutral-500"
+  }, f.per100g.kcal, " kcal/100 g")))), db && query.trim() && results.length === 0 && /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500"
+  }, "No match \u2014 enter it manually below."));
+  return /*#__PURE__*/React.createElement("div", {
+    className: "rounded-xl border border-blue-100 dark:border-blue-900/40 bg-blue-50/50 dark:bg-blue-950/20 p-3 space-y-2"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between text-sm"
+  }, /*#__PURE__*/React.createElement("span", {
+    className: "font-medium"
+  }, food.name), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: () => setFood(null),
+    className: "text-xs text-neutral-500"
+  }, "Change")), /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center gap-2"
+  }, /*#__PURE__*/React.createElement("input", {
+    type: "number",
+    inputMode: "decimal",
+    min: "0",
+    step: "any",
+    value: amount,
+    onChange: e => setAmount(e.target.value),
+    className: `${inputCls(!(qty > 0))} w-24`
+  }), /*#__PURE__*/React.createElement("select", {
+    value: unit,
+    onChange: e => setUnit(e.target.value),
+    className: inputCls(false)
+  }, units.map(u => /*#__PURE__*/React.createElement("option", {
+    key: u.unit,
+    value: u.unit
+  }, FOOD_UNITS[u.unit], u.label ? ` (${u.label}, ${round1(u.g)} g)` : u.unit !== "g" ? ` (${round1(u.g)} g)` : "")))), scaled && /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-600 dark:text-neutral-300"
+  }, fmt.format(grams), " g \u2192 ", /*#__PURE__*/React.createElement("span", {
+    className: "font-semibold"
+  }, scaled.calories, " kcal"), " \u2022 ", scaled.p, "P / ", scaled.c, "C / ", scaled.f, "F"), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    disabled: !scaled,
+    onClick: use,
+    className: "w-full px-3 py-2 text-sm rounded-xl bg-blue-600 text-white disabled:opacity-50"
+  }, "Use this portion"));
+}
+function PhotoThumb({
+  id,
+  onOpen
+}) {
+  const url = usePhotoUrl(id, "thumb");
+  return /*#__PURE__*/React.createElement("button", {
+    onPointerDown: e => e.stopPropagation(),
+    onClick: onOpen,
+    className: "w-10 h-10 shrink-0 rounded-xl overflow-hidden bg-neutral-100 dark:bg-neutral-800 grid place-items-center"
+  }, url ? /*#__PURE__*/React.createElement("img", {
+    src: url,
+    alt: "",
+    className: "w-full h-full object-cover"
+  }) : /*#__PURE__*/React.createElement(Camera, {
+    size: 14,
+    className: "text-neutral-400"
+  }));
+}
+function PhotoViewer({
+  meal,
+  onClose
+}) {
+  const url = usePhotoUrl(meal.photoId, "full");
+  return /*#__PURE__*/React.createElement("div", {
+    className: "absolute inset-0 z-30 bg-black flex flex-col",
+    onClick: onClose
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between px-4 py-3 text-white text-sm"
+  }, /*#__PURE__*/React.createElement("span", {
+    className: "font-medium truncate"
+  }, meal.title), /*#__PURE__*/React.createElement("button", {
+    onClick: onClose,
+    className: "text-xs text-white/70"
+  }, "Close")), /*#__PURE__*/React.createElement("div", {
+    className: "flex-1 grid place-items-center p-2"
+  }, url ? /*#__PURE__*/React.createElement("img", {
+    src: url,
+    alt: meal.title,
+    className: "max-w-full max-h-full object-contain"
+  }) : /*#__PURE__*/React.createElement("span", {
+    className: "text-xs text-white/60"
+  }, "Photo not available")), /*#__PURE__*/React.createElement("div", {
+    className: "px-4 py-3 text-xs text-white/70"
+  }, meal.calories, " kcal \u2022 ", meal.p, "P / ", meal.c, "C / ", meal.f, "F \u2022 ", formatDayLabel(meal.date), " ", meal.when));
+}
+
+// Camera preview that reports the first valid product code seen by BarcodeDetector
+function CameraScanner({
+  onCode
+}) {
+  const videoRef = useRef(null);
+  const [error, setError] = useState(null);
+  useEffect(() => {
+    let stream = null;
+    let timer = null;
+    let stopped = false;
+    (async () => {
+      try {
+        const formats = (await window.BarcodeDetector.getSupportedFormats?.()) || [];
+        const detector = new window.BarcodeDetector({
+          formats: ["ean_13", "ean_8", "upc_a", "upc_e", "qr_code"].filter(f => !formats.length || formats.includes(f))
+        });
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: {
+            facingMode: "environment"
+          }
+        });
+        if (stopped) return;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        const tick = async () => {
+          if (stopped) return;
+          const found = await detector.detect(videoRef.current).catch(() => []);
+          const code = found.map(b => extractProductCode(b.rawValue)).find(Boolean);
+          if (code) onCode(code);else timer = setTimeout(tick, 250);
+        };
+        tick();
+      } catch (e) {
+        console.log("[debug] camera scanner error", e);
+        setError(e.name === "NotAllowedError" ? "Camera permission denied" : "Camera unavailable");
+      }
+    })();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      stream?.getTracks().forEach(t => t.stop());
+    };
+  }, []);
+  if (error) return /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500"
+  }, error, " \u2014 type the code instead.");
+  return /*#__PURE__*/React.createElement("div", {
+    className: "relative rounded-xl overflow-hidden bg-black aspect-[4/3]"
+  }, /*#__PURE__*/React.createElement("video", {
+    ref: videoRef,
+    muted: true,
+    playsInline: true,
+    className: "w-full h-full object-cover"
+  }), /*#__PURE__*/React.createElement("div", {
+    className: "absolute inset-x-8 top-1/2 h-0.5 bg-rose-500/80"
+  }));
+}
+
+// Sends the photo to the nutrition service, then has the user confirm, correct or drop each
+// detected item; only confirmed items are summed into the logged meal.
+function RecognitionSheet({
+  file,
+  day,
+  onClose,
+  onLog
+}) {
+  const [description, setDescription] = useState("");
+  const [status, setStatus] = useState({
+    phase: "analyzing"
+  }); // analyzing | error | review
+  const [items, setItems] = useState([]); // detected items + { key, base, decision: null | "ok" | "removed" }
+  const [adding, setAdding] = useState(false);
+  const [when, setWhen] = useState(nowHHMM);
+  const [saving, setSaving] = useState(false);
+  const ctrlRef = useRef(null);
+  const preview = useMemo(() => URL.createObjectURL ? URL.createObjectURL(file) : null, [file]);
+  useEffect(() => () => {
+    if (preview) URL.revokeObjectURL(preview);
+  }, [preview]);
+  const analyze = async desc => {
+    ctrlRef.current?.abort();
+    const ctrl = new AbortController();
+    ctrlRef.current = ctrl;
+    setStatus({
+      phase: "analyzing"
+    });
+    console.log("[debug] recognizing meal", {
+      service: nutritionService.name,
+      bytes: file.size,
+      desc
+    });
+    try {
+      const result = await nutritionService.get_nutrition_info(file, desc, {
+        signal: ctrl.signal
+      });
+      setItems(result.items.map((it, i) => ({
+        ...it,
+        key: `${Date.now()}-${i}`,
+        base: it,
+        decision: null
+      })));
+      setStatus({
+        phase: "review",
+        model: result.model
+      });
+      haptic(result.items.length ? "light" : "rigid");
+    } catch (e) {
+      if (e.name !== "AbortError") setStatus({
+        phase: "error",
+        message: e.message
+      });
+    }
+  };
+  useEffect(() => {
+    analyze("");
+    return () => ctrlRef.current?.abort();
+  }, [file]);
+  const patch = (key, fields) => setItems(list => list.map(it => it.key === key ? {
+    ...it,
+    ...fields
+  } : it));
+  // Correcting the weight rescales the estimate; any correction counts as confirming the item
+  const setGrams = (it, value) => {
+    const g = Number(value);
+    const k = it.base.grams > 0 && g > 0 ? g / it.base.grams : null;
+    const scaled = k === null ? {} : {
+      calories: Math.round(it.base.calories * k),
+      p: round1(it.base.p * k),
+      c: round1(it.base.c * k),
+      f: round1(it.base.f * k)
+    };
+    patch(it.key, {
+      grams: value,
+      ...scaled,
+      decision: "ok"
+    });
+  };
+  const addPicked = v => {
+    const item = {
+      name: v.title,
+      grams: Number(v.portion),
+      calories: Number(v.calories),
+      p: Number(v.p),
+      c: Number(v.c),
+      f: Number(v.f),
+      confidence: 1
+    };
+    setItems(list => [...list, {
+      ...item,
+      key: `${Date.now()}-add`,
+      base: item,
+      decision: "ok"
+    }]);
+    setAdding(false);
+  };
+  const kept = items.filter(it => it.decision === "ok");
+  const pending = items.filter(it => it.decision === null).length;
+  const total = sumMeals(kept);
+  const namesOk = kept.every(it => it.name.trim());
+  const canLog = !saving && kept.length > 0 && pending === 0 && namesOk && /^\d{2}:\d{2}$/.test(when);
+  const log = async () => {
+    setSaving(true);
+    const names = kept.map(it => it.name.trim()).join(", ");
+    const grams = kept.reduce((s, it) => s + (Number(it.grams) || 0), 0);
+    const meal = {
+      title: names.length > 60 ? `${names.slice(0, 59)}…` : names,
+      date: day,
+      when,
+      slot: slotForTime(when),
+      calories: Math.round(total.kcal),
+      p: round1(total.p),
+      c: round1(total.c),
+      f: round1(total.f)
+    };
+    if (grams > 0) meal.portion = Math.round(grams);
+    await onLog(meal);
+  };
+  return /*#__PURE__*/React.createElement(Sheet, {
+    title: status.phase === "review" ? "Check detected items" : "Analyzing photo",
+    onClose: onClose
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "flex items-start gap-3"
+  }, preview && /*#__PURE__*/React.createElement("img", {
+    src: preview,
+    alt: "",
+    className: "w-16 h-16 rounded-xl object-cover shrink-0"
+  }), /*#__PURE__*/React.createElement("form", {
+    className: "flex-1 space-y-2",
+    onSubmit: e => {
+      e.preventDefault();
+      analyze(description.trim());
+    }
+  }, /*#__PURE__*/React.createElement("input", {
+    value: description,
+    onChange: e => setDescription(e.target.value),
+    placeholder: "Describe it (optional), e.g. rice, chicken",
+    className: inputCls(false)
+  }), /*#__PURE__*/React.createElement("button", {
+    type: "submit",
+    disabled: status.phase === "analyzing",
+    className: "text-xs text-blue-600 disabled:opacity-50"
+  }, "Analyze again"))), status.phase === "analyzing" && /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between text-sm text-neutral-500"
+  }, /*#__PURE__*/React.createElement("span", null, "Recognizing food\u2026"), /*#__PURE__*/React.createElement("button", {
+    onClick: onClose,
+    className: "text-xs text-rose-600"
+  }, "Cancel")), status.phase === "error" && /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between text-sm"
+  }, /*#__PURE__*/React.createElement("span", {
+    className: "text-rose-600"
+  }, "Recognition failed: ", status.message), /*#__PURE__*/React.createElement("button", {
+    onClick: () => analyze(description.trim()),
+    className: "text-xs text-blue-600"
+  }, "Retry")), status.phase === "review" && /*#__PURE__*/React.createElement("div", {
+    className: "space-y-2"
+  }, items.length === 0 && /*#__PURE__*/React.createElement("div", {
+    className: "text-sm text-neutral-500"
+  }, "No food recognized \u2014 describe the meal above or add items."), items.map(it => /*#__PURE__*/React.createElement("div", {
+    key: it.key,
+    className: `rounded-xl border p-2.5 space-y-2 ${it.decision === "ok" ? "border-emerald-300 dark:border-emerald-800" : "border-black/10 dark:border-white/10"} ${it.decision === "removed" ? "opacity-50" : ""}`
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center gap-2"
+  }, /*#__PURE__*/React.createElement("input", {
+    value: it.name,
+    disabled: it.decision === "removed",
+    onChange: e => patch(it.key, {
+      name: e.target.value,
+      decision: "ok"
+    }),
+    className: `${inputCls(!it.name.trim())} flex-1`
+  }), /*#__PURE__*/React.createElement("span", {
+    title: "Confidence",
+    className: `text-[11px] px-1.5 py-0.5 rounded-md ${it.confidence < 0.6 ? "bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-300" : "bg-neutral-100 text-neutral-600 dark:bg-neutral-800 dark:text-neutral-300"}`
+  }, Math.round(it.confidence * 100), "%")), /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center gap-2 text-xs"
+  }, /*#__PURE__*/React.createElement("input", {
+    type: "number",
+    inputMode: "decimal",
+    min: "0",
+    value: it.grams,
+    disabled: it.decision === "removed",
+    onChange: e => setGrams(it, e.target.value),
+    className: `${inputCls(!(Number(it.grams) > 0))} w-20`
+  }), /*#__PURE__*/React.createElement("span", {
+    className: "text-neutral-500"
+  }, "g \u2022 ", it.calories, " kcal \u2022 ", it.p, "P / ", it.c, "C / ", it.f, "F"), /*#__PURE__*/React.createElement("div", {
+    className: "ml-auto flex items-center gap-1"
+  }, it.decision === "removed" ? /*#__PURE__*/React.createElement("button", {
+    onClick: () => patch(it.key, {
+      decision: null
+    }),
+    className: "text-xs text-blue-600"
+  }, "Undo") : /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement("button", {
+    disabled: it.decision === "ok",
+    onClick: () => patch(it.key, {
+      decision: "ok"
+    }),
+    title: "Looks right",
+    className: "p-1.5 rounded-lg border border-black/10 dark:border-white/10 text-emerald-600 disabled:bg-emerald-50 dark:disabled:bg-emerald-950/30"
+  }, /*#__PURE__*/React.createElement(Check, {
+    size: 14
+  })), /*#__PURE__*/React.createElement("button", {
+    onClick: () => patch(it.key, {
+      decision: "removed"
+    }),
+    title: "Not in this meal",
+    className: "p-1.5 rounded-lg border border-black/10 dark:border-white/10 text-rose-600"
+  }, /*#__PURE__*/React.createElement(Trash2, {
+    size: 14
+  }))))))), adding ? /*#__PURE__*/React.createElement(FoodPicker, {
+    onPick: addPicked
+  }) : /*#__PURE__*/React.createElement("button", {
+    onClick: () => setAdding(true),
+    className: "text-xs text-blue-600"
+  }, "+ Add a missed item"), /*#__PURE__*/React.createElement(Field, {
+    label: "Time"
+  }, /*#__PURE__*/React.createElement("input", {
+    type: "time",
+    value: when,
+    onChange: e => setWhen(e.target.value),
+    className: inputCls(!/^\d{2}:\d{2}$/.test(when))
+  })), /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-600 dark:text-neutral-300"
+  }, pending > 0 ? `${pending} item${pending > 1 ? "s" : ""} left to confirm or remove` : /*#__PURE__*/React.createElement(React.Fragment, null, "Total ", /*#__PURE__*/React.createElement("span", {
+    className: "font-semibold"
+  }, fmt.format(total.kcal), " kcal"), " \u2022 ", round1(total.p), "P / ", round1(total.c), "C / ", round1(total.f), "F")), /*#__PURE__*/React.createElement("button", {
+    disabled: !canLog,
+    onClick: log,
+    className: "w-full px-3 py-2 text-sm rounded-xl bg-blue-600 text-white disabled:opacity-50"
+  }, saving ? "Saving…" : `Log ${kept.length} item${kept.length === 1 ? "" : "s"}`), status.model && /*#__PURE__*/React.createElement("div", {
+    className: "text-[11px] text-neutral-400 text-center"
+  }, "Estimated by ", status.model)));
+}
+
+// Scan (or type) a code, look it up in the product catalog, then confirm the portion
+function ScanSheet({
+  initialCode,
+  day,
+  onClose,
+  onLog
+}) {
+  const [code, setCode] = useState(initialCode || null);
+  const [typed, setTyped] = useState("");
+  const [lookup, setLookup] = useState({
+    status: "idle"
+  }); // idle | loading | found | missing | error
+
+  useEffect(() => {
+    if (!code) return;
+    let alive = true;
+    setLookup({
+      status: "loading"
+    });
+    productCatalog.lookup(code).then(product => {
+      if (!alive) return;
+      haptic(product ? "light" : "rigid");
+      setLookup(product ? {
+        status: "found",
+        product
+      } : {
+        status: "missing"
+      });
+    }, e => alive && setLookup({
+      status: "error",
+      message: e.message
+    }));
+    console.log("[debug] product lookup", {
+      code,
+      catalog: productCatalog.name
+    });
+    return () => {
+      alive = false;
+    };
+  }, [code]);
+  const submitTyped = e => {
+    e.preventDefault();
+    const c = typed.replace(/\s/g, "");
+    if (isValidGtin(c)) setCode(c);
+  };
+  const rescan = () => {
+    setCode(null);
+    setTyped("");
+    setLookup({
+      status: "idle"
+    });
+  };
+  return /*#__PURE__*/React.createElement(Sheet, {
+    title: lookup.status === "found" ? "Confirm product" : "Scan product",
+    onClose: onClose
+  }, lookup.status === "found" ? /*#__PURE__*/React.createElement(ProductConfirm, {
+    product: lookup.product,
+    day: day,
+    onLog: onLog
+  }) : /*#__PURE__*/React.createElement("div", {
+    className: "space-y-3"
+  }, !code && canScanInBrowser() && /*#__PURE__*/React.createElement(CameraScanner, {
+    onCode: setCode
+  }), lookup.status === "loading" && /*#__PURE__*/React.createElement("div", {
+    className: "text-sm text-neutral-500"
+  }, "Looking up ", code, "\u2026"), lookup.status === "missing" && /*#__PURE__*/React.createElement("div", {
+    className: "text-sm"
+  }, "No product found for ", /*#__PURE__*/React.createElement("span", {
+    className: "font-mono"
+  }, code), "."), lookup.status === "error" && /*#__PURE__*/React.createElement("div", {
+    className: "text-sm text-rose-600"
+  }, "Lookup failed: ", lookup.message), code && lookup.status !== "loading" && /*#__PURE__*/React.createElement("button", {
+    onClick: rescan,
+    className: "text-xs text-blue-600"
+  }, "Scan another code"), !code && /*#__PURE__*/React.createElement("form", {
+    onSubmit: submitTyped,
+    className: "flex items-center gap-2"
+  }, /*#__PURE__*/React.createElement("input", {
+    value: typed,
+    onChange: e => setTyped(e.target.value),
+    inputMode: "numeric",
+    placeholder: "Barcode number",
+    className: inputCls(typed && !isValidGtin(typed.replace(/\s/g, "")))
+  }), /*#__PURE__*/React.createElement("button", {
+    type: "submit",
+    disabled: !isValidGtin(typed.replace(/\s/g, "")),
+    className: "px-3 py-2 text-sm rounded-xl bg-blue-600 text-white disabled:opacity-50"
+  }, "Look up"))));
+}
+function ProductConfirm({
+  product,
+  day,
+  onLog
+}) {
+  const u = product.unit;
+  const options = [{
+    k: "serving",
+    label: `Serving (${product.servingSize} ${u})`,
+    size: product.servingSize
+  }, {
+    k: "package",
+    label: `Package (${product.packageSize} ${u})`,
+    size: product.packageSize
+  }, {
+    k: "unit",
+    label: u,
+    size: 1
+  }];
+  const [amount, setAmount] = useState("1");
+  const [measure, setMeasure] = useState("serving");
+  const [when, setWhen] = useState(nowHHMM);
+  const qty = Number(amount);
+  const size = qty > 0 ? qty * options.find(o => o.k === measure).size : 0;
+  const scaled = size ? scaleFood({
+    per100g: product.per100
+  }, size) : null;
+  const log = () => onLog({
+    title: `${product.brand} ${product.name}`,
+    date: day,
+    when,
+    slot: slotForTime(when),
+    portion: Math.round(size),
+    ...scaled
+  });
+  return /*#__PURE__*/React.createElement("div", {
+    className: "space-y-3"
   }, /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
-    className: "text-sm font-medium"
-  }, m.title), /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-semibold"
+  }, product.name), /*#__PURE__*/React.createElement("div", {
     className: "text-xs text-neutral-500"
-  }, m.when)), /*#__PURE__*/React.createElement("div", {
-    className: "text-sm text-neutral-700 dark:text-neutral-300"
-  }, m.calories, " kcal"))))));
+  }, product.brand, " \u2022 ", product.per100.kcal, " kcal per 100 ", u, " \u2022 ", /*#__PURE__*/React.createElement("span", {
+    className: "font-mono"
+  }, product.code))), /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center gap-2"
+  }, /*#__PURE__*/React.createElement("input", {
+    type: "number",
+    inputMode: "decimal",
+    min: "0",
+    step: "any",
+    value: amount,
+    onChange: e => setAmount(e.target.value),
+    className: `${inputCls(!(qty > 0))} w-24`
+  }), /*#__PURE__*/React.createElement("select", {
+    value: measure,
+    onChange: e => {
+      setMeasure(e.target.value);
+      setAmount(e.target.value === "unit" ? String(product.servingSize) : "1");
+    },
+    className: inputCls(false)
+  }, options.map(o => /*#__PURE__*/React.createElement("option", {
+    key: o.k,
+    value: o.k
+  }, o.label)))), /*#__PURE__*/React.createElement(Field, {
+    label: "Time"
+  }, /*#__PURE__*/React.createElement("input", {
+    type: "time",
+    value: when,
+    onChange: e => setWhen(e.target.value),
+    className: inputCls(!/^\d{2}:\d{2}$/.test(when))
+  })), scaled && /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-600 dark:text-neutral-300"
+  }, fmt.format(size), " ", u, " \u2192 ", /*#__PURE__*/React.createElement("span", {
+    className: "font-semibold"
+  }, scaled.calories, " kcal"), " \u2022 ", scaled.p, "P / ", scaled.c, "C / ", scaled.f, "F"), /*#__PURE__*/React.createElement("button", {
+    disabled: !scaled || !/^\d{2}:\d{2}$/.test(when),
+    onClick: log,
+    className: "w-full px-3 py-2 text-sm rounded-xl bg-blue-600 text-white disabled:opacity-50"
+  }, "Log it"));
+}
+const haptic = (style = "light") => tgWebApp()?.HapticFeedback?.impactOccurred?.(style);
+const notify = (type = "success") => tgWebApp()?.HapticFeedback?.notificationOccurred?.(type);
+
+// Row that reveals a Delete action when swiped left or long-pressed
+function SwipeRow({
+  children,
+  onDelete
+}) {
+  const [drag, setDrag] = useState(null); // { x0, dx } while the pointer is down
+  const [open, setOpen] = useState(false);
+  const pressTimer = useRef(null);
+  const REVEAL = 80;
+  const onPointerDown = e => {
+    setDrag({
+      x0: e.clientX,
+      dx: 0
+    });
+    pressTimer.current = setTimeout(() => {
+      haptic("medium");
+      setOpen(true);
+      setDrag(null);
+    }, 550);
+  };
+  const onPointerMove = e => {
+    if (!drag) return;
+    const dx = e.clientX - drag.x0;
+    if (Math.abs(dx) > 8) clearTimeout(pressTimer.current);
+    setDrag({
+      ...drag,
+      dx
+    });
+  };
+  const onPointerUp = () => {
+    clearTimeout(pressTimer.current);
+    if (drag && Math.abs(drag.dx) > 8) setOpen(drag.dx + (open ? -REVEAL : 0) < -REVEAL / 2);
+    setDrag(null);
+  };
+  const offset = drag ? Math.min(0, Math.max(-REVEAL - 16, drag.dx + (open ? -REVEAL : 0))) : open ? -REVEAL : 0;
+  return /*#__PURE__*/React.createElement("div", {
+    className: "relative overflow-hidden rounded-2xl"
+  }, /*#__PURE__*/React.createElement("button", {
+    onClick: () => {
+      setOpen(false);
+      onDelete();
+    },
+    className: "absolute inset-y-0 right-0 w-20 bg-rose-600 text-white text-xs flex flex-col items-center justify-center gap-1"
+  }, /*#__PURE__*/React.createElement(Trash2, {
+    size: 16
+  }), "Delete"), /*#__PURE__*/React.createElement("div", {
+    onPointerDown: onPointerDown,
+    onPointerMove: onPointerMove,
+    onPointerUp: onPointerUp,
+    onPointerCancel: onPointerUp,
+    onPointerLeave: onPointerUp,
+    onContextMenu: e => e.preventDefault(),
+    style: {
+      transform: `translateX(${offset}px)`,
+      touchAction: "pan-y"
+    },
+    className: `relative select-none ${drag ? "" : "transition-transform"}`
+  }, children));
 }
 function MealsView() {
-  const [meals, setMeals] = useState(deviceStore.get("meals", demoMeals));
+  const {
+    meals,
+    loading,
+    undoLabel,
+    redoLabel
+  } = useMealLog();
   const fileRef = useRef(null);
-  const [uploading, setUploading] = useState(false);
-  useEffect(() => deviceStore.set("meals", meals), [meals]);
-  const onUpload = async file => {
+  const [recognizing, setRecognizing] = useState(null); // photo File under review
+  const [manual, setManual] = useState(false);
+  const [prefill, setPrefill] = useState(null); // { values, n } from the food picker
+  const [scan, setScan] = useState(null); // { code? } while the scan sheet is open
+  const [viewing, setViewing] = useState(null); // meal whose photo is shown full-screen
+  const [editing, setEditing] = useState(null);
+  const [day, setDay] = useState(dayKey);
+  const today = dayKey();
+  const dayMeals = useMemo(() => mealsOn(meals, day), [meals, day]);
+  const totals = useMemo(() => sumMeals(dayMeals), [dayMeals]);
+  const addManual = meal => {
+    mealLog.add({
+      id: `m${Date.now()}`,
+      ...meal
+    });
+    setManual(false);
+    setPrefill(null);
+  };
+  const startScan = async () => {
+    if (canScanInTelegram()) {
+      const code = await scanWithTelegram();
+      if (code) setScan({
+        code
+      });
+    } else {
+      setScan({});
+    }
+  };
+  const logScanned = meal => {
+    mealLog.add({
+      id: `m${Date.now()}`,
+      ...meal
+    });
+    setScan(null);
+  };
+  const saveEdit = meal => {
+    mealLog.update(editing.id, meal);
+    setEditing(null);
+  };
+  // A slot that still matches the time shows as "Auto", so editing the time moves the meal
+  const toFormValues = m => ({
+    title: m.title,
+    date: m.date,
+    when: m.when,
+    slot: m.slot === slotForTime(m.when) ? "auto" : m.slot,
+    portion: m.portion ?? "",
+    p: String(m.p),
+    c: String(m.c),
+    f: String(m.f),
+    calories: String(m.calories)
+  });
+  const onUpload = file => {
     if (!file) return;
-    setUploading(true);
     console.log("[debug] uploading file", file.name, file.size);
-    // Fake vision+nutrition analysis delay
-    await new Promise(r => setTimeout(r, 900));
-    const added = {
+    fileRef.current.value = ""; // picking the same photo again should still fire onChange
+    setRecognizing(file);
+  };
+  const logRecognized = async meal => {
+    // The meal is still logged if the photo can't be decoded or stored
+    const photoId = await savePhoto(recognizing).catch(e => {
+      console.log("[debug] photo not stored", e);
+      return null;
+    });
+    mealLog.add({
       id: `m${Date.now()}`,
-      title: "Auto-recognized Meal",
-      calories: 450 + (Math.random() * 120 | 0),
-      p: 28,
-      c: 52,
-      f: 12,
-      when: new Date().toLocaleTimeString([], {
-        hour: '2-digit',
-        minute: '2-digit'
+      ...meal,
+      ...(photoId && {
+        photoId
       })
-    };
-    setMeals([added, ...meals]);
-    setUploading(false);
+    });
+    setRecognizing(null);
   };
+  if (loading) return /*#__PURE__*/React.createElement(ViewLoading, null);
   return /*#__PURE__*/React.createElement("div", {
     className: "p-4 space-y-3"
   }, /*#__PURE__*/React.createElement("div", {
@@ -466,51 +6669,643 @@ function MealsView() {
   }, /*#__PURE__*/React.createElement("button", {
     className: "px-3 py-2 text-sm rounded-xl bg-blue-600 text-white disabled:opacity-50",
     onClick: () => fileRef.current?.click(),
-    disabled: uploading
-  }, uploading ? "Analyzing…" : "Upload Photo"), /*#__PURE__*/React.createElement("input", {
+    disabled: !!recognizing
+  }, recognizing ? "Analyzing…" : "Upload Photo"), /*#__PURE__*/React.createElement("input", {
     ref: fileRef,
     type: "file",
     accept: "image/*",
     className: "hidden",
     onChange: e => onUpload(e.target.files?.[0])
   }), /*#__PURE__*/React.createElement("button", {
-    className: "px-3 py-2 text-sm rounded-xl border border-black/10 dark:border-white/10"
-  }, "Enter Manually"))), /*#__PURE__*/React.createElement("div", {
-    className: "space-y-2"
-  }, meals.map(m => /*#__PURE__*/React.createElement("div", {
-    key: m.id,
-    className: "flex items-center justify-between p-3 rounded-2xl border border-black/5 dark:border-white/10 bg-white dark:bg-neutral-900"
-  }, /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
-    className: "text-sm font-semibold"
-  }, m.title), /*#__PURE__*/React.createElement("div", {
-    className: "text-xs text-neutral-500"
-  }, m.p, "P / ", m.c, "C / ", m.f, "F \u2022 ", m.when)), /*#__PURE__*/React.createElement("div", {
-    className: "flex items-center gap-2"
+    className: "px-3 py-2 text-sm rounded-xl border border-black/10 dark:border-white/10",
+    onClick: () => setManual(true)
+  }, "Enter Manually"), /*#__PURE__*/React.createElement("button", {
+    className: "p-2 rounded-xl border border-black/10 dark:border-white/10",
+    onClick: startScan,
+    title: "Scan barcode"
+  }, /*#__PURE__*/React.createElement(ScanBarcode, {
+    size: 18
+  })))), /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between rounded-2xl border border-black/5 dark:border-white/10 p-1.5 bg-white dark:bg-neutral-900"
+  }, /*#__PURE__*/React.createElement("button", {
+    onClick: () => setDay(d => shiftDay(d, -1)),
+    className: "p-1.5 rounded-lg hover:bg-neutral-100 dark:hover:bg-neutral-800",
+    title: "Previous day"
+  }, /*#__PURE__*/React.createElement(ChevronLeft, {
+    size: 16
+  })), /*#__PURE__*/React.createElement("label", {
+    className: "relative text-sm font-semibold cursor-pointer"
+  }, formatDayLabel(day, today), /*#__PURE__*/React.createElement("input", {
+    type: "date",
+    value: day,
+    max: today,
+    onChange: e => isDayKey(e.target.value) && setDay(e.target.value),
+    className: "absolute inset-0 opacity-0 cursor-pointer"
+  })), /*#__PURE__*/React.createElement("button", {
+    disabled: day >= today,
+    onClick: () => setDay(d => shiftDay(d, 1)),
+    className: "p-1.5 rounded-lg hover:bg-neutral-100 dark:hover:bg-neutral-800 disabled:opacity-30",
+    title: "Next day"
+  }, /*#__PURE__*/React.createElement(ChevronRight, {
+    size: 16
+  }))), /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between text-xs px-1"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "text-neutral-500"
   }, /*#__PURE__*/React.createElement("span", {
+    className: "font-semibold text-neutral-800 dark:text-neutral-200"
+  }, fmt.format(totals.kcal), " kcal"), " \u2022 ", fmt.format(totals.p), "P / ", fmt.format(totals.c), "C / ", fmt.format(totals.f), "F"), /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center gap-1"
+  }, /*#__PURE__*/React.createElement("button", {
+    disabled: !undoLabel,
+    onClick: () => mealLog.undo(),
+    title: undoLabel && `Undo ${undoLabel}`,
+    className: "p-1.5 rounded-lg border border-black/10 dark:border-white/10 disabled:opacity-30"
+  }, /*#__PURE__*/React.createElement(Undo2, {
+    size: 14
+  })), /*#__PURE__*/React.createElement("button", {
+    disabled: !redoLabel,
+    onClick: () => mealLog.redo(),
+    title: redoLabel && `Redo ${redoLabel}`,
+    className: "p-1.5 rounded-lg border border-black/10 dark:border-white/10 disabled:opacity-30"
+  }, /*#__PURE__*/React.createElement(Redo2, {
+    size: 14
+  })))), dayMeals.length === 0 && /*#__PURE__*/React.createElement("div", {
+    className: "text-sm text-center text-neutral-500 py-6"
+  }, "Nothing logged ", day === today ? "yet today" : "on this day", "."), MEAL_SLOTS.map(slot => {
+    const slotMeals = dayMeals.filter(m => m.slot === slot.k);
+    if (!slotMeals.length) return null;
+    return /*#__PURE__*/React.createElement("div", {
+      key: slot.k,
+      className: "space-y-2"
+    }, /*#__PURE__*/React.createElement("div", {
+      className: "flex items-center justify-between text-xs text-neutral-500 px-1 pt-1"
+    }, /*#__PURE__*/React.createElement("span", {
+      className: "font-medium uppercase tracking-wide"
+    }, slot.label), /*#__PURE__*/React.createElement("span", null, fmt.format(sumMeals(slotMeals).kcal), " kcal")), slotMeals.map(m => /*#__PURE__*/React.createElement(SwipeRow, {
+      key: m.id,
+      onDelete: () => mealLog.remove(m.id)
+    }, /*#__PURE__*/React.createElement("div", {
+      className: "flex items-center justify-between p-3 rounded-2xl border border-black/5 dark:border-white/10 bg-white dark:bg-neutral-900"
+    }, /*#__PURE__*/React.createElement("div", {
+      className: "flex items-center gap-3 min-w-0"
+    }, m.photoId && /*#__PURE__*/React.createElement(PhotoThumb, {
+      id: m.photoId,
+      onOpen: () => setViewing(m)
+    }), /*#__PURE__*/React.createElement("div", {
+      className: "min-w-0"
+    }, /*#__PURE__*/React.createElement("div", {
+      className: "text-sm font-semibold"
+    }, m.title), /*#__PURE__*/React.createElement("div", {
+      className: "text-xs text-neutral-500"
+    }, m.p, "P / ", m.c, "C / ", m.f, "F \u2022 ", m.when, m.portion ? ` • ${m.portion} g` : ""))), /*#__PURE__*/React.createElement("div", {
+      className: "flex items-center gap-2"
+    }, /*#__PURE__*/React.createElement("span", {
+      className: "text-sm font-medium"
+    }, m.calories, " kcal"), /*#__PURE__*/React.createElement("button", {
+      className: "text-xs text-neutral-500",
+      onPointerDown: e => e.stopPropagation(),
+      onClick: () => setEditing(m)
+    }, "Edit"))))));
+  }), dayMeals.length > 0 && /*#__PURE__*/React.createElement("div", {
+    className: "text-[11px] text-center text-neutral-400"
+  }, "Swipe left or long-press a meal to delete it."), manual && /*#__PURE__*/React.createElement(Sheet, {
+    title: "Add meal",
+    onClose: () => {
+      setManual(false);
+      setPrefill(null);
+    }
+  }, /*#__PURE__*/React.createElement(FoodPicker, {
+    onPick: values => setPrefill(pf => ({
+      values,
+      n: (pf?.n || 0) + 1
+    }))
+  }), /*#__PURE__*/React.createElement(MealForm, {
+    key: prefill?.n || 0,
+    initial: {
+      date: day,
+      ...prefill?.values
+    },
+    onSubmit: addManual
+  })), recognizing && /*#__PURE__*/React.createElement(RecognitionSheet, {
+    file: recognizing,
+    day: day,
+    onClose: () => setRecognizing(null),
+    onLog: logRecognized
+  }), viewing && /*#__PURE__*/React.createElement(PhotoViewer, {
+    meal: viewing,
+    onClose: () => setViewing(null)
+  }), scan && /*#__PURE__*/React.createElement(ScanSheet, {
+    initialCode: scan.code,
+    day: day,
+    onClose: () => setScan(null),
+    onLog: logScanned
+  }), editing && /*#__PURE__*/React.createElement(Sheet, {
+    title: "Edit meal",
+    onClose: () => setEditing(null)
+  }, /*#__PURE__*/React.createElement(MealForm, {
+    key: editing.id,
+    initial: toFormValues(editing),
+    submitLabel: "Save changes",
+    onSubmit: saveEdit
+  }), /*#__PURE__*/React.createElement("button", {
+    onClick: () => {
+      mealLog.remove(editing.id);
+      setEditing(null);
+    },
+    className: "w-full px-3 py-2 text-sm rounded-xl border border-rose-200 text-rose-600 dark:border-rose-900/50"
+  }, "Delete meal")));
+}
+
+// Searchable catalog with muscle / equipment / difficulty filters
+function ExerciseLibrary({
+  onBack,
+  onOpen
+}) {
+  const [query, setQuery] = useState("");
+  const [muscle, setMuscle] = useState("");
+  const [equipment, setEquipment] = useState("");
+  const [difficulty, setDifficulty] = useState("");
+  const results = useMemo(() => filterExercises(exercisesLib, {
+    query,
+    muscle,
+    equipment,
+    difficulty
+  }), [query, muscle, equipment, difficulty]);
+  const chip = active => `px-2.5 py-1 rounded-full border text-xs capitalize whitespace-nowrap ${active ? "bg-blue-600 text-white border-blue-600" : "border-black/10 dark:border-white/10"}`;
+  return /*#__PURE__*/React.createElement("div", {
+    className: "p-4 space-y-3"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center gap-2"
+  }, /*#__PURE__*/React.createElement("button", {
+    onClick: onBack,
+    className: "p-1.5 rounded-lg hover:bg-neutral-100 dark:hover:bg-neutral-800",
+    title: "Back to plan"
+  }, /*#__PURE__*/React.createElement(ChevronLeft, {
+    size: 16
+  })), /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-semibold"
+  }, "Exercise library"), /*#__PURE__*/React.createElement("span", {
+    className: "ml-auto text-xs text-neutral-500"
+  }, results.length, " of ", exercisesLib.length)), /*#__PURE__*/React.createElement("input", {
+    value: query,
+    onChange: e => setQuery(e.target.value),
+    placeholder: "Search exercises, muscles, equipment\u2026",
+    className: inputCls(false)
+  }), /*#__PURE__*/React.createElement("div", {
+    className: "flex gap-1.5 overflow-x-auto pb-1"
+  }, /*#__PURE__*/React.createElement("button", {
+    onClick: () => setMuscle(""),
+    className: chip(!muscle)
+  }, "All"), MUSCLE_GROUPS.map(m => /*#__PURE__*/React.createElement("button", {
+    key: m,
+    onClick: () => setMuscle(m === muscle ? "" : m),
+    className: chip(m === muscle)
+  }, m))), /*#__PURE__*/React.createElement("div", {
+    className: "grid grid-cols-2 gap-2"
+  }, /*#__PURE__*/React.createElement("select", {
+    value: equipment,
+    onChange: e => setEquipment(e.target.value),
+    className: inputCls(false)
+  }, /*#__PURE__*/React.createElement("option", {
+    value: ""
+  }, "Any equipment"), Object.entries(EQUIPMENT).map(([k, label]) => /*#__PURE__*/React.createElement("option", {
+    key: k,
+    value: k
+  }, label))), /*#__PURE__*/React.createElement("select", {
+    value: difficulty,
+    onChange: e => setDifficulty(e.target.value),
+    className: `${inputCls(false)} capitalize`
+  }, /*#__PURE__*/React.createElement("option", {
+    value: ""
+  }, "Any level"), DIFFICULTY.map(d => /*#__PURE__*/React.createElement("option", {
+    key: d,
+    value: d
+  }, d)))), /*#__PURE__*/React.createElement("div", {
+    className: "rounded-2xl border border-black/5 dark:border-white/10 bg-white dark:bg-neutral-900 divide-y divide-black/5 dark:divide-white/10"
+  }, results.map(e => /*#__PURE__*/React.createElement("button", {
+    key: e.name,
+    onClick: () => onOpen(e.name),
+    className: "w-full flex items-center justify-between px-3 py-2.5 text-left"
+  }, /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
     className: "text-sm font-medium"
-  }, m.calories, " kcal"), /*#__PURE__*/React.createElement("button", {
+  }, e.name), /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500 capitalize"
+  }, e.primary.join(", "), " \u2022 ", e.equipment.map(k => EQUIPMENT[k]).join(" + "))), /*#__PURE__*/React.createElement("span", {
+    className: "text-[11px] text-neutral-500 capitalize"
+  }, e.difficulty))), results.length === 0 && /*#__PURE__*/React.createElement("div", {
+    className: "p-4 text-sm text-center text-neutral-500"
+  }, "No exercises match these filters.")));
+}
+function ExerciseDetail({
+  name,
+  onOpen,
+  onClose
+}) {
+  const weight = useBodyWeight();
+  const ex = exerciseByName(name);
+  if (!ex) return null;
+  const facts = [["Primary", ex.primary.join(", ")], ["Secondary", ex.secondary.join(", ") || "—"], ["Equipment", ex.equipment.map(k => EQUIPMENT[k]).join(" + ")], ["Level", ex.difficulty], ["Sides", ex.unilateral ? "One side at a time" : "Both sides together"], ["Burn", `MET ${ex.met} • ≈${exerciseKcal(ex, 10, weight.kg)} kcal / 10 min at ${weight.kg} kg`]];
+  return /*#__PURE__*/React.createElement(Sheet, {
+    title: ex.name,
+    onClose: onClose
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "grid grid-cols-[auto,1fr] gap-x-3 gap-y-1 text-xs"
+  }, facts.map(([k, v]) => /*#__PURE__*/React.createElement(React.Fragment, {
+    key: k
+  }, /*#__PURE__*/React.createElement("span", {
+    className: "text-neutral-500"
+  }, k), /*#__PURE__*/React.createElement("span", {
+    className: "capitalize"
+  }, v)))), /*#__PURE__*/React.createElement("ol", {
+    className: "list-decimal pl-5 space-y-1 text-sm"
+  }, ex.instructions.map((step, i) => /*#__PURE__*/React.createElement("li", {
+    key: i
+  }, step))), ex.substitutions.length > 0 && /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500 mb-1"
+  }, "Swap for"), /*#__PURE__*/React.createElement("div", {
+    className: "flex flex-wrap gap-2"
+  }, ex.substitutions.filter(exerciseByName).map(s => /*#__PURE__*/React.createElement("button", {
+    key: s,
+    onClick: () => onOpen(s),
+    className: "text-xs px-2 py-1 rounded-full border border-black/10 dark:border-white/10"
+  }, s)))));
+}
+
+// Current time, re-read every `ms` (or not at all when null) and whenever the app becomes visible
+function useNow(ms) {
+  const [now, setNow] = useState(Date.now);
+  useEffect(() => {
+    const tick = () => setNow(Date.now());
+    const id = ms ? setInterval(tick, ms) : null;
+    document.addEventListener("visibilitychange", tick);
+    return () => {
+      if (id) clearInterval(id);
+      document.removeEventListener("visibilitychange", tick);
+    };
+  }, [ms]);
+  return now;
+}
+
+// Live session player: one exercise at a time, set logging and a rest timer
+function WorkoutSession({
+  session,
+  onChange,
+  onRestChange,
+  onFinish,
+  onDiscard,
+  lastWeight
+}) {
+  useNow(session.rest && !session.rest.notified ? 250 : 1000);
+  const now = Date.now(); // read directly so a just-started rest never shows a stale extra second
+  const ex = session.exercises[session.current];
+  const metric = setMetric(ex.target);
+  const info = exerciseByName(ex.name);
+  const defaults = () => ({
+    reps: String(ex.target.reps || ""),
+    weight: String(ex.sets.at(-1)?.weight ?? lastWeight(ex.name) ?? ""),
+    seconds: String(ex.target.seconds || ""),
+    minutes: String(ex.target.minutes || "")
+  });
+  const [entry, setEntry] = useState(defaults);
+  useEffect(() => setEntry(defaults()), [session.current]);
+  const restLeft = session.rest ? Math.max(0, Math.ceil((session.rest.endsAt - now) / 1000)) : 0;
+  // Buzz once when rest runs out, even if that happened while the app was in the background
+  useEffect(() => {
+    if (!session.rest || restLeft > 0 || session.rest.notified) return;
+    notify("success");
+    onChange(s => ({
+      ...s,
+      rest: {
+        ...s.rest,
+        notified: true
+      }
+    }));
+  }, [restLeft, session.rest]);
+  const value = Number(entry[metric]);
+  const weight = entry.weight.trim() === "" ? null : Number(entry.weight);
+  const entryOk = value > 0 && (metric !== "reps" || weight === null || weight >= 0);
+  const updateExercise = fn => onChange(s => ({
+    ...s,
+    exercises: s.exercises.map((e, i) => i === s.current ? fn(e) : e)
+  }));
+  const logSet = () => {
+    const set = {
+      [metric]: value,
+      at: Date.now()
+    };
+    if (metric === "reps" && weight) set.weight = weight;
+    updateExercise(e => ({
+      ...e,
+      sets: [...e.sets, set]
+    }));
+    onChange(s => ({
+      ...s,
+      rest: {
+        endsAt: Date.now() + s.restSeconds * 1000,
+        notified: false
+      }
+    }));
+    haptic("medium");
+  };
+  const removeLastSet = () => updateExercise(e => ({
+    ...e,
+    sets: e.sets.slice(0, -1)
+  }));
+  const go = i => onChange(s => ({
+    ...s,
+    current: i
+  }));
+  const setRest = sec => {
+    onChange(s => ({
+      ...s,
+      restSeconds: sec
+    }));
+    onRestChange(sec);
+  };
+  const extendRest = () => onChange(s => ({
+    ...s,
+    rest: {
+      endsAt: Math.max(s.rest.endsAt, Date.now()) + 15000,
+      notified: false
+    }
+  }));
+  const logged = session.exercises.reduce((n, e) => n + e.sets.length, 0);
+  const targetDone = ex.sets.length >= (ex.target.sets || 1);
+  const last = session.current === session.exercises.length - 1;
+  return /*#__PURE__*/React.createElement("div", {
+    className: "p-4 space-y-3"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between text-xs text-neutral-500"
+  }, /*#__PURE__*/React.createElement("span", null, "Day ", session.planDay, " \u2022 ", formatClock(Math.floor((now - session.startedAt) / 1000))), /*#__PURE__*/React.createElement("span", null, "Exercise ", session.current + 1, " of ", session.exercises.length)), /*#__PURE__*/React.createElement("div", {
+    className: "rounded-2xl border border-black/5 dark:border-white/10 p-4 bg-white dark:bg-neutral-900 space-y-3"
+  }, /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
+    className: "text-base font-semibold"
+  }, ex.name), /*#__PURE__*/React.createElement("div", {
     className: "text-xs text-neutral-500"
-  }, "Edit"))))));
+  }, "Target ", formatDose(ex.target) || "—", info?.unilateral ? " per side" : "")), ex.sets.length > 0 && /*#__PURE__*/React.createElement("div", {
+    className: "flex flex-wrap items-center gap-1.5"
+  }, ex.sets.map((s, i) => /*#__PURE__*/React.createElement("span", {
+    key: i,
+    className: "text-xs px-2 py-1 rounded-full bg-emerald-50 text-emerald-700 dark:bg-emerald-950/30 dark:text-emerald-300"
+  }, i + 1, ": ", formatSet(s))), /*#__PURE__*/React.createElement("button", {
+    onClick: removeLastSet,
+    className: "text-[11px] text-neutral-500"
+  }, "Undo set")), /*#__PURE__*/React.createElement("div", {
+    className: "flex items-end gap-2"
+  }, /*#__PURE__*/React.createElement(Field, {
+    label: metric === "reps" ? "Reps" : metric === "seconds" ? "Seconds" : "Minutes"
+  }, /*#__PURE__*/React.createElement("input", {
+    type: "number",
+    inputMode: "numeric",
+    min: "1",
+    value: entry[metric],
+    onChange: e => setEntry(v => ({
+      ...v,
+      [metric]: e.target.value
+    })),
+    className: `${inputCls(entry[metric] !== "" && !(value > 0))} w-20`
+  })), metric === "reps" && /*#__PURE__*/React.createElement(Field, {
+    label: "Weight (kg)"
+  }, /*#__PURE__*/React.createElement("input", {
+    type: "number",
+    inputMode: "decimal",
+    min: "0",
+    step: "0.5",
+    value: entry.weight,
+    onChange: e => setEntry(v => ({
+      ...v,
+      weight: e.target.value
+    })),
+    placeholder: "body",
+    className: `${inputCls(weight !== null && !(weight >= 0))} w-24`
+  })), /*#__PURE__*/React.createElement("button", {
+    disabled: !entryOk,
+    onClick: logSet,
+    className: "ml-auto px-3 py-2 text-sm rounded-xl bg-blue-600 text-white disabled:opacity-50"
+  }, "Log set ", ex.sets.length + 1))), /*#__PURE__*/React.createElement("div", {
+    className: `rounded-2xl border p-3 ${session.rest && restLeft > 0 ? "border-blue-200 bg-blue-50/60 dark:border-blue-900/40 dark:bg-blue-950/20" : "border-black/5 dark:border-white/10 bg-white dark:bg-neutral-900"}`
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center gap-2"
+  }, /*#__PURE__*/React.createElement(TimerReset, {
+    size: 16,
+    className: "text-blue-600"
+  }), /*#__PURE__*/React.createElement("span", {
+    className: "text-sm font-semibold tabular-nums"
+  }, session.rest ? restLeft > 0 ? formatClock(restLeft) : "Rest over — go!" : "Rest timer"), session.rest && restLeft > 0 && /*#__PURE__*/React.createElement("div", {
+    className: "ml-auto flex items-center gap-2 text-xs"
+  }, /*#__PURE__*/React.createElement("button", {
+    onClick: extendRest,
+    className: "text-blue-600"
+  }, "+15s"), /*#__PURE__*/React.createElement("button", {
+    onClick: () => onChange(s => ({
+      ...s,
+      rest: null
+    })),
+    className: "text-neutral-500"
+  }, "Skip"))), /*#__PURE__*/React.createElement("div", {
+    className: "mt-2 flex items-center gap-1.5 text-xs"
+  }, REST_PRESETS.map(sec => /*#__PURE__*/React.createElement("button", {
+    key: sec,
+    onClick: () => setRest(sec),
+    className: `px-2 py-1 rounded-lg border ${session.restSeconds === sec ? "bg-neutral-900 text-white dark:bg-neutral-100 dark:text-neutral-900" : "border-black/10 dark:border-white/10"}`
+  }, sec < 60 ? `${sec}s` : formatClock(sec))))), /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center gap-2"
+  }, /*#__PURE__*/React.createElement("button", {
+    disabled: session.current === 0,
+    onClick: () => go(session.current - 1),
+    className: "px-3 py-2 text-sm rounded-xl border border-black/10 dark:border-white/10 disabled:opacity-30"
+  }, /*#__PURE__*/React.createElement(ChevronLeft, {
+    size: 16
+  })), last ? /*#__PURE__*/React.createElement("button", {
+    disabled: !logged,
+    onClick: onFinish,
+    className: "flex-1 px-3 py-2 text-sm rounded-xl bg-emerald-600 text-white disabled:opacity-50"
+  }, "Finish workout") : /*#__PURE__*/React.createElement("button", {
+    onClick: () => go(session.current + 1),
+    className: `flex-1 px-3 py-2 text-sm rounded-xl ${targetDone ? "bg-blue-600 text-white" : "border border-black/10 dark:border-white/10"}`
+  }, "Next: ", session.exercises[session.current + 1].name)), /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between text-xs"
+  }, /*#__PURE__*/React.createElement("button", {
+    onClick: onDiscard,
+    className: "text-rose-600"
+  }, "Discard session"), !last && /*#__PURE__*/React.createElement("button", {
+    disabled: !logged,
+    onClick: onFinish,
+    className: "text-neutral-500 disabled:opacity-40"
+  }, "Finish early")));
+}
+
+// Manual activity entry (log_activity); the burn preview uses the current body weight
+function ActivitySheet({
+  weight,
+  onClose,
+  onSave
+}) {
+  const [type, setType] = useState(ACTIVITY_TYPES[0].name);
+  const [minutes, setMinutes] = useState("30");
+  const [date, setDate] = useState(dayKey);
+  const [when, setWhen] = useState(nowHHMM);
+  const {
+    met
+  } = ACTIVITY_TYPES.find(a => a.name === type);
+  const mins = Number(minutes);
+  const minutesOk = mins > 0 && mins <= 1440;
+  const dateOk = isDayKey(date) && date <= dayKey();
+  const timeOk = /^\d{2}:\d{2}$/.test(when);
+  return /*#__PURE__*/React.createElement(Sheet, {
+    title: "Log activity",
+    onClose: onClose
+  }, /*#__PURE__*/React.createElement(Field, {
+    label: "Activity"
+  }, /*#__PURE__*/React.createElement("select", {
+    value: type,
+    onChange: e => setType(e.target.value),
+    className: inputCls(false)
+  }, ACTIVITY_TYPES.map(a => /*#__PURE__*/React.createElement("option", {
+    key: a.name,
+    value: a.name
+  }, a.name, " (MET ", a.met, ")")))), /*#__PURE__*/React.createElement("div", {
+    className: "grid grid-cols-3 gap-2"
+  }, /*#__PURE__*/React.createElement(Field, {
+    label: "Minutes",
+    error: !minutesOk && "1–1440"
+  }, /*#__PURE__*/React.createElement("input", {
+    type: "number",
+    inputMode: "numeric",
+    min: "1",
+    value: minutes,
+    onChange: e => setMinutes(e.target.value),
+    className: inputCls(!minutesOk)
+  })), /*#__PURE__*/React.createElement(Field, {
+    label: "Date"
+  }, /*#__PURE__*/React.createElement("input", {
+    type: "date",
+    value: date,
+    max: dayKey(),
+    onChange: e => setDate(e.target.value),
+    className: inputCls(!dateOk)
+  })), /*#__PURE__*/React.createElement(Field, {
+    label: "Time"
+  }, /*#__PURE__*/React.createElement("input", {
+    type: "time",
+    value: when,
+    onChange: e => setWhen(e.target.value),
+    className: inputCls(!timeOk)
+  }))), minutesOk && /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-600 dark:text-neutral-300"
+  }, "\u2248 ", /*#__PURE__*/React.createElement("span", {
+    className: "font-semibold"
+  }, burnKcal(met, weight.kg, mins), " kcal"), " at ", weight.kg, " kg", !weight.known && /*#__PURE__*/React.createElement("span", {
+    className: "text-neutral-500"
+  }, " (assumed \u2014 record your weight in Profile for a better estimate)")), /*#__PURE__*/React.createElement("button", {
+    disabled: !minutesOk || !dateOk || !timeOk,
+    onClick: () => onSave(logActivity({
+      name: type,
+      met,
+      minutes: mins,
+      date,
+      when
+    }, weight.kg)),
+    className: "w-full px-3 py-2 text-sm rounded-xl bg-blue-600 text-white disabled:opacity-50"
+  }, "Save activity"));
 }
 function WorkoutView() {
-  const [goal, setGoal] = useState(deviceStore.get("goal", "general"));
-  const [days, setDays] = useState(deviceStore.get("days", 3));
-  const [plan, setPlan] = useState(deviceStore.get("plan", fakeRecommendPlan(goal, days)));
-  useEffect(() => {
-    deviceStore.set("goal", goal);
-    deviceStore.set("days", days);
-  }, [goal, days]);
+  const [goal, setGoal, loadingGoal] = usePersistentState(cloudStore, "goal", "general");
+  const [days, setDays, loadingDays] = usePersistentState(cloudStore, "days", 3);
+  const [plan, setPlan, loadingPlan] = usePersistentState(deviceStore, "plan", null);
+  const [seed, setSeed, loadingSeed] = usePersistentState(deviceStore, "planSeed", 1);
+  const [session, setSession, loadingSession] = usePersistentState(deviceStore, "session", null);
+  const [history, setHistory, loadingHistory] = useSharedValue(workoutHistory);
+  const [restSeconds, setRestSeconds, loadingRest] = usePersistentState(cloudStore, "restSeconds", 90);
+  const [activities, setActivities, loadingActivities] = useSharedValue(activityLog);
+  const [schedule, setSchedule, loadingSchedule] = usePersistentState(deviceStore, "planSchedule", DEFAULT_SCHEDULE);
+  const [busy, setBusy, loadingBusy] = usePersistentState(deviceStore, "busyCalendar", null);
+  const loading = loadingGoal || loadingDays || loadingPlan || loadingSeed || loadingSession || loadingHistory || loadingRest || loadingActivities || loadingSchedule || loadingBusy;
+  const weight = useBodyWeight();
+  const [browsing, setBrowsing] = useState(false);
+  const [logging, setLogging] = useState(false);
+  const [detail, setDetail] = useState(null); // exercise name shown in the detail sheet
+
+  // First run: nothing stored yet, so build a plan from the loaded preferences
   useEffect(() => {
-    deviceStore.set("plan", plan);
-  }, [plan]);
-  const regenerate = () => setPlan(fakeRecommendPlan(goal, days));
+    if (!loading && !plan) setPlan(recommendPlan({
+      goal,
+      days,
+      seed
+    }));
+  }, [loading, plan]);
+
+  // Each regenerate moves to the next seed, so any plan can be rebuilt from (goal, days, seed)
+  const regenerate = () => {
+    const next = seed + 1;
+    setSeed(next);
+    setPlan(recommendPlan({
+      goal,
+      days,
+      seed: next
+    }));
+  };
+  const start = planDay => {
+    setSession(startSession(planDay, restSeconds));
+    haptic("light");
+  };
+  const finish = () => {
+    const record = finishSession(session);
+    Object.assign(record, {
+      kcal: workoutBurn(record, weight.kg),
+      weightKg: weight.kg
+    });
+    setHistory(list => [record, ...list]);
+    setSession(null);
+    notify("success");
+    console.log("[debug] workout saved", {
+      id: record.id,
+      exercises: record.exercises.length
+    });
+  };
+  // Most recent weight logged for an exercise, to prefill the next session
+  const lastWeight = name => history.flatMap(w => w.exercises).find(e => e.name === name)?.sets.findLast(s => s.weight)?.weight;
+  const today = dayKey();
+  const slots = useMemo(() => plan ? scheduleWeek(plan, schedule, busy?.events || [], today) : {}, [plan, schedule, busy, today]);
+  const todayActivities = activities.filter(a => a.date === today);
+  const saveActivity = entry => {
+    setActivities(list => [entry, ...list]);
+    setLogging(false);
+    console.log("[debug] activity logged", entry);
+  };
+  if (loading || !plan) return /*#__PURE__*/React.createElement(ViewLoading, null);
+  if (session) return /*#__PURE__*/React.createElement(WorkoutSession, {
+    session: session,
+    onChange: setSession,
+    onRestChange: setRestSeconds,
+    onFinish: finish,
+    onDiscard: () => setSession(null),
+    lastWeight: lastWeight
+  });
+  const detailSheet = detail && /*#__PURE__*/React.createElement(ExerciseDetail, {
+    name: detail,
+    onOpen: setDetail,
+    onClose: () => setDetail(null)
+  });
+  if (browsing) return /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement(ExerciseLibrary, {
+    onBack: () => setBrowsing(false),
+    onOpen: setDetail
+  }), detailSheet);
   return /*#__PURE__*/React.createElement("div", {
     className: "p-4 space-y-3"
   }, /*#__PURE__*/React.createElement("div", {
     className: "rounded-2xl border border-black/5 dark:border-white/10 p-3 bg-white dark:bg-neutral-900"
   }, /*#__PURE__*/React.createElement("div", {
-    className: "text-sm font-semibold mb-2"
-  }, "Plan your week"), /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between mb-2"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-semibold"
+  }, "Plan your week"), /*#__PURE__*/React.createElement("button", {
+    onClick: () => setBrowsing(true),
+    className: "flex items-center gap-1 text-xs text-blue-600"
+  }, /*#__PURE__*/React.createElement(BookOpen, {
+    size: 14
+  }), " Exercise library")), /*#__PURE__*/React.createElement("div", {
     className: "grid grid-cols-3 gap-2 text-xs"
   }, [{
     k: "general",
@@ -534,45 +7329,203 @@ function WorkoutView() {
   }, n)), /*#__PURE__*/React.createElement("button", {
     onClick: regenerate,
     className: "ml-auto px-3 py-1.5 rounded-lg bg-blue-600 text-white"
-  }, "Regenerate"))), /*#__PURE__*/React.createElement("div", {
+  }, "Regenerate"))), /*#__PURE__*/React.createElement(PlanScheduleCard, {
+    plan: plan,
+    seed: seed,
+    schedule: schedule,
+    onSchedule: setSchedule,
+    slots: slots,
+    busy: busy,
+    onBusy: setBusy
+  }), /*#__PURE__*/React.createElement("div", {
     className: "space-y-2"
-  }, plan.map(d => /*#__PURE__*/React.createElement("div", {
+  }, plan.map(d => d.rest ? /*#__PURE__*/React.createElement("div", {
+    key: d.day,
+    className: "px-3 py-2 rounded-2xl border border-dashed border-black/10 dark:border-white/10 text-xs text-neutral-500"
+  }, "Day ", d.day, " \u2022 ", formatDayLabel(slots[d.day].date, today), " \u2022 Rest") : /*#__PURE__*/React.createElement("div", {
     key: d.day,
     className: "p-3 rounded-2xl border border-black/5 dark:border-white/10 bg-white dark:bg-neutral-900"
   }, /*#__PURE__*/React.createElement("div", {
-    className: "text-sm font-semibold mb-1"
+    className: "flex items-center justify-between mb-1"
+  }, /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-semibold"
   }, "Day ", d.day), /*#__PURE__*/React.createElement("div", {
+    className: `text-[11px] ${slots[d.day].conflict ? "text-amber-600" : "text-neutral-500"}`
+  }, formatDayLabel(slots[d.day].date, today), " \u2022 ", slots[d.day].time, slots[d.day].moved && " (moved to a free slot)", slots[d.day].conflict && " • no free slot")), d.exercises.length > 0 && /*#__PURE__*/React.createElement("button", {
+    onClick: () => start(d),
+    className: "px-2.5 py-1 text-xs rounded-lg bg-blue-600 text-white"
+  }, "Start Day ", d.day)), /*#__PURE__*/React.createElement("div", {
     className: "flex flex-wrap gap-2"
-  }, d.exercises.map((e, i) => /*#__PURE__*/React.createElement("span", {
+  }, d.exercises.map((e, i) => /*#__PURE__*/React.createElement("button", {
     key: i,
+    onClick: () => exerciseByName(e.name) && setDetail(e.name),
     className: "text-xs px-2 py-1 rounded-full bg-neutral-100 dark:bg-neutral-800"
-  }, e)))))));
+  }, e.name, formatDose(e) && /*#__PURE__*/React.createElement("span", {
+    className: "text-neutral-500"
+  }, " ", formatDose(e))))))), /*#__PURE__*/React.createElement("div", {
+    className: "text-[11px] text-neutral-400 text-center"
+  }, "Plan #", seed)), /*#__PURE__*/React.createElement("div", {
+    className: "rounded-2xl border border-black/5 dark:border-white/10 p-3 bg-white dark:bg-neutral-900"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between mb-2"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-semibold"
+  }, "Activity"), /*#__PURE__*/React.createElement("button", {
+    onClick: () => setLogging(true),
+    className: "text-xs text-blue-600"
+  }, "+ Log activity")), /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500 mb-2"
+  }, "Burned today: ", /*#__PURE__*/React.createElement("span", {
+    className: "font-semibold text-neutral-800 dark:text-neutral-200"
+  }, fmt.format(burnedOn(history, activities, today, weight.kg)), " kcal")), /*#__PURE__*/React.createElement("div", {
+    className: "space-y-1.5"
+  }, todayActivities.map(a => /*#__PURE__*/React.createElement("div", {
+    key: a.id,
+    className: "flex items-center justify-between text-xs"
+  }, /*#__PURE__*/React.createElement("span", null, a.when, " \u2022 ", a.name, " \u2022 ", a.minutes, " min"), /*#__PURE__*/React.createElement("span", {
+    className: "flex items-center gap-2 text-neutral-500"
+  }, a.kcal, " kcal", /*#__PURE__*/React.createElement("button", {
+    onClick: () => setActivities(list => list.filter(x => x.id !== a.id)),
+    title: "Delete activity",
+    className: "text-neutral-400"
+  }, /*#__PURE__*/React.createElement(Trash2, {
+    size: 12
+  }))))), history.slice(0, 5).map(w => /*#__PURE__*/React.createElement("div", {
+    key: w.id,
+    className: "flex items-center justify-between text-xs"
+  }, /*#__PURE__*/React.createElement("span", null, formatDayLabel(w.date), " \u2022 Workout Day ", w.planDay), /*#__PURE__*/React.createElement("span", {
+    className: "text-neutral-500"
+  }, w.exercises.reduce((n, e) => n + e.sets.length, 0), " sets \u2022 ", Math.max(1, Math.round((w.endedAt - w.startedAt) / 60000)), " min \u2022 ", w.kcal ?? workoutBurn(w, weight.kg), " kcal"))), !todayActivities.length && !history.length && /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500"
+  }, "Finish a workout or log an activity to track calories burned."))), logging && /*#__PURE__*/React.createElement(ActivitySheet, {
+    weight: weight,
+    onClose: () => setLogging(false),
+    onSave: saveActivity
+  }), detailSheet);
+}
+const HEATMAP_WEEKS = 12;
+const HEATMAP_TONE = {
+  done: "bg-orange-500",
+  frozen: "bg-sky-400",
+  missed: "bg-rose-200 dark:bg-rose-900/60"
+};
+
+// Current / best streak, freezes, which rules count, and the last 12 weeks (Monday-first columns)
+function StreakCard({
+  streak
+}) {
+  const {
+    current,
+    best,
+    freezes,
+    todayDone,
+    status,
+    rules,
+    setRules,
+    today
+  } = streak;
+  const monday = shiftDay(today, -((parseDayKey(today).getDay() + 6) % 7));
+  const start = shiftDay(monday, -7 * (HEATMAP_WEEKS - 1));
+  const weeks = Array.from({
+    length: HEATMAP_WEEKS
+  }, (_, w) => Array.from({
+    length: 7
+  }, (_, d) => shiftDay(start, w * 7 + d)));
+  const enabled = STREAK_RULES.filter(r => rules[r.k]).length;
+  const toggle = k => {
+    if (rules[k] && enabled === 1) return; // at least one rule must stay on
+    haptic("light");
+    setRules({
+      ...rules,
+      [k]: !rules[k]
+    });
+  };
+  return /*#__PURE__*/React.createElement("div", {
+    className: "rounded-2xl border border-black/5 dark:border-white/10 p-4 bg-white dark:bg-neutral-900 space-y-3"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-semibold flex items-center gap-2"
+  }, /*#__PURE__*/React.createElement(Flame, {
+    size: 16,
+    className: "text-orange-500"
+  }), " Streak"), /*#__PURE__*/React.createElement(Pill, {
+    tone: todayDone ? "green" : "blue"
+  }, todayDone ? "Today done" : "Today pending")), /*#__PURE__*/React.createElement("div", {
+    className: "grid grid-cols-3 gap-3"
+  }, /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500"
+  }, "Current"), /*#__PURE__*/React.createElement("div", {
+    className: "text-lg font-semibold"
+  }, current, " ", /*#__PURE__*/React.createElement("span", {
+    className: "text-sm text-neutral-400"
+  }, "days"))), /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500"
+  }, "Best"), /*#__PURE__*/React.createElement("div", {
+    className: "text-lg font-semibold"
+  }, best.days, " ", /*#__PURE__*/React.createElement("span", {
+    className: "text-sm text-neutral-400"
+  }, "days"))), /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500"
+  }, "Freezes"), /*#__PURE__*/React.createElement("div", {
+    className: "text-lg font-semibold"
+  }, freezes, " ", /*#__PURE__*/React.createElement("span", {
+    className: "text-sm text-neutral-400"
+  }, "/ ", STREAK_FREEZE_MAX)))), best.days > 0 && /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500"
+  }, "Best run ", best.from === best.to ? formatDayLabel(best.to, today) : `${formatDayLabel(best.from, today)} – ${formatDayLabel(best.to, today)}`, ". A freeze is earned every ", STREAK_FREEZE_EVERY, " days and covers one missed day."), /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500 mb-1"
+  }, "A day counts when you\u2026"), /*#__PURE__*/React.createElement("div", {
+    className: "flex flex-wrap gap-2"
+  }, STREAK_RULES.map(r => /*#__PURE__*/React.createElement("button", {
+    key: r.k,
+    "aria-pressed": rules[r.k],
+    onClick: () => toggle(r.k),
+    className: `px-3 py-1.5 text-xs rounded-full border ${rules[r.k] ? "bg-orange-500 border-orange-500 text-white" : "border-black/10 dark:border-white/10"}`
+  }, r.label)))), /*#__PURE__*/React.createElement("div", {
+    className: "flex gap-1",
+    "aria-label": "Last 12 weeks"
+  }, weeks.map((week, w) => /*#__PURE__*/React.createElement("div", {
+    key: w,
+    className: "flex flex-col gap-1 flex-1"
+  }, week.map(d => /*#__PURE__*/React.createElement("div", {
+    key: d,
+    title: `${d}: ${d > today ? "upcoming" : status.get(d) || "no data"}`,
+    className: `aspect-square rounded-sm ${d > today ? "" : HEATMAP_TONE[status.get(d)] || "bg-neutral-100 dark:bg-neutral-800"} ${d === today ? "ring-1 ring-orange-500" : ""}`
+  }))))), /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center gap-3 text-[11px] text-neutral-500"
+  }, /*#__PURE__*/React.createElement("span", {
+    className: "flex items-center gap-1"
+  }, /*#__PURE__*/React.createElement("span", {
+    className: "w-2.5 h-2.5 rounded-sm bg-orange-500"
+  }), " Done"), /*#__PURE__*/React.createElement("span", {
+    className: "flex items-center gap-1"
+  }, /*#__PURE__*/React.createElement("span", {
+    className: "w-2.5 h-2.5 rounded-sm bg-sky-400"
+  }), " Frozen"), /*#__PURE__*/React.createElement("span", {
+    className: "flex items-center gap-1"
+  }, /*#__PURE__*/React.createElement("span", {
+    className: "w-2.5 h-2.5 rounded-sm bg-rose-200 dark:bg-rose-900/60"
+  }), " Missed")));
 }
 function GoalsView() {
-  const [rank, setRank] = useState(deviceStore.get("rank", 5));
-  const [points, setPoints] = useState(deviceStore.get("points", 1240));
-  const board = useMemo(() => [{
-    name: "Alex",
-    score: 1740
-  }, {
-    name: "Sam",
-    score: 1660
-  }, {
-    name: "Mia",
-    score: 1480
-  }, {
-    name: "You",
-    score: points
-  }, {
-    name: "Leo",
-    score: 1170
-  }].sort((a, b) => b.score - a.score), [points]);
-  useEffect(() => {
-    const newRank = board.findIndex(b => b.name === "You") + 1;
-    setRank(newRank);
-    deviceStore.set("rank", newRank);
-    deviceStore.set("points", points);
-  }, [board, points]);
+  const [period, setPeriod, loadingPeriod] = usePersistentState(deviceStore, "boardPeriod", "week");
+  const [scope, setScope, loadingScope] = usePersistentState(deviceStore, "boardScope", "friends");
+  const {
+    ledger,
+    unlocked,
+    points,
+    loading: loadingScore
+  } = useScoring();
+  const streak = useStreak();
+  const board = useLeaderboard({
+    period,
+    scope
+  });
+  const loading = loadingPeriod || loadingScope || loadingScore || streak.loading;
+  const recent = useMemo(() => [...ledger].sort((a, b) => b.at - a.at || (b.date > a.date ? 1 : -1)).slice(0, 8), [ledger]);
+  const segment = active => `flex-1 py-1.5 text-xs rounded-lg ${active ? "bg-white dark:bg-neutral-700 shadow-sm font-medium" : "text-neutral-500"}`;
+  if (loading) return /*#__PURE__*/React.createElement(ViewLoading, null);
   return /*#__PURE__*/React.createElement("div", {
     className: "p-4 space-y-3"
   }, /*#__PURE__*/React.createElement("div", {
@@ -588,44 +7541,278 @@ function GoalsView() {
       size: 14
     }),
     tone: "green"
-  }, "Rank #", rank)), /*#__PURE__*/React.createElement("div", {
+  }, board.me ? `Rank #${board.me.rank} of ${board.total}` : "Unranked")), /*#__PURE__*/React.createElement("div", {
     className: "mt-3 text-3xl font-bold"
   }, fmt.format(points), " ", /*#__PURE__*/React.createElement("span", {
     className: "text-base font-medium text-neutral-500"
   }, "pts")), /*#__PURE__*/React.createElement("div", {
     className: "text-xs mt-1 text-neutral-500"
-  }, "Earn points by meeting daily goals."), /*#__PURE__*/React.createElement("div", {
-    className: "mt-3 flex items-center gap-2"
-  }, /*#__PURE__*/React.createElement("button", {
-    className: "px-3 py-2 text-sm rounded-xl bg-emerald-600 text-white",
-    onClick: () => setPoints(p => p + 25)
-  }, "+25 Today"), /*#__PURE__*/React.createElement("button", {
-    className: "px-3 py-2 text-sm rounded-xl border border-black/10 dark:border-white/10",
-    onClick: () => setPoints(p => Math.max(0, p - 25))
-  }, "Undo"))), /*#__PURE__*/React.createElement("div", {
-    className: "rounded-2xl border border-black/5 dark:border-white/10 p-3 bg-white dark:bg-neutral-900"
-  }, board.map((b, i) => /*#__PURE__*/React.createElement("div", {
-    key: b.name,
-    className: "flex items-center justify-between py-2 first:pt-0 last:pb-0 border-b last:border-0 border-black/5 dark:border-white/10"
+  }, "Earn points by logging meals, training, weighing in and keeping your streak.")), /*#__PURE__*/React.createElement("div", {
+    className: "rounded-2xl border border-black/5 dark:border-white/10 p-3 bg-white dark:bg-neutral-900 space-y-2"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "flex gap-1 p-1 rounded-xl bg-neutral-100 dark:bg-neutral-800"
+  }, BOARD_PERIODS.map(p => /*#__PURE__*/React.createElement("button", {
+    key: p.k,
+    onClick: () => setPeriod(p.k),
+    className: segment(period === p.k)
+  }, p.label))), /*#__PURE__*/React.createElement("div", {
+    className: "flex gap-1 p-1 rounded-xl bg-neutral-100 dark:bg-neutral-800"
+  }, BOARD_SCOPES.map(sc => /*#__PURE__*/React.createElement("button", {
+    key: sc.k,
+    onClick: () => setScope(sc.k),
+    className: segment(scope === sc.k)
+  }, sc.label))), board.error && /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-rose-600 flex items-center justify-between"
+  }, board.error, /*#__PURE__*/React.createElement("button", {
+    onClick: board.retry,
+    className: "text-blue-600"
+  }, "Retry")), board.loading && !board.entries.length ? /*#__PURE__*/React.createElement("div", {
+    className: "h-40 rounded-xl bg-neutral-100 dark:bg-neutral-800 animate-pulse"
+  }) : /*#__PURE__*/React.createElement("div", {
+    className: board.loading ? "opacity-60" : ""
+  }, board.offset > 0 && /*#__PURE__*/React.createElement("button", {
+    onClick: () => board.more(-1),
+    className: "w-full py-1 text-xs text-blue-600"
+  }, "Show higher ranks"), board.entries.map(b => /*#__PURE__*/React.createElement("div", {
+    key: b.userId,
+    className: "flex items-center justify-between py-2 border-b last:border-0 border-black/5 dark:border-white/10"
   }, /*#__PURE__*/React.createElement("div", {
     className: "flex items-center gap-3"
   }, /*#__PURE__*/React.createElement("div", {
-    className: `w-8 h-8 grid place-items-center rounded-full ${b.name === "You" ? "bg-emerald-600 text-white" : "bg-neutral-100 dark:bg-neutral-800"}`
-  }, i + 1), /*#__PURE__*/React.createElement("div", {
+    className: `w-8 h-8 grid place-items-center rounded-full text-sm ${b.userId === board.userId ? "bg-emerald-600 text-white" : "bg-neutral-100 dark:bg-neutral-800"}`
+  }, b.rank), /*#__PURE__*/React.createElement("div", {
     className: "text-sm font-medium"
-  }, b.name)), /*#__PURE__*/React.createElement("div", {
+  }, b.name, b.userId === board.userId && /*#__PURE__*/React.createElement("span", {
+    className: "text-neutral-400 font-normal"
+  }, " (you)"))), /*#__PURE__*/React.createElement("div", {
     className: "text-sm"
-  }, fmt.format(b.score), " pts")))));
+  }, fmt.format(b.score), " pts"))), board.offset + board.entries.length < board.total && /*#__PURE__*/React.createElement("button", {
+    onClick: () => board.more(1),
+    className: "w-full py-1 text-xs text-blue-600"
+  }, "Show lower ranks"))), /*#__PURE__*/React.createElement(StreakCard, {
+    streak: streak
+  }), /*#__PURE__*/React.createElement("div", {
+    className: "rounded-2xl border border-black/5 dark:border-white/10 p-4 bg-white dark:bg-neutral-900"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between mb-2"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-semibold flex items-center gap-2"
+  }, /*#__PURE__*/React.createElement(Award, {
+    size: 16,
+    className: "text-amber-500"
+  }), " Achievements"), /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500"
+  }, Object.keys(unlocked).length, "/", ACHIEVEMENTS.length)), /*#__PURE__*/React.createElement("div", {
+    className: "grid grid-cols-2 gap-2"
+  }, ACHIEVEMENTS.map(a => /*#__PURE__*/React.createElement("div", {
+    key: a.id,
+    className: `rounded-xl p-2 border border-black/5 dark:border-white/10 ${unlocked[a.id] ? "bg-amber-50 dark:bg-amber-950/30" : "opacity-50"}`
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-medium flex items-center gap-1"
+  }, unlocked[a.id] ? /*#__PURE__*/React.createElement(Award, {
+    size: 14,
+    className: "text-amber-500"
+  }) : /*#__PURE__*/React.createElement(Lock, {
+    size: 12
+  }), " ", a.title), /*#__PURE__*/React.createElement("div", {
+    className: "text-[11px] text-neutral-500"
+  }, a.description, " \xB7 ", a.points, " pts"))))), /*#__PURE__*/React.createElement("div", {
+    className: "rounded-2xl border border-black/5 dark:border-white/10 p-4 bg-white dark:bg-neutral-900"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-semibold mb-2"
+  }, "Points history"), recent.length ? recent.map(x => /*#__PURE__*/React.createElement("div", {
+    key: x.id,
+    className: "flex items-center justify-between py-1.5 text-sm border-b last:border-0 border-black/5 dark:border-white/10"
+  }, /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", null, x.reason), /*#__PURE__*/React.createElement("div", {
+    className: "text-[11px] text-neutral-500"
+  }, formatDayLabel(x.date, streak.today))), /*#__PURE__*/React.createElement("div", {
+    className: "font-medium text-emerald-600"
+  }, "+", x.points))) : /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500"
+  }, "Log a meal or finish a workout to earn your first points.")));
 }
-function ProfileView() {
-  const [name, setName] = useState(deviceStore.get("name", "You"));
-  const [kcal, setKcal] = useState(deviceStore.get("kcalTarget", 2000));
-  const [reminders, setReminders] = useState(deviceStore.get("reminders", true));
+
+// Numeric setting edited as text; only in-range values are saved, so the stored value stays valid
+function NumberSetting({
+  label,
+  value,
+  onCommit,
+  min,
+  max,
+  unit
+}) {
+  const [draft, setDraft] = useState(String(value));
+  useEffect(() => setDraft(String(value)), [value]);
+  const n = Number(draft);
+  const error = draft.trim() === "" || !Number.isFinite(n) ? "Enter a number" : n < min || n > max ? `Between ${min} and ${max}${unit ? ` ${unit}` : ""}` : null;
+  return /*#__PURE__*/React.createElement(Field, {
+    label: label,
+    error: error
+  }, /*#__PURE__*/React.createElement("input", {
+    type: "number",
+    inputMode: "numeric",
+    min: min,
+    max: max,
+    value: draft,
+    onChange: e => {
+      setDraft(e.target.value);
+      const v = Number(e.target.value);
+      if (e.target.value.trim() !== "" && Number.isFinite(v) && v >= min && v <= max) onCommit(Math.round(v));
+    },
+    className: inputCls(!!error)
+  }));
+}
+const BODY_FORM_DEFAULTS = {
+  sex: "",
+  birthDate: "",
+  heightCm: "",
+  weightKg: "",
+  activity: "light",
+  pace: "maintain"
+};
+
+// Sex, age, height, weight, activity and pace → BMR / TDEE and suggested targets (vault-only)
+function BodyProfileCard({
+  target,
+  macroTargets,
+  onApply
+}) {
+  const [body, setBody, loadingBody] = usePersistentState(secureStore, "body", null);
+  const [weightKg, setWeightKg, loadingWeight] = useSharedValue(weightSetting);
+  const [form, setForm] = useState(null);
+  const [submitted, setSubmitted] = useState(false);
+  const loading = loadingBody || loadingWeight;
   useEffect(() => {
-    deviceStore.set("name", name);
-    deviceStore.set("kcalTarget", kcal);
-    deviceStore.set("reminders", reminders);
-  }, [name, kcal, reminders]);
+    if (!loading && !form) setForm({
+      ...BODY_FORM_DEFAULTS,
+      ...body,
+      heightCm: String(body?.heightCm ?? ""),
+      weightKg: String(weightKg ?? "")
+    });
+  }, [loading]);
+  if (loading || !form) return /*#__PURE__*/React.createElement("div", {
+    className: "h-24 rounded-2xl bg-neutral-100 dark:bg-neutral-800 animate-pulse"
+  });
+  const {
+    errors,
+    body: valid,
+    weightKg: validWeight
+  } = validateBodyForm(form);
+  const bind = k => ({
+    value: form[k],
+    onChange: e => setForm(f => ({
+      ...f,
+      [k]: e.target.value
+    }))
+  });
+  const show = k => (submitted || form[k] !== BODY_FORM_DEFAULTS[k]) && errors[k];
+  const save = () => {
+    setSubmitted(true);
+    if (!valid) return;
+    setBody(valid);
+    setWeightKg(validWeight);
+  };
+  const saved = body && isNum(weightKg) ? energyTargets(body, weightKg) : null;
+  const dirty = !saved || JSON.stringify(valid) !== JSON.stringify(body) || validWeight !== weightKg;
+  const applied = saved && saved.kcal === target && macroTargets && MACROS.every(({
+    k
+  }) => macroTargets[k] === saved.macros[k]);
+  return /*#__PURE__*/React.createElement("div", {
+    className: "rounded-2xl border border-black/5 dark:border-white/10 p-4 bg-white dark:bg-neutral-900 space-y-3"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-semibold"
+  }, "Body profile"), /*#__PURE__*/React.createElement("div", {
+    className: "grid grid-cols-2 gap-2"
+  }, /*#__PURE__*/React.createElement(Field, {
+    label: "Sex",
+    error: show("sex")
+  }, /*#__PURE__*/React.createElement("select", _extends({}, bind("sex"), {
+    className: inputCls(show("sex"))
+  }), /*#__PURE__*/React.createElement("option", {
+    value: ""
+  }, "Select\u2026"), /*#__PURE__*/React.createElement("option", {
+    value: "female"
+  }, "Female"), /*#__PURE__*/React.createElement("option", {
+    value: "male"
+  }, "Male"))), /*#__PURE__*/React.createElement(Field, {
+    label: "Birth date",
+    error: show("birthDate")
+  }, /*#__PURE__*/React.createElement("input", _extends({
+    type: "date",
+    max: dayKey()
+  }, bind("birthDate"), {
+    className: inputCls(show("birthDate"))
+  }))), /*#__PURE__*/React.createElement(Field, {
+    label: "Height (cm)",
+    error: show("heightCm")
+  }, /*#__PURE__*/React.createElement("input", _extends({
+    type: "number",
+    inputMode: "decimal",
+    min: BODY_LIMITS.heightCm[0],
+    max: BODY_LIMITS.heightCm[1]
+  }, bind("heightCm"), {
+    className: inputCls(show("heightCm"))
+  }))), /*#__PURE__*/React.createElement(Field, {
+    label: "Weight (kg)",
+    error: show("weightKg")
+  }, /*#__PURE__*/React.createElement("input", _extends({
+    type: "number",
+    inputMode: "decimal",
+    step: "0.1",
+    min: BODY_LIMITS.weightKg[0],
+    max: BODY_LIMITS.weightKg[1]
+  }, bind("weightKg"), {
+    className: inputCls(show("weightKg"))
+  })))), /*#__PURE__*/React.createElement(Field, {
+    label: "Activity level"
+  }, /*#__PURE__*/React.createElement("select", _extends({}, bind("activity"), {
+    className: inputCls(false)
+  }), ACTIVITY_LEVELS.map(a => /*#__PURE__*/React.createElement("option", {
+    key: a.k,
+    value: a.k
+  }, a.label)))), /*#__PURE__*/React.createElement(Field, {
+    label: "Goal"
+  }, /*#__PURE__*/React.createElement("select", _extends({}, bind("pace"), {
+    className: inputCls(false)
+  }), GOAL_PACES.map(p => /*#__PURE__*/React.createElement("option", {
+    key: p.k,
+    value: p.k
+  }, p.label)))), /*#__PURE__*/React.createElement("button", {
+    disabled: !dirty,
+    onClick: save,
+    className: "w-full px-3 py-2 text-sm rounded-xl border border-black/10 dark:border-white/10 disabled:opacity-40"
+  }, "Save profile"), saved && /*#__PURE__*/React.createElement("div", {
+    className: "rounded-xl bg-neutral-50 dark:bg-neutral-800/60 p-3 space-y-1 text-xs"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "flex justify-between"
+  }, /*#__PURE__*/React.createElement("span", {
+    className: "text-neutral-500"
+  }, "BMR (Mifflin-St Jeor)"), /*#__PURE__*/React.createElement("span", null, fmt.format(saved.bmr), " kcal")), /*#__PURE__*/React.createElement("div", {
+    className: "flex justify-between"
+  }, /*#__PURE__*/React.createElement("span", {
+    className: "text-neutral-500"
+  }, "Maintenance (TDEE)"), /*#__PURE__*/React.createElement("span", null, fmt.format(saved.tdee), " kcal")), /*#__PURE__*/React.createElement("div", {
+    className: "flex justify-between font-semibold"
+  }, /*#__PURE__*/React.createElement("span", null, "Suggested target"), /*#__PURE__*/React.createElement("span", null, fmt.format(saved.kcal), " kcal \u2022 ", saved.macros.p, "P / ", saved.macros.c, "C / ", saved.macros.f, "F")), /*#__PURE__*/React.createElement("button", {
+    disabled: applied,
+    onClick: () => onApply(saved),
+    className: "mt-1 w-full px-3 py-2 text-sm rounded-xl bg-blue-600 text-white disabled:opacity-50"
+  }, applied ? "Targets in use" : "Use these targets")));
+}
+function ProfileView() {
+  const [name, setName, loadingName] = usePersistentState(cloudStore, "name", "You");
+  const [kcal, setKcal, loadingKcal] = useSharedValue(kcalTargetSetting);
+  const [macroTargets, setMacroTargets, loadingMacros] = usePersistentState(cloudStore, "macroTargets", null);
+  const macros = macroTargets || defaultMacroTargets(kcal);
+  const applyTargets = ({
+    kcal: suggested,
+    macros: m
+  }) => {
+    setKcal(suggested);
+    setMacroTargets(m);
+    haptic("light");
+  };
+  if (loadingName || loadingKcal || loadingMacros) return /*#__PURE__*/React.createElement(ViewLoading, null);
   return /*#__PURE__*/React.createElement("div", {
     className: "p-4 space-y-3"
   }, /*#__PURE__*/React.createElement("div", {
@@ -643,36 +7830,270 @@ function ProfileView() {
     placeholder: "Display name"
   }))), /*#__PURE__*/React.createElement("div", {
     className: "rounded-2xl border border-black/5 dark:border-white/10 p-4 bg-white dark:bg-neutral-900 space-y-3"
-  }, /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
-    className: "text-xs text-neutral-500 mb-1"
-  }, "Daily calories target"), /*#__PURE__*/React.createElement("input", {
-    type: "number",
+  }, /*#__PURE__*/React.createElement(NumberSetting, {
+    label: "Daily calories target",
     value: kcal,
-    onChange: e => setKcal(parseInt(e.target.value || "0", 10)),
-    className: "w-full px-3 py-2 rounded-xl border border-black/10 dark:border-white/10 bg-transparent"
-  })), /*#__PURE__*/React.createElement("div", {
+    onCommit: setKcal,
+    min: 800,
+    max: 10000,
+    unit: "kcal"
+  }), /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
+    className: "grid grid-cols-3 gap-2"
+  }, MACROS.map(({
+    k,
+    label
+  }) => /*#__PURE__*/React.createElement(NumberSetting, {
+    key: k,
+    label: `${label} (g)`,
+    value: macros[k],
+    onCommit: v => setMacroTargets({
+      ...macros,
+      [k]: v
+    }),
+    min: 0,
+    max: k === "c" ? 1000 : 500
+  }))), /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between mt-1 text-[11px] text-neutral-500"
+  }, /*#__PURE__*/React.createElement("span", null, "Macros add up to ", fmt.format(macroKcal(macros)), " kcal"), macroTargets && /*#__PURE__*/React.createElement("button", {
+    onClick: () => setMacroTargets(null),
+    className: "text-blue-600"
+  }, "Use default split"))), /*#__PURE__*/React.createElement(ReminderSettings, null)), /*#__PURE__*/React.createElement(VaultGate, {
+    compact: true
+  }, /*#__PURE__*/React.createElement(WearableImportCard, null)), /*#__PURE__*/React.createElement(VaultGate, {
+    compact: true
+  }, /*#__PURE__*/React.createElement(BodyProfileCard, {
+    target: kcal,
+    macroTargets: macroTargets,
+    onApply: applyTargets
+  })), /*#__PURE__*/React.createElement(SecuritySettings, null), /*#__PURE__*/React.createElement(DataExportCard, null), /*#__PURE__*/React.createElement(StorageUsageCard, null), /*#__PURE__*/React.createElement(SchemaDebugPanel, null), /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500"
+  }, "Data stored in Telegram Device, Secure & Cloud storage (browser storage outside Telegram). Calendar files are imported on the Workout tab, wearable exports above."));
+}
+
+// Vault controls: auto-lock delay, lock now, key rotation / PIN change, reset
+function SecuritySettings() {
+  const status = useVault();
+  const [autoLock, setAutoLock, loading] = usePersistentState(cloudStore, "autoLockMin", 5);
+  const [pin, setPin] = useState("");
+  const [newPin, setNewPin] = useState("");
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const rotate = async () => {
+    setBusy(true);
+    try {
+      await secureStore.rotate({
+        pin,
+        newPin: newPin || undefined
+      });
+      setMessage({
+        ok: true,
+        text: newPin ? "PIN changed and key rotated" : "Key rotated"
+      });
+      setPin("");
+      setNewPin("");
+    } catch (e) {
+      setMessage({
+        ok: false,
+        text: e.message
+      });
+    }
+    setBusy(false);
+  };
+  const reset = async () => {
+    if (!window.confirm("Erase all encrypted health data and the key?")) return;
+    await secureStore.reset();
+    setMessage({
+      ok: true,
+      text: "Vault erased"
+    });
+  };
+  if (status !== "unlocked") return /*#__PURE__*/React.createElement(VaultPanel, null);
+  return /*#__PURE__*/React.createElement("div", {
+    className: "rounded-2xl border border-black/5 dark:border-white/10 p-4 bg-white dark:bg-neutral-900 space-y-3"
+  }, /*#__PURE__*/React.createElement("div", {
     className: "flex items-center justify-between"
-  }, /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
-    className: "text-sm font-medium"
-  }, "Reminders"), /*#__PURE__*/React.createElement("div", {
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "text-sm font-semibold flex items-center gap-2"
+  }, /*#__PURE__*/React.createElement(ShieldCheck, {
+    size: 16,
+    className: "text-emerald-600"
+  }), " Privacy & security"), /*#__PURE__*/React.createElement("button", {
+    onClick: () => secureStore.lock(),
+    className: "text-xs px-2.5 py-1.5 rounded-lg border border-black/10 dark:border-white/10"
+  }, "Lock now")), /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between text-sm"
+  }, /*#__PURE__*/React.createElement("span", null, "Auto-lock after"), /*#__PURE__*/React.createElement("select", {
+    disabled: loading,
+    value: autoLock,
+    onChange: e => {
+      const m = Number(e.target.value);
+      setAutoLock(m);
+      secureStore.setAutoLock(m);
+    },
+    className: "px-2 py-1 rounded-lg border border-black/10 dark:border-white/10 bg-transparent text-sm"
+  }, [1, 5, 15, 60].map(m => /*#__PURE__*/React.createElement("option", {
+    key: m,
+    value: m
+  }, m, " min")), /*#__PURE__*/React.createElement("option", {
+    value: 0
+  }, "Never"))), /*#__PURE__*/React.createElement("div", {
+    className: "space-y-2"
+  }, /*#__PURE__*/React.createElement("div", {
     className: "text-xs text-neutral-500"
-  }, "Get notified about workouts & meals")), /*#__PURE__*/React.createElement("button", {
-    onClick: () => setReminders(r => !r),
-    className: `w-11 h-6 rounded-full relative transition ${reminders ? "bg-emerald-500" : "bg-neutral-300 dark:bg-neutral-700"}`
+  }, secureStore.mode === "pin" ? "Key derived from your PIN" : "Key stored in Telegram SecureStorage", secureStore.rotatedAt && ` • rotated ${new Date(secureStore.rotatedAt).toLocaleDateString()}`), secureStore.mode === "pin" && /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center gap-2"
+  }, /*#__PURE__*/React.createElement("input", {
+    type: "password",
+    inputMode: "numeric",
+    value: pin,
+    onChange: e => setPin(e.target.value.replace(/\D/g, "")),
+    placeholder: "Current PIN",
+    className: "flex-1 min-w-0 px-3 py-2 text-sm rounded-xl border border-black/10 dark:border-white/10 bg-transparent"
+  }), /*#__PURE__*/React.createElement("input", {
+    type: "password",
+    inputMode: "numeric",
+    value: newPin,
+    onChange: e => setNewPin(e.target.value.replace(/\D/g, "")),
+    placeholder: "New PIN (optional)",
+    className: "flex-1 min-w-0 px-3 py-2 text-sm rounded-xl border border-black/10 dark:border-white/10 bg-transparent"
+  })), /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center gap-2"
+  }, /*#__PURE__*/React.createElement("button", {
+    disabled: busy || secureStore.mode === "pin" && !pin,
+    onClick: rotate,
+    className: "px-3 py-2 text-sm rounded-xl bg-neutral-900 text-white dark:bg-neutral-100 dark:text-neutral-900 disabled:opacity-50"
+  }, busy ? "Rotating…" : "Rotate key"), /*#__PURE__*/React.createElement("button", {
+    onClick: reset,
+    className: "px-3 py-2 text-sm rounded-xl border border-rose-200 text-rose-600 dark:border-rose-900/50"
+  }, "Reset")), message && /*#__PURE__*/React.createElement("div", {
+    className: `text-xs ${message.ok ? "text-emerald-600" : "text-rose-600"}`
+  }, message.text)));
+}
+
+// Photo storage readout with a manual orphan clean-up
+function StorageUsageCard() {
+  const [usage, setUsage] = useState(null);
+  const [cleaned, setCleaned] = useState(null);
+  const refresh = () => photoUsage().then(setUsage, e => {
+    console.debug("photo usage error", e);
+    setUsage({
+      error: true
+    });
+  });
+  useEffect(() => {
+    refresh();
+  }, []);
+  const cleanUp = async () => {
+    // Manual clean-up skips the grace period; undo history still protects recent deletes
+    setCleaned(await collectOrphanPhotos(Infinity));
+    refresh();
+  };
+  if (!usage) return null;
+  return /*#__PURE__*/React.createElement("div", {
+    className: "rounded-2xl border border-black/5 dark:border-white/10 p-4 bg-white dark:bg-neutral-900 text-sm space-y-1"
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "font-semibold"
+  }, "Storage"), usage.error ? /*#__PURE__*/React.createElement("div", {
+    className: "text-xs text-neutral-500"
+  }, "Photo storage is unavailable in this browser.") : /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between text-xs"
   }, /*#__PURE__*/React.createElement("span", {
-    className: `absolute top-0.5 ${reminders ? "left-6" : "left-0.5"} w-5 h-5 rounded-full bg-white transition`
-  })))), /*#__PURE__*/React.createElement("div", {
+    className: "text-neutral-500"
+  }, "Meal photos"), /*#__PURE__*/React.createElement("span", null, usage.count, " \u2022 ", formatBytes(usage.bytes))), usage.quota > 0 && /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between text-xs"
+  }, /*#__PURE__*/React.createElement("span", {
+    className: "text-neutral-500"
+  }, "Site storage used"), /*#__PURE__*/React.createElement("span", null, formatBytes(usage.usage), " of ", formatBytes(usage.quota))), usage.quota > 0 && /*#__PURE__*/React.createElement(ProgressBar, {
+    value: usage.usage,
+    max: usage.quota
+  }), /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between pt-1"
+  }, /*#__PURE__*/React.createElement("button", {
+    onClick: cleanUp,
+    className: "text-xs text-blue-600"
+  }, "Remove unused photos"), cleaned && /*#__PURE__*/React.createElement("span", {
     className: "text-xs text-neutral-500"
-  }, "Data stored on device using secure & device storage shims (mock). Connectors (calendar, wearables) can be added later."));
+  }, cleaned.removed ? `Freed ${formatBytes(cleaned.bytes)}` : "Nothing to remove"))));
+}
+
+// Debug view: schema version, migration history and quarantined values
+function SchemaDebugPanel() {
+  const [schema,, loadingSchema] = usePersistentState(deviceStore, "schema", {
+    version: 0,
+    history: []
+  });
+  const [quarantined, setQuarantined, loadingQuarantine] = usePersistentState(deviceStore, "quarantine", []);
+  if (loadingSchema || loadingQuarantine) return null;
+  return /*#__PURE__*/React.createElement("details", {
+    className: "rounded-2xl border border-black/5 dark:border-white/10 p-4 bg-white dark:bg-neutral-900 text-xs"
+  }, /*#__PURE__*/React.createElement("summary", {
+    className: "cursor-pointer text-sm font-semibold"
+  }, "Data schema v", schema.version, schema.version < SCHEMA_VERSION && ` (latest v${SCHEMA_VERSION})`, quarantined.length > 0 && ` • ${quarantined.length} quarantined`), /*#__PURE__*/React.createElement("div", {
+    className: "mt-3 space-y-1"
+  }, schema.history.length === 0 && /*#__PURE__*/React.createElement("div", {
+    className: "text-neutral-500"
+  }, "No migrations recorded."), schema.history.map((h, i) => /*#__PURE__*/React.createElement("div", {
+    key: i,
+    className: "flex items-start justify-between gap-2"
+  }, /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
+    className: "font-medium"
+  }, "v", h.version, " \xB7 ", h.name), /*#__PURE__*/React.createElement("div", {
+    className: "text-neutral-500"
+  }, new Date(h.at).toLocaleString(), h.ms !== undefined && ` · ${h.ms} ms`, h.quarantined && ` · ${h.quarantined} quarantined`)), h.error ? /*#__PURE__*/React.createElement("span", {
+    className: "text-rose-600"
+  }, h.error) : /*#__PURE__*/React.createElement(Check, {
+    size: 14,
+    className: "text-emerald-500 shrink-0"
+  })))), quarantined.length > 0 && /*#__PURE__*/React.createElement("div", {
+    className: "mt-3 pt-3 border-t border-black/5 dark:border-white/10 space-y-1"
+  }, quarantined.map((q, i) => /*#__PURE__*/React.createElement("div", {
+    key: i,
+    className: "text-neutral-500"
+  }, /*#__PURE__*/React.createElement("span", {
+    className: "font-medium text-neutral-700 dark:text-neutral-300"
+  }, q.key), ": ", q.reason, " ", /*#__PURE__*/React.createElement("code", {
+    className: "break-all"
+  }, JSON.stringify(q.value).slice(0, 80)))), /*#__PURE__*/React.createElement("button", {
+    onClick: () => setQuarantined([]),
+    className: "mt-1 text-rose-600"
+  }, "Discard quarantined data")));
 }
+
+// Keeps the vault's auto-lock timer in sync with the setting and with user activity
+function useVaultAutoLock() {
+  const [minutes] = usePersistentState(cloudStore, "autoLockMin", 5);
+  useEffect(() => secureStore.setAutoLock(minutes), [minutes]);
+  useEffect(() => {
+    const touch = () => secureStore.touch();
+    const events = ["pointerdown", "keydown", "touchstart"];
+    events.forEach(ev => window.addEventListener(ev, touch, {
+      passive: true
+    }));
+    return () => events.forEach(ev => window.removeEventListener(ev, touch));
+  }, []);
+}
+let photoGcStarted = false;
 function MiniApp() {
-  const [tab, setTab] = useState(deviceStore.get("tab", "home"));
-  useEffect(() => deviceStore.set("tab", tab), [tab]);
+  const ready = useMigrations();
+  useVaultAutoLock();
+  useEffect(() => {
+    if (!ready || photoGcStarted) return;
+    photoGcStarted = true;
+    collectOrphanPhotos().catch(e => console.log("[debug] photo gc error", e));
+  }, [ready]);
   return /*#__PURE__*/React.createElement(PhoneChrome, null, /*#__PURE__*/React.createElement("div", {
     className: "h-full flex flex-col"
   }, /*#__PURE__*/React.createElement("div", {
     className: "flex-1 overflow-auto custom-scroll px-0"
-  }, /*#__PURE__*/React.createElement("div", {
+  }, ready ? /*#__PURE__*/React.createElement(MiniAppScreens, null) : /*#__PURE__*/React.createElement(ViewLoading, null))), /*#__PURE__*/React.createElement(AchievementToast, null), /*#__PURE__*/React.createElement(ReminderBanner, null));
+}
+
+// Mounted only after migrations, so every view loads already-migrated data
+function MiniAppScreens() {
+  const [tab, setTab] = usePersistentState(deviceStore, "tab", "home");
+  useScoringEvents();
+  useReminderScheduler();
+  return /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement("div", {
     className: "sticky top-0 z-10 bg-white/80 dark:bg-neutral-900/80 backdrop-blur border-b border-black/5 dark:border-white/10"
   }, /*#__PURE__*/React.createElement("div", {
     className: "grid grid-cols-5 text-xs"
@@ -695,13 +8116,25 @@ function MiniApp() {
     key: t.k,
     onClick: () => setTab(t.k),
     className: `py-3 ${tab === t.k ? "text-blue-600 border-b-2 border-blue-600" : "text-neutral-500"}`
-  }, t.label)))), tab === "home" && /*#__PURE__*/React.createElement(DashboardView, null), tab === "meals" && /*#__PURE__*/React.createElement(MealsView, null), tab === "workout" && /*#__PURE__*/React.createElement(WorkoutView, null), tab === "goals" && /*#__PURE__*/React.createElement(GoalsView, null), tab === "profile" && /*#__PURE__*/React.createElement(ProfileView, null))));
+  }, t.label)))), tab === "home" && /*#__PURE__*/React.createElement(DashboardView, {
+    onNavigate: setTab
+  }), tab === "meals" && /*#__PURE__*/React.createElement(MealsView, null), tab === "workout" && /*#__PURE__*/React.createElement(WorkoutView, null), tab === "goals" && /*#__PURE__*/React.createElement(GoalsView, null), tab === "profile" && /*#__PURE__*/React.createElement(ProfileView, null));
 }
 
 // ------------------------------
 // Landing Page (CalAI-inspired)
 // ------------------------------
 function LandingPage() {
+  const {
+    meals
+  } = useMealLog();
+  const trend = useMemo(() => dailyTotals(meals, 7), [meals]);
+  const board = useLeaderboard({
+    period: "week",
+    scope: "global",
+    limit: 3,
+    around: false
+  });
   return /*#__PURE__*/React.createElement("div", {
     className: "w-full min-h-[720px] bg-white dark:bg-neutral-950 text-neutral-900 dark:text-neutral-50"
   }, /*#__PURE__*/React.createElement("section", {
@@ -821,7 +8254,7 @@ function LandingPage() {
     width: "100%",
     height: "100%"
   }, /*#__PURE__*/React.createElement(LineChart, {
-    data: demoCalories7d,
+    data: trend,
     margin: {
       top: 6,
       right: 8,
@@ -833,7 +8266,10 @@ function LandingPage() {
     dataKey: "kcal",
     stroke: "#111827",
     strokeWidth: 2,
-    dot: false
+    dot: {
+      r: 2
+    },
+    connectNulls: false
   }), /*#__PURE__*/React.createElement(XAxis, {
     dataKey: "d",
     hide: true
@@ -843,25 +8279,20 @@ function LandingPage() {
     className: "rounded-2xl border border-black/5 dark:border-white/10 p-4"
   }, /*#__PURE__*/React.createElement("div", {
     className: "text-sm font-semibold mb-2"
-  }, "Leaderboard"), /*#__PURE__*/React.createElement("div", {
+  }, "Leaderboard ", /*#__PURE__*/React.createElement("span", {
+    className: "font-normal text-neutral-500"
+  }, "\xB7 this week")), /*#__PURE__*/React.createElement("div", {
     className: "space-y-2 text-sm"
-  }, [{
-    name: "Alex",
-    score: 1740
-  }, {
-    name: "Sam",
-    score: 1660
-  }, {
-    name: "You",
-    score: 1240
-  }].map((r, i) => /*#__PURE__*/React.createElement("div", {
-    key: i,
+  }, board.entries.map(r => /*#__PURE__*/React.createElement("div", {
+    key: r.userId,
     className: "flex items-center justify-between"
   }, /*#__PURE__*/React.createElement("div", {
     className: "flex items-center gap-2"
   }, /*#__PURE__*/React.createElement(Award, {
     size: 16
-  }), " ", r.name), /*#__PURE__*/React.createElement("div", null, r.score, " pts"))))))))), /*#__PURE__*/React.createElement("section", {
+  }), " ", r.name), /*#__PURE__*/React.createElement("div", null, fmt.format(r.score), " pts"))), board.me && !board.entries.some(r => r.userId === board.me.userId) && /*#__PURE__*/React.createElement("div", {
+    className: "flex items-center justify-between text-neutral-500"
+  }, /*#__PURE__*/React.createElement("div", null, "#", board.me.rank, " ", board.me.name), /*#__PURE__*/React.createElement("div", null, fmt.format(board.me.score), " pts")))))))), /*#__PURE__*/React.createElement("section", {
     className: "container mx-auto px-6 pb-16",
     id: "open"
   }, /*#__PURE__*/React.createElement("div", {
@@ -0,0 +1,61 @@
+import { before, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { PLAN_RULES, exerciseByName, recommendPlan } from "../mock/lib/planner.js";
+
+const GOALS = Object.keys(PLAN_RULES);
+const DAYS = [3, 4, 5, 6];
+const SEEDS = [1, 2, 7, 42, 1234567];
+const EQUIPMENT_SETS = [null, [], ["dumbbells", "bench"]];
+
+// Primary muscle groups a day trains; cardio may repeat on any day
+const groups = (day) => new Set(day.exercises.flatMap(x => exerciseByName(x.name).primary).filter(m => m !== "cardio"));
+
+const cases = function* () {
+  for (const goal of GOALS)
+    for (const days of DAYS)
+      for (const seed of SEEDS)
+        for (const equipment of EQUIPMENT_SETS) yield { goal, days, seed, equipment };
+};
+
+before(() => mock.method(console, "log", () => {}));
+
+test("the same goal, days and seed give the same plan", () => {
+  for (const params of cases()) assert.deepEqual(recommendPlan(params), recommendPlan({ ...params }), JSON.stringify(params));
+});
+
+test("plans span the week with the requested number of training days", () => {
+  for (const params of cases()) {
+    const plan = recommendPlan(params);
+    assert.equal(plan.length, 7);
+    assert.equal(plan.filter(d => !d.rest).length, params.days, JSON.stringify(params));
+    plan.filter(d => !d.rest).forEach(d => assert.ok(d.exercises.length > 0, `${JSON.stringify(params)} day ${d.day}`));
+  }
+});
+
+test("no exercise repeats within a day", () => {
+  for (const params of cases()) {
+    for (const day of recommendPlan(params)) {
+      const names = day.exercises.map(x => x.name);
+      assert.equal(new Set(names).size, names.length, `${JSON.stringify(params)} day ${day.day}: ${names}`);
+    }
+  }
+});
+
+test("no muscle group is trained on consecutive days, including into the next week", () => {
+  for (const params of cases()) {
+    const plan = recommendPlan(params);
+    plan.forEach((day, i) => {
+      const next = plan[(i + 1) % plan.length];
+      const both = [...groups(day)].filter(m => groups(next).has(m));
+      assert.deepEqual(both, [], `${JSON.stringify(params)} days ${day.day} and ${next.day}`);
+    });
+  }
+});
+
+test("only exercises the user has equipment for are planned", () => {
+  for (const params of cases()) {
+    if (!params.equipment) continue;
+    for (const day of recommendPlan(params))
+      for (const x of day.exercises) assert.ok(exerciseByName(x.name).equipment.every(k => k === "none" || params.equipment.includes(k)), `${JSON.stringify(params)}: ${x.name}`);
+  }
+});
@@ -0,0 +1,141 @@
+// Reminder scheduler driven by a fake clock. Times are local, so the zone is pinned to one with DST.
+process.env.TZ = "Europe/Berlin";
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { REMINDER_MAX_TIMER, createReminderScheduler, dueReminders, inQuietHours, nextOccurrence } from "../mock/lib/reminders.js";
+
+const HOUR = 60 * 60 * 1000;
+const local = (y, mo, d, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi).getTime();
+
+// Timers fire in order as time advances; `sleep` moves the clock without firing them, like a
+// suspended device, and they all run late on the next `advance`
+function fakeClock(start) {
+  let now = start, nextId = 1;
+  const timers = new Map();
+  const delays = [];
+  const clock = {
+    now: () => now,
+    setTimeout(fn, ms) {
+      delays.push(ms);
+      timers.set(nextId, { at: now + ms, fn });
+      return nextId++;
+    },
+    clearTimeout: (id) => timers.delete(id),
+    advance(ms) {
+      const end = now + ms;
+      for (;;) {
+        const [id, t] = [...timers].sort((a, b) => a[1].at - b[1].at)[0] || [];
+        if (!t || t.at > end) break;
+        timers.delete(id);
+        now = Math.max(now, t.at);
+        t.fn();
+      }
+      now = end;
+    },
+    sleep(ms) { now += ms; },
+    delays,
+  };
+  return clock;
+}
+
+function run(config, start, since = null) {
+  const clock = fakeClock(start);
+  const delivered = [];
+  const checks = [];
+  const scheduler = createReminderScheduler({ clock, deliver: (o) => delivered.push({ ...o, firedAt: clock.now() }), onCheck: (ms) => checks.push(ms) });
+  scheduler.start(config, since);
+  return { clock, delivered, checks, scheduler };
+}
+
+const config = (items, quiet = { from: "22:00", to: "07:00" }) => ({ enabled: true, quiet, items });
+
+test("fires only on the reminder's weekdays, on time", () => {
+  const { clock, delivered } = run(config([{ id: "w", kind: "workout", time: "18:00", days: [1, 3, 5], on: true }]), local(2026, 3, 1, 12));
+  clock.advance(7 * 24 * HOUR);
+  assert.deepEqual(delivered.map(o => new Date(o.at).getDay()), [1, 3, 5]);
+  assert.deepEqual(delivered.map(o => o.at), [local(2026, 3, 2, 18), local(2026, 3, 4, 18), local(2026, 3, 6, 18)]);
+  delivered.forEach(o => assert.equal(o.firedAt, o.at));
+});
+
+test("reminders with no days, switched off or disabled globally never fire", () => {
+  const items = [
+    { id: "a", kind: "meal", time: "08:30", days: [], on: true },
+    { id: "b", kind: "meal", time: "13:00", days: [0, 1, 2, 3, 4, 5, 6], on: false },
+  ];
+  const { clock, delivered } = run(config(items), local(2026, 3, 1, 12));
+  clock.advance(3 * 24 * HOUR);
+  assert.equal(delivered.length, 0);
+  assert.equal(nextOccurrence(items[0], local(2026, 3, 1)), null);
+
+  const off = run({ ...config([{ ...items[1], on: true }]), enabled: false }, local(2026, 3, 1, 12));
+  off.clock.advance(3 * 24 * HOUR);
+  assert.equal(off.delivered.length, 0);
+  assert.equal(off.clock.delays.length, 0);
+});
+
+test("quiet hours wrap past midnight and mark reminders inside them", () => {
+  const quiet = { from: "22:00", to: "07:00" };
+  assert.equal(inQuietHours(new Date(local(2026, 3, 2, 23, 30)), quiet), true);
+  assert.equal(inQuietHours(new Date(local(2026, 3, 2, 6, 59)), quiet), true);
+  assert.equal(inQuietHours(new Date(local(2026, 3, 2, 7, 0)), quiet), false);
+  assert.equal(inQuietHours(new Date(local(2026, 3, 2, 21, 59)), quiet), false);
+  assert.equal(inQuietHours(new Date(local(2026, 3, 2, 13)), { from: "12:00", to: "14:00" }), true);
+  assert.equal(inQuietHours(new Date(local(2026, 3, 2, 3)), { from: "07:00", to: "07:00" }), false);
+
+  const every = [0, 1, 2, 3, 4, 5, 6];
+  const { clock, delivered } = run(config([
+    { id: "early", kind: "weigh", time: "06:30", days: every, on: true },
+    { id: "late", kind: "water", time: "07:00", days: every, on: true },
+  ]), local(2026, 3, 1, 12));
+  clock.advance(24 * HOUR);
+  assert.deepEqual(delivered.map(o => [o.reminderId, o.quiet]), [["early", true], ["late", false]]);
+});
+
+test("timers never wait more than an hour and land on local time across DST", () => {
+  // Europe/Berlin springs forward on 2026-03-29 and falls back on 2026-10-25
+  const daily = [{ id: "m", kind: "meal", time: "09:00", days: [0, 1, 2, 3, 4, 5, 6], on: true }];
+  for (const [y, mo, d] of [[2026, 3, 28], [2026, 10, 24]]) {
+    const { clock, delivered } = run(config(daily), local(y, mo, d, 10));
+    clock.advance(48 * HOUR);
+    assert.deepEqual(delivered.map(o => new Date(o.at).getHours()), [9, 9]);
+    assert.deepEqual(delivered.map(o => o.firedAt), [local(y, mo, d + 1, 9), local(y, mo, d + 2, 9)]);
+    assert.ok(clock.delays.every(ms => ms <= REMINDER_MAX_TIMER));
+  }
+});
+
+test("the hourly re-check picks up a wall-clock jump without waiting for the old timer", () => {
+  const { clock, delivered } = run(config([{ id: "m", kind: "meal", time: "13:00", days: [0, 1, 2, 3, 4, 5, 6], on: true }]), local(2026, 3, 2, 8));
+  // The clock is set forward past 13:00 while the timer armed for 09:00 is still pending
+  clock.sleep(5.5 * HOUR);
+  assert.equal(delivered.length, 0);
+  clock.advance(1);
+  assert.deepEqual(delivered.map(o => o.at), [local(2026, 3, 2, 13)]);
+  assert.ok(clock.now() - delivered[0].at <= REMINDER_MAX_TIMER);
+});
+
+test("after sleeping for days only the latest occurrence within a day is delivered", () => {
+  const items = [
+    { id: "m", kind: "meal", time: "13:00", days: [0, 1, 2, 3, 4, 5, 6], on: true },
+    { id: "w", kind: "workout", time: "18:00", days: [1], on: true },
+  ];
+  const { clock, delivered, checks, scheduler } = run(config(items), local(2026, 3, 2, 12));
+  clock.sleep(3 * 24 * HOUR + 2 * HOUR); // wakes Thursday 14:00
+  scheduler.check();
+  assert.deepEqual(delivered.map(o => [o.reminderId, o.at]), [["m", local(2026, 3, 5, 13)]]);
+  assert.equal(checks.at(-1), local(2026, 3, 5, 14));
+  // The stale timer firing late must not deliver the same occurrence again
+  clock.advance(1);
+  assert.equal(delivered.length, 1);
+});
+
+test("a new session catches up from the last check the previous one saved", () => {
+  const items = [{ id: "m", kind: "meal", time: "13:00", days: [0, 1, 2, 3, 4, 5, 6], on: true }];
+  const since = local(2026, 3, 2, 12);
+  const { delivered } = run(config(items), local(2026, 3, 2, 20), since);
+  assert.deepEqual(delivered.map(o => o.id), [`m@${local(2026, 3, 2, 13)}`]);
+
+  const fresh = run(config(items), local(2026, 3, 2, 20));
+  assert.equal(fresh.delivered.length, 0);
+  assert.deepEqual(dueReminders(config(items), local(2026, 2, 20), local(2026, 3, 2, 20)).map(o => o.at), [local(2026, 3, 2, 13)]);
+});